@@ -0,0 +1,424 @@
+/**
+ * Calendar Agenda
+ * Shows today's and tomorrow's events from imported .ics files or ICS URLs under the clock
+ */
+
+// Calendars hold whole ICS files, so they stay in local storage rather than sync
+const CALENDARS_STORAGE_KEY = 'calendars';
+
+// How often the agenda is redrawn so finished events drop off
+const AGENDA_RENDER_INTERVAL = 60000;
+
+const EVENT_URL_SCHEMES = ['http:', 'https:'];
+
+class CalendarAgenda {
+  constructor() {
+    this.agendaElement = document.getElementById('agenda');
+    this.calendarList = document.getElementById('calendar-list');
+    this.importButton = document.getElementById('calendar-import');
+    this.importFile = document.getElementById('calendar-import-file');
+    this.urlInput = document.getElementById('calendar-url');
+    this.addUrlButton = document.getElementById('calendar-add-url');
+
+    this.settings = window.settingsStore.get('agenda');
+    this.calendars = [];
+    // Calendar id -> { text, events }, so files are only parsed when they change
+    this.parsed = new Map();
+    this.refreshing = new Set();
+    this.interval = null;
+
+    this.init();
+  }
+
+  async init() {
+    await window.i18n.ready;
+    this.settings = window.settingsStore.get('agenda');
+    this.setupEventListeners();
+    await this.loadCalendars();
+    this.refreshStale();
+
+    this.interval = setInterval(() => {
+      this.render();
+      this.refreshStale();
+    }, AGENDA_RENDER_INTERVAL);
+  }
+
+  async loadCalendars() {
+    try {
+      const result = await chrome.storage.local.get([CALENDARS_STORAGE_KEY]);
+      this.calendars = result[CALENDARS_STORAGE_KEY] || [];
+    } catch (error) {
+      console.warn('Failed to load calendars:', error);
+    }
+    this.render();
+    this.renderCalendarList();
+  }
+
+  async saveCalendars() {
+    await chrome.storage.local.set({ [CALENDARS_STORAGE_KEY]: this.calendars });
+  }
+
+  /**
+   * Events of a calendar, parsing its ICS text if it changed
+   */
+  getEvents(calendar) {
+    const cached = this.parsed.get(calendar.id);
+    if (cached && cached.text === calendar.ics) return cached.events;
+
+    let events = [];
+    try {
+      events = IcsParser.parse(calendar.ics).events;
+    } catch (error) {
+      console.warn(`Failed to parse calendar "${calendar.name}":`, error);
+    }
+    this.parsed.set(calendar.id, { text: calendar.ics, events });
+    return events;
+  }
+
+  /**
+   * Draw today's and, if enabled, tomorrow's events
+   */
+  render() {
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+    const days = [{ label: window.i18n.t('today'), start: today, end: this.addDays(today, 1) }];
+    if (this.settings.showTomorrow) {
+      days.push({ label: window.i18n.t('tomorrow'), start: this.addDays(today, 1), end: this.addDays(today, 2) });
+    }
+
+    const events = this.calendars.flatMap(calendar =>
+      this.getEvents(calendar).map(event => ({ ...event, calendar: calendar.name }))
+    );
+
+    this.agendaElement.innerHTML = '';
+    let shown = 0;
+
+    days.forEach(day => {
+      // Today's finished events are left out
+      const from = day.start === today ? now.getTime() : day.start;
+      const occurrences = IcsParser.getOccurrences(events, from, day.end);
+      if (occurrences.length === 0) return;
+
+      const group = document.createElement('div');
+      group.className = 'agenda-day';
+      const heading = document.createElement('div');
+      heading.className = 'agenda-day-label';
+      heading.textContent = day.label;
+      group.appendChild(heading);
+
+      occurrences.forEach(occurrence => group.appendChild(this.createEventElement(occurrence, day)));
+      this.agendaElement.appendChild(group);
+      shown += occurrences.length;
+    });
+
+    this.agendaElement.classList.toggle('hidden', this.settings.hidden || shown === 0);
+  }
+
+  /**
+   * One agenda row; events with a web URL open it when clicked
+   */
+  createEventElement(occurrence, day) {
+    const { event } = occurrence;
+    const hasUrl = event.url && SettingField.hasAllowedScheme(event.url, EVENT_URL_SCHEMES);
+    const item = document.createElement(hasUrl ? 'a' : 'div');
+    item.className = 'agenda-event';
+    if (hasUrl) {
+      item.href = event.url;
+      item.target = '_blank';
+      item.rel = 'noopener noreferrer';
+    }
+    item.title = [event.summary, event.location, event.calendar].filter(Boolean).join('\n');
+
+    const time = document.createElement('span');
+    time.className = 'agenda-event-time';
+    time.textContent = this.formatEventTime(occurrence, day);
+
+    const title = document.createElement('span');
+    title.className = 'agenda-event-title';
+    title.textContent = event.summary;
+
+    item.append(time, title);
+    return item;
+  }
+
+  /**
+   * "All day", "09:30", or "Until 11:00" for an event that started on an earlier day
+   */
+  formatEventTime(occurrence, day) {
+    if (occurrence.event.allDay || (occurrence.start <= day.start && occurrence.end >= day.end)) {
+      return window.i18n.t('allDay');
+    }
+
+    const format = date => window.clockManager ? window.clockManager.formatTime(date) : DateFormatter.format(date, 'HH:mm');
+    if (occurrence.start < day.start) return window.i18n.t('eventUntil', format(new Date(occurrence.end)));
+    return format(new Date(occurrence.start));
+  }
+
+  /**
+   * Local midnight a number of days later, correct across DST changes
+   */
+  addDays(time, days) {
+    const date = new Date(time);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days).getTime();
+  }
+
+  /**
+   * Add calendars from .ics files
+   */
+  async importFiles(event) {
+    const files = [...event.target.files];
+    event.target.value = '';
+
+    for (const file of files) {
+      try {
+        const text = await file.text();
+        const calendar = IcsParser.parse(text);
+        this.calendars.push({
+          id: window.utils.generateId('calendar'),
+          name: calendar.name || file.name.replace(/\.ics$/i, ''),
+          url: null,
+          ics: text,
+          fetchedAt: new Date().toISOString(),
+          error: null
+        });
+        this.showStatus(window.i18n.plural('calendarImported', calendar.events.length, file.name), 'success');
+      } catch (error) {
+        console.error('Failed to import calendar:', error);
+        this.showStatus(window.i18n.t('calendarImportFailed', [file.name, error.message]), 'error');
+      }
+    }
+
+    await this.saveAndRender();
+  }
+
+  /**
+   * Subscribe to an ICS URL. Access to its site is requested first, while the click still counts
+   * as a user gesture.
+   */
+  async addUrl() {
+    const url = this.urlInput.value.trim().replace(/^webcal:/i, 'https:');
+    if (!SettingField.hasAllowedScheme(url, EVENT_URL_SCHEMES)) {
+      this.showStatus(window.i18n.t('calendarInvalidUrl'), 'error');
+      return;
+    }
+
+    const { protocol, hostname } = new URL(url);
+    const granted = await chrome.permissions.request({ origins: [`${protocol}//${hostname}/*`] }).catch(() => false);
+    if (!granted) {
+      this.showStatus(window.i18n.t('calendarPermissionDenied'), 'error');
+      return;
+    }
+
+    const calendar = {
+      id: window.utils.generateId('calendar'),
+      name: hostname,
+      url,
+      ics: '',
+      fetchedAt: null,
+      error: null
+    };
+
+    try {
+      await this.fetchCalendar(calendar);
+    } catch (error) {
+      this.showStatus(window.i18n.t('calendarLoadFailed', error.message), 'error');
+      return;
+    }
+
+    this.calendars.push(calendar);
+    this.urlInput.value = '';
+    await this.saveAndRender();
+    this.showStatus(window.i18n.t('calendarAdded', calendar.name), 'success');
+  }
+
+  /**
+   * Download a URL calendar into calendar.ics, throwing if it isn't a calendar
+   */
+  async fetchCalendar(calendar) {
+    const response = await fetch(calendar.url, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const text = await response.text();
+    const parsed = IcsParser.parse(text);
+    calendar.ics = text;
+    calendar.name = parsed.name || calendar.name;
+    calendar.fetchedAt = new Date().toISOString();
+    calendar.error = null;
+  }
+
+  /**
+   * Re-download URL calendars older than the refresh interval. A failed refresh keeps the
+   * last copy and records the error.
+   */
+  async refreshStale(force = false) {
+    const maxAge = this.settings.refreshMinutes * 60000;
+    const stale = this.calendars.filter(calendar => calendar.url && !this.refreshing.has(calendar.id) &&
+      (force || !calendar.fetchedAt || Date.now() - new Date(calendar.fetchedAt).getTime() >= maxAge));
+    if (stale.length === 0) return;
+
+    const refreshed = [];
+    for (const calendar of stale) {
+      const copy = { ...calendar };
+      this.refreshing.add(calendar.id);
+      try {
+        await this.fetchCalendar(copy);
+      } catch (error) {
+        console.warn(`Failed to refresh calendar "${calendar.name}":`, error);
+        copy.error = error.message;
+        // Don't retry a failing URL every minute
+        copy.fetchedAt = new Date().toISOString();
+      } finally {
+        this.refreshing.delete(calendar.id);
+      }
+      refreshed.push(copy);
+    }
+
+    await this.saveRefreshed(refreshed);
+  }
+
+  /**
+   * Put refreshed copies into the stored list by id and save it. The list is read again
+   * first so calendars another tab added, removed or refreshed in the meantime are kept;
+   * a copy older than the stored calendar is dropped.
+   */
+  async saveRefreshed(refreshed) {
+    try {
+      const result = await chrome.storage.local.get([CALENDARS_STORAGE_KEY]);
+      this.calendars = result[CALENDARS_STORAGE_KEY] || [];
+    } catch (error) {
+      console.warn('Failed to load calendars:', error);
+    }
+
+    const copies = new Map(refreshed.map(calendar => [calendar.id, calendar]));
+    this.calendars = this.calendars.map(calendar => {
+      const copy = copies.get(calendar.id);
+      return copy && (!calendar.fetchedAt || copy.fetchedAt >= calendar.fetchedAt) ? copy : calendar;
+    });
+
+    await this.saveAndRender();
+  }
+
+  async removeCalendar(calendar) {
+    if (!confirm(window.i18n.t('confirmRemoveCalendar', calendar.name))) return;
+
+    this.calendars = this.calendars.filter(existing => existing.id !== calendar.id);
+    this.parsed.delete(calendar.id);
+    await this.saveAndRender();
+  }
+
+  async saveAndRender() {
+    try {
+      await this.saveCalendars();
+    } catch (error) {
+      console.error('Failed to save calendars:', error);
+      this.showStatus(window.i18n.t('calendarSaveFailed'), 'error');
+    }
+    this.render();
+    this.renderCalendarList();
+  }
+
+  /**
+   * List calendars in the settings modal
+   */
+  renderCalendarList() {
+    this.calendarList.innerHTML = '';
+
+    if (this.calendars.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'calendar-empty';
+      empty.textContent = window.i18n.t('noCalendars');
+      this.calendarList.appendChild(empty);
+      return;
+    }
+
+    this.calendars.forEach(calendar => {
+      const row = document.createElement('div');
+      row.className = 'calendar-row';
+
+      const text = document.createElement('div');
+      text.className = 'calendar-text';
+      const name = document.createElement('span');
+      name.className = 'calendar-name';
+      name.textContent = calendar.name;
+      const detail = document.createElement('span');
+      detail.className = 'calendar-detail';
+      const count = this.getEvents(calendar).length;
+      const events = window.i18n.plural('eventCount', count);
+      detail.textContent = calendar.error
+        ? window.i18n.t('calendarRefreshFailed', calendar.error)
+        : (calendar.url ? `${events} · ${calendar.url}` : events);
+      detail.classList.toggle('error', Boolean(calendar.error));
+      text.append(name, detail);
+      row.appendChild(text);
+
+      if (calendar.url) {
+        const refresh = document.createElement('button');
+        refresh.className = 'config-button';
+        refresh.textContent = window.i18n.t('refresh');
+        refresh.addEventListener('click', () => this.refreshCalendar(calendar));
+        row.appendChild(refresh);
+      }
+
+      const remove = document.createElement('button');
+      remove.className = 'calendar-remove';
+      remove.title = window.i18n.t('remove');
+      remove.textContent = '×';
+      remove.addEventListener('click', () => this.removeCalendar(calendar));
+      row.appendChild(remove);
+
+      this.calendarList.appendChild(row);
+    });
+  }
+
+  async refreshCalendar(calendar) {
+    const copy = { ...calendar };
+    try {
+      await this.fetchCalendar(copy);
+      this.showStatus(window.i18n.t('calendarRefreshed', copy.name), 'success');
+    } catch (error) {
+      copy.error = error.message;
+      this.showStatus(window.i18n.t('calendarRefreshNamedFailed', [copy.name, error.message]), 'error');
+    }
+    await this.saveRefreshed([copy]);
+  }
+
+  showStatus(message, type) {
+    if (window.settingsManager) {
+      window.settingsManager.showStatus(message, type);
+    }
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.importButton.addEventListener('click', () => this.importFile.click());
+    this.importFile.addEventListener('change', (e) => this.importFiles(e));
+    this.addUrlButton.addEventListener('click', () => this.addUrl());
+
+    // Calendars added or refreshed in another tab
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const change = changes[CALENDARS_STORAGE_KEY];
+      if (areaName !== 'local' || !change) return;
+
+      this.calendars = change.newValue || [];
+      this.render();
+      this.renderCalendarList();
+    });
+
+    window.settingsStore.subscribe('agenda', (settings) => {
+      this.settings = settings;
+      this.render();
+    });
+
+    // Event times follow the clock's time format
+    window.settingsStore.subscribe('clock', () => this.render());
+  }
+}
+
+// Initialize calendar agenda when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.calendarAgenda = new CalendarAgenda();
+});
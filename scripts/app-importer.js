@@ -0,0 +1,387 @@
+/**
+ * App Importer
+ * Adds pinned apps from a Chrome bookmarks folder, the most visited sites or a bookmarks
+ * file, after a preview where duplicates are flagged, and exports the grid as a bookmarks
+ * file. Access to bookmarks and top sites is optional and asked for when first used.
+ */
+
+class AppImporter {
+  constructor() {
+    this.modal = document.getElementById('app-import-modal');
+    this.folderItem = document.getElementById('import-folder-item');
+    this.folderSelect = document.getElementById('import-bookmark-folder');
+    this.fileInput = document.getElementById('import-bookmarks-file');
+    this.previewElement = document.getElementById('import-preview');
+    this.summaryElement = document.getElementById('import-summary');
+    this.importButton = document.getElementById('import-apps');
+
+    // Apps from the chosen source as { app, duplicate, selected }, and folders of them
+    // as { type: 'folder', name, apps }
+    this.items = [];
+
+    this.setupEventListeners();
+  }
+
+  open() {
+    this.folderItem.classList.add('hidden');
+    this.setItems([]);
+    this.modal.classList.add('active');
+  }
+
+  close() {
+    this.modal.classList.remove('active');
+    this.items = [];
+  }
+
+  /**
+   * Ask for an optional permission, which has to happen in response to a click
+   */
+  async requestPermission(permission) {
+    const granted = await chrome.permissions.request({ permissions: [permission] }).catch(() => false);
+    if (!granted) {
+      window.pinnedAppsManager.showNotification(window.i18n.t('importPermissionDenied'), 'error');
+    }
+    return granted;
+  }
+
+  /**
+   * List the bookmark folders to choose from and preview the first, usually the bookmarks bar
+   */
+  async showBookmarks() {
+    if (!await this.requestPermission('bookmarks')) return;
+
+    try {
+      const [root] = await chrome.bookmarks.getTree();
+      this.folderSelect.innerHTML = '';
+      this.addFolderOptions(root.children, 0);
+      this.folderItem.classList.remove('hidden');
+      await this.showBookmarkFolder(this.folderSelect.value);
+    } catch (error) {
+      console.warn('Failed to read bookmarks:', error);
+      window.pinnedAppsManager.showNotification(window.i18n.t('importFailed'), 'error');
+    }
+  }
+
+  /**
+   * An option for each folder, indented to show where it is
+   */
+  addFolderOptions(nodes, depth) {
+    nodes.forEach(node => {
+      if (node.url) return;
+
+      const option = document.createElement('option');
+      option.value = node.id;
+      option.textContent = `${'\u00a0\u00a0\u00a0'.repeat(depth)}${node.title}`;
+      this.folderSelect.appendChild(option);
+      this.addFolderOptions(node.children || [], depth + 1);
+    });
+  }
+
+  /**
+   * Preview a bookmark folder. Its subfolders become grid folders holding every bookmark inside them.
+   */
+  async showBookmarkFolder(id) {
+    const [folder] = await chrome.bookmarks.getSubTree(id);
+    const collect = (nodes = []) => nodes.flatMap(node => node.url ? [{ name: node.title, url: node.url }] : collect(node.children));
+
+    this.setItems((folder.children || []).map(node => node.url
+      ? { name: node.title, url: node.url }
+      : { type: 'folder', name: node.title, apps: collect(node.children) }));
+  }
+
+  async showTopSites() {
+    if (!await this.requestPermission('topSites')) return;
+
+    try {
+      this.folderItem.classList.add('hidden');
+      const sites = await chrome.topSites.get();
+      this.setItems(sites.map(site => ({ name: site.title, url: site.url })));
+    } catch (error) {
+      console.warn('Failed to read top sites:', error);
+      window.pinnedAppsManager.showNotification(window.i18n.t('importFailed'), 'error');
+    }
+  }
+
+  async showFile(file) {
+    this.folderItem.classList.add('hidden');
+
+    try {
+      this.setItems(BookmarkFile.parse(await file.text()));
+    } catch (error) {
+      console.warn('Failed to read bookmarks file:', error);
+      window.pinnedAppsManager.showNotification(window.i18n.t('importFileFailed'), 'error');
+    }
+  }
+
+  /**
+   * Preview bookmarks as apps. Bookmarks that can't be pinned, such as bookmarklets, are
+   * left out. Apps already on the grid or earlier in the list are flagged and unticked.
+   */
+  setItems(entries) {
+    const pinnedUrls = new Set(SettingsStore.flattenPinnedApps(window.pinnedAppsManager.apps).map(app => app.url));
+    const seenUrls = new Set();
+
+    const toCandidate = (entry) => {
+      if (!SettingField.hasAllowedScheme(entry.url, APP_URL_SCHEMES)) return null;
+
+      let duplicate = null;
+      if (pinnedUrls.has(entry.url)) {
+        duplicate = 'importAlreadyPinned';
+      } else if (seenUrls.has(entry.url)) {
+        duplicate = 'importDuplicate';
+      }
+      seenUrls.add(entry.url);
+
+      const app = {
+        name: entry.name || MonogramIcon.getDomain(entry.url) || entry.url,
+        url: entry.url,
+        icon: AppImporter.getIcon(entry),
+        openMode: ''
+      };
+      // Letter icons from an exported grid keep just their style
+      const monogram = MonogramIcon.parse(entry.icon);
+      if (monogram) {
+        app.icon = '';
+        app.monogram = monogram;
+      }
+      return { app, duplicate, selected: !duplicate };
+    };
+
+    this.items = entries
+      .map(entry => entry.type === 'folder'
+        ? { type: 'folder', name: entry.name, apps: entry.apps.map(toCandidate).filter(Boolean) }
+        : toCandidate(entry))
+      .filter(item => item && (item.type !== 'folder' || item.apps.length > 0));
+
+    this.renderPreview();
+  }
+
+  /**
+   * The site's favicon, which the grid caches locally. Icons embedded in bookmarks files are
+   * left out, as a few of them would fill the sync quota; apps without an icon show their letter icon.
+   */
+  static getIcon(entry) {
+    try {
+      const { protocol, origin } = new URL(entry.url);
+      return protocol === 'http:' || protocol === 'https:' ? `${origin}/favicon.ico` : '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  renderPreview() {
+    this.previewElement.innerHTML = '';
+
+    this.items.forEach(item => {
+      if (item.type !== 'folder') {
+        this.previewElement.appendChild(this.createCandidateElement(item));
+        return;
+      }
+
+      const group = document.createElement('div');
+      group.className = 'import-folder';
+      const heading = document.createElement('strong');
+      heading.textContent = item.name || window.i18n.t('folderDefaultName');
+      group.appendChild(heading);
+      item.apps.forEach(candidate => group.appendChild(this.createCandidateElement(candidate)));
+      this.previewElement.appendChild(group);
+    });
+
+    this.previewElement.classList.toggle('hidden', this.items.length === 0);
+    this.updateSummary();
+  }
+
+  /**
+   * A checklist row for an app, with its letter icon so the preview needs no network
+   */
+  createCandidateElement(candidate) {
+    const item = document.createElement('label');
+    item.className = 'import-app';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = candidate.selected;
+    checkbox.addEventListener('change', () => {
+      candidate.selected = checkbox.checked;
+      this.updateSummary();
+    });
+
+    const icon = document.createElement('img');
+    icon.src = MonogramIcon.create({ name: candidate.app.name, url: candidate.app.url, ...(candidate.app.monogram || {}) });
+    icon.alt = '';
+
+    const name = document.createElement('span');
+    name.textContent = candidate.app.name;
+    name.title = candidate.app.url;
+
+    item.append(checkbox, icon, name);
+
+    if (candidate.duplicate) {
+      const flag = document.createElement('small');
+      flag.className = 'import-duplicate';
+      flag.textContent = window.i18n.t(candidate.duplicate);
+      item.appendChild(flag);
+    }
+    return item;
+  }
+
+  getSelectedCount() {
+    return this.items.reduce((count, item) => {
+      const candidates = item.type === 'folder' ? item.apps : [item];
+      return count + candidates.filter(candidate => candidate.selected).length;
+    }, 0);
+  }
+
+  updateSummary() {
+    const count = this.getSelectedCount();
+    this.summaryElement.textContent = this.items.length === 0
+      ? window.i18n.t('importChooseSource')
+      : window.i18n.plural('importSelectedCount', count);
+    this.importButton.disabled = count === 0;
+  }
+
+  /**
+   * Add the ticked apps to the end of the grid, keeping their folders
+   */
+  importSelected() {
+    const apps = [];
+    this.items.forEach(item => {
+      if (item.type !== 'folder') {
+        if (item.selected) apps.push(item.app);
+        return;
+      }
+
+      const folderApps = item.apps.filter(candidate => candidate.selected).map(candidate => candidate.app);
+      if (folderApps.length > 0) {
+        apps.push({
+          type: 'folder',
+          id: window.utils.generateId('folder'),
+          name: item.name || window.i18n.t('folderDefaultName'),
+          apps: folderApps
+        });
+      }
+    });
+    if (apps.length === 0) return;
+
+    const manager = window.pinnedAppsManager;
+    const count = SettingsStore.flattenPinnedApps(apps).length;
+    const fitting = AppImporter.countFitting(manager.apps, apps);
+    if (fitting < count) {
+      manager.showNotification(fitting === 0
+        ? window.i18n.t('importNoRoom')
+        : window.i18n.plural('importTooMany', fitting, window.i18n.formatNumber(count)), 'error');
+      return;
+    }
+
+    manager.changeApps(window.i18n.plural('historyImportedApps', count), list => {
+      list.push(...apps);
+    }, { toast: true });
+    manager.showPage(manager.getPageCount() - 1);
+    this.close();
+  }
+
+  /**
+   * How many apps, in order, can be added before the grid outgrows the one sync storage
+   * item it's kept in
+   */
+  static countFitting(current, apps) {
+    const list = [...current];
+    const fits = () => new TextEncoder().encode(`pinnedApps${JSON.stringify(list)}`).length <= chrome.storage.sync.QUOTA_BYTES_PER_ITEM;
+
+    let count = 0;
+    for (const item of apps) {
+      const candidates = item.type === 'folder' ? item.apps : [item];
+      const folder = item.type === 'folder' ? { ...item, apps: [] } : null;
+      if (folder) list.push(folder);
+
+      for (const app of candidates) {
+        if (folder) {
+          folder.apps.push(app);
+        } else {
+          list.push(app);
+        }
+        if (!fits()) return count;
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Download the grid, folders included, as a bookmarks file
+   */
+  exportBookmarks() {
+    const html = BookmarkFile.serialize(window.pinnedAppsManager.apps, window.i18n.t('pinnedAppsTitle'));
+    const blob = new Blob([html], { type: 'text/html' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `new-tab-apps-${new Date().toISOString().split('T')[0]}.html`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    if (window.settingsManager) {
+      window.settingsManager.showStatus(window.i18n.t('appsExported'), 'success');
+    }
+  }
+
+  setupEventListeners() {
+    document.getElementById('import-apps-button').addEventListener('click', () => {
+      this.open();
+    });
+
+    document.getElementById('close-app-import').addEventListener('click', () => {
+      this.close();
+    });
+
+    document.getElementById('import-from-bookmarks').addEventListener('click', () => {
+      this.showBookmarks();
+    });
+
+    document.getElementById('import-from-top-sites').addEventListener('click', () => {
+      this.showTopSites();
+    });
+
+    document.getElementById('import-from-file').addEventListener('click', () => {
+      this.fileInput.click();
+    });
+
+    this.fileInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        this.showFile(file);
+      }
+      // Reset file input so the same file can be chosen again
+      e.target.value = '';
+    });
+
+    this.folderSelect.addEventListener('change', () => {
+      this.showBookmarkFolder(this.folderSelect.value).catch(error => {
+        console.warn('Failed to read bookmarks:', error);
+        window.pinnedAppsManager.showNotification(window.i18n.t('importFailed'), 'error');
+      });
+    });
+
+    this.importButton.addEventListener('click', () => {
+      this.importSelected();
+    });
+
+    document.getElementById('export-apps-bookmarks').addEventListener('click', () => {
+      this.exportBookmarks();
+    });
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.close();
+      }
+    });
+  }
+}
+
+// Initialize the app importer when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.appImporter = new AppImporter();
+});
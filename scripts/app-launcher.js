@@ -0,0 +1,87 @@
+/**
+ * App Launcher
+ * Opens apps and launches workspaces.
+ * Shared by the new tab page, the popup and the service worker, so it must not touch window or the DOM.
+ */
+
+// Keyboard shortcuts launch the first few workspaces in the grid: launch-workspace-1, -2, ...
+const WORKSPACE_COMMAND_PREFIX = 'launch-workspace-';
+
+class AppLauncher {
+  /**
+   * Open a URL in one of the APP_OPEN_MODES. 'current' replaces the tab the call comes
+   * from, and opens a new tab where there isn't one, as in the service worker.
+   */
+  static async open(url, mode) {
+    switch (mode) {
+      case 'current': {
+        const tab = await chrome.tabs.getCurrent();
+        if (tab) {
+          await chrome.tabs.update(tab.id, { url });
+        } else {
+          await chrome.tabs.create({ url });
+        }
+        break;
+      }
+      case 'background':
+        await chrome.tabs.create({ url, active: false });
+        break;
+      case 'window':
+        await chrome.windows.create({ url });
+        break;
+      case 'incognito':
+        await chrome.windows.create({ url, incognito: true });
+        break;
+      default:
+        await chrome.tabs.create({ url });
+    }
+  }
+
+  /**
+   * Open every URL of a workspace together, in a new window if it asks for one, then
+   * collect the tabs into a tab group with the workspace's name and colour.
+   * The first tab is brought to the front. Resolves with the tabs opened.
+   */
+  static async launchWorkspace(workspace) {
+    if (workspace.urls.length === 0) return [];
+
+    let tabs;
+    if (workspace.newWindow) {
+      ({ tabs } = await chrome.windows.create({ url: workspace.urls, focused: true }));
+    } else {
+      tabs = [];
+      for (const url of workspace.urls) {
+        tabs.push(await chrome.tabs.create({ url, active: tabs.length === 0 }));
+      }
+    }
+
+    if (workspace.group) {
+      const groupId = await chrome.tabs.group({
+        tabIds: tabs.map(tab => tab.id),
+        createProperties: { windowId: tabs[0].windowId }
+      });
+      await chrome.tabGroups.update(groupId, { title: workspace.name, color: workspace.color });
+    }
+    return tabs;
+  }
+
+  /**
+   * The workspaces in the stored pinned apps, in grid order
+   */
+  static async loadWorkspaces() {
+    const { pinnedApps } = await chrome.storage.sync.get(['pinnedApps']);
+    return AppLauncher.getWorkspaces(pinnedApps || []);
+  }
+
+  static getWorkspaces(apps) {
+    return apps.filter(app => app.type === 'workspace');
+  }
+
+  /**
+   * Position in the grid's workspaces that a command launches, or -1 for other commands
+   */
+  static getCommandPosition(command) {
+    if (!command.startsWith(WORKSPACE_COMMAND_PREFIX)) return -1;
+    return parseInt(command.slice(WORKSPACE_COMMAND_PREFIX.length)) - 1;
+  }
+}
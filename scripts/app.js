@@ -7,6 +7,7 @@ class NewTabApp {
   constructor() {
     this.modules = {};
     this.isInitialized = false;
+    this.lastStorageError = null;
     this.init();
   }
 
@@ -20,7 +21,7 @@ class NewTabApp {
       }
     } catch (error) {
       console.error('Failed to initialize New Tab App:', error);
-      this.showError('Failed to initialize extension');
+      this.showError(window.i18n.t('initFailed'));
     }
   }
 
@@ -31,14 +32,28 @@ class NewTabApp {
     try {
       // Initialize modules in order of dependency
       await this.initializeSettingsManager();
+      await this.initializeThemeManager();
       await this.initializeBackgroundEngine();
       await this.initializeClockManager();
+      await this.initializeGreetingManager();
       await this.initializePinnedAppsManager();
+      await this.initializeWorkspaceManager();
+      await this.initializeAppImporter();
       await this.initializeStatsTracker();
+      await this.initializeFocusTimer();
+      await this.initializeReminderManager();
+      await this.initializeCalendarAgenda();
+      await this.initializeProfileManager();
+      await this.initializeHistoryManager();
       
       // Setup global event listeners
       this.setupGlobalEventListeners();
       
+      // Keep today's configuration snapshot
+      window.snapshotManager.captureDaily().catch(error => {
+        console.warn('Failed to take daily snapshot:', error);
+      });
+      
       // Mark as initialized
       this.isInitialized = true;
       
@@ -48,7 +63,7 @@ class NewTabApp {
       console.log('New Tab Extension initialized successfully');
     } catch (error) {
       console.error('Module initialization failed:', error);
-      this.showError('Failed to initialize modules');
+      this.showError(window.i18n.t('initModulesFailed'));
     }
   }
 
@@ -64,6 +79,18 @@ class NewTabApp {
     }
   }
 
+  /**
+   * Initialize Theme Manager
+   */
+  async initializeThemeManager() {
+    if (window.themeManager) {
+      this.modules.theme = window.themeManager;
+      console.log('Theme Manager initialized');
+    } else {
+      throw new Error('Theme Manager not available');
+    }
+  }
+
   /**
    * Initialize Background Engine
    */
@@ -88,6 +115,18 @@ class NewTabApp {
     }
   }
 
+  /**
+   * Initialize Greeting Manager
+   */
+  async initializeGreetingManager() {
+    if (window.greetingManager) {
+      this.modules.greeting = window.greetingManager;
+      console.log('Greeting Manager initialized');
+    } else {
+      throw new Error('Greeting Manager not available');
+    }
+  }
+
   /**
    * Initialize Pinned Apps Manager
    */
@@ -100,6 +139,30 @@ class NewTabApp {
     }
   }
 
+  /**
+   * Initialize Workspace Manager
+   */
+  async initializeWorkspaceManager() {
+    if (window.workspaceManager) {
+      this.modules.workspaces = window.workspaceManager;
+      console.log('Workspace Manager initialized');
+    } else {
+      throw new Error('Workspace Manager not available');
+    }
+  }
+
+  /**
+   * Initialize App Importer
+   */
+  async initializeAppImporter() {
+    if (window.appImporter) {
+      this.modules.importer = window.appImporter;
+      console.log('App Importer initialized');
+    } else {
+      throw new Error('App Importer not available');
+    }
+  }
+
   /**
    * Initialize Stats Tracker
    */
@@ -112,10 +175,75 @@ class NewTabApp {
     }
   }
 
+  /**
+   * Initialize Focus Timer
+   */
+  async initializeFocusTimer() {
+    if (window.focusTimer) {
+      this.modules.timer = window.focusTimer;
+      console.log('Focus Timer initialized');
+    } else {
+      throw new Error('Focus Timer not available');
+    }
+  }
+
+  /**
+   * Initialize Reminder Manager
+   */
+  async initializeReminderManager() {
+    if (window.reminderManager) {
+      this.modules.reminders = window.reminderManager;
+      console.log('Reminder Manager initialized');
+    } else {
+      throw new Error('Reminder Manager not available');
+    }
+  }
+
+  /**
+   * Initialize Calendar Agenda
+   */
+  async initializeCalendarAgenda() {
+    if (window.calendarAgenda) {
+      this.modules.agenda = window.calendarAgenda;
+      console.log('Calendar Agenda initialized');
+    } else {
+      throw new Error('Calendar Agenda not available');
+    }
+  }
+
+  /**
+   * Initialize Profile Manager
+   */
+  async initializeProfileManager() {
+    if (window.profileManager) {
+      this.modules.profiles = window.profileManager;
+      console.log('Profile Manager initialized');
+    } else {
+      throw new Error('Profile Manager not available');
+    }
+  }
+
+  /**
+   * Initialize History Manager
+   */
+  async initializeHistoryManager() {
+    if (window.historyManager) {
+      this.modules.history = window.historyManager;
+      console.log('History Manager initialized');
+    } else {
+      throw new Error('History Manager not available');
+    }
+  }
+
   /**
    * Setup global event listeners
    */
   setupGlobalEventListeners() {
+    // Surface failed saves (quota or sync rate limits) instead of failing silently
+    window.storageQueue.onError((error) => {
+      this.showStorageError(error);
+    });
+    
     // Handle file uploads for background images
     document.getElementById('bg-upload-file').addEventListener('change', async (e) => {
       await this.handleBackgroundImageUpload(e);
@@ -168,7 +296,7 @@ class NewTabApp {
       console.log(`Uploaded ${files.length} background images`);
     } catch (error) {
       console.error('Failed to upload background images:', error);
-      this.showError('Failed to upload images');
+      this.showError(window.i18n.t('uploadImagesFailed'));
     }
     
     // Reset file input
@@ -202,7 +330,7 @@ class NewTabApp {
       reader.readAsDataURL(file);
     } catch (error) {
       console.error('Failed to upload app icon:', error);
-      this.showError('Failed to upload icon');
+      this.showError(window.i18n.t('uploadIconFailed'));
     }
     
     // Reset file input
@@ -221,6 +349,34 @@ class NewTabApp {
       }
     }
     
+    // Alt + Shift + P switches to the next profile
+    if (event.altKey && event.shiftKey && event.code === 'KeyP') {
+      event.preventDefault();
+      if (this.modules.profiles) {
+        this.modules.profiles.runAction(() => this.modules.profiles.switchToNext());
+      }
+    }
+    
+    // Ctrl/Cmd + Z undoes, Ctrl/Cmd + Shift + Z redoes. Text fields keep their own undo.
+    const target = event.target;
+    const isEditing = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    if ((event.ctrlKey || event.metaKey) && event.code === 'KeyZ' && !isEditing && this.modules.history) {
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.modules.history.redo();
+      } else {
+        this.modules.history.undo();
+      }
+    }
+    
+    // Left and right arrows page through the pinned apps while no modal is open
+    const modalOpen = document.querySelector('.settings-modal.active, .app-edit-modal.active, .folder-popover.active');
+    const isArrow = event.key === 'ArrowLeft' || event.key === 'ArrowRight';
+    if (isArrow && !isEditing && !modalOpen && !event.altKey && !event.ctrlKey && !event.metaKey && this.modules.apps) {
+      const direction = event.key === 'ArrowRight' ? 1 : -1;
+      this.modules.apps.turnPage(window.i18n.isRtl() ? -direction : direction);
+    }
+    
     // Escape closes modals
     if (event.key === 'Escape') {
       this.closeAllModals();
@@ -241,6 +397,21 @@ class NewTabApp {
     if (appEditModal) {
       appEditModal.classList.remove('active');
     }
+    
+    // Close the workspace editor
+    if (this.modules.workspaces) {
+      this.modules.workspaces.closeEditor();
+    }
+    
+    // Close the app import preview
+    if (this.modules.importer) {
+      this.modules.importer.close();
+    }
+    
+    // Close an open folder
+    if (this.modules.apps) {
+      this.modules.apps.closeFolder();
+    }
   }
 
   /**
@@ -323,6 +494,20 @@ class NewTabApp {
     }, 5000);
   }
 
+  /**
+   * Show a storage error, at most once a minute for the same kind of failure
+   */
+  showStorageError(error) {
+    const now = Date.now();
+    if (this.lastStorageError && this.lastStorageError.reason === error.reason &&
+        now - this.lastStorageError.time < 60000) {
+      return;
+    }
+    
+    this.lastStorageError = { reason: error.reason, time: now };
+    this.showError(error.message);
+  }
+
   /**
    * Get module instance
    */
@@ -344,34 +529,20 @@ window.newTabApp = new NewTabApp();
 // Expose utility functions globally
 window.utils = {
   /**
-   * Format time in 12/24 hour format
+   * Format time in 12/24 hour format, or with a DateFormatter pattern
    */
-  formatTime: (hours, minutes, seconds, format24 = false, showSeconds = true) => {
-    let formattedHours = hours;
-    let period = '';
-    
-    if (!format24) {
-      period = hours >= 12 ? ' PM' : ' AM';
-      formattedHours = hours % 12 || 12;
-    }
-    
-    const timeString = `${String(formattedHours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
-    const secondsString = showSeconds ? `:${String(seconds).padStart(2, '0')}` : '';
-    
-    return timeString + secondsString + period;
+  formatTime: (hours, minutes, seconds, format24 = false, showSeconds = true, pattern = '') => {
+    return DateFormatter.formatFields(
+      { hours, minutes, seconds },
+      pattern || DateFormatter.defaultTimePattern(format24, showSeconds)
+    );
   },
 
   /**
-   * Format date
+   * Format date with a DateFormatter pattern, or in full in the page language
    */
-  formatDate: (date) => {
-    const options = { 
-      weekday: 'long', 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    };
-    return date.toLocaleDateString(undefined, options);
+  formatDate: (date, pattern) => {
+    return pattern ? DateFormatter.format(date, pattern) : DateFormatter.formatLongDate(date);
   },
 
   /**
@@ -6,30 +6,7 @@
 class BackgroundEngine {
   constructor() {
     this.backgroundContainer = document.getElementById('background-container');
-    this.settings = {
-      backgroundType: 'upload', // upload, color, gradient, api
-      uploadSettings: {
-        images: [],
-        cycle: 'refresh', // refresh, newtab
-        order: 'random', // random, sequential
-        currentIndex: 0
-      },
-      colorSettings: {
-        color: '#1a1a1a'
-      },
-      gradientSettings: {
-        type: 'linear',
-        color1: '#667eea',
-        color2: '#764ba2'
-      },
-      apiSettings: {
-        source: 'unsplash',
-        apiKey: '',
-        query: 'nature',
-        images: [],
-        currentIndex: 0
-      }
-    };
+    this.settings = window.settingsStore.get('background');
     
     this.imageCache = new Map();
     this.init();
@@ -42,40 +19,53 @@ class BackgroundEngine {
   }
 
   /**
-   * Load background settings from storage
+   * Load background settings from the settings store
    */
   async loadSettings() {
-    try {
-      const result = await chrome.storage.sync.get(['backgroundSettings']);
-      if (result.backgroundSettings) {
-        this.settings = { ...this.settings, ...result.backgroundSettings };
-      }
-    } catch (error) {
-      console.warn('Failed to load background settings:', error);
-    }
+    await window.settingsStore.ready;
+    this.settings = window.settingsStore.get('background');
+    await this.migrateUploadedImages();
   }
 
   /**
-   * Save background settings to storage
+   * One-time move of data URLs saved by older versions into the image library
    */
-  async saveSettings() {
+  async migrateUploadedImages() {
+    const images = this.settings.uploadSettings.images;
+    if (!images.some(image => typeof image === 'string' && image.startsWith('data:'))) return;
+
+    const migrated = await window.imageLibrary.migrateDataUrls(images);
+    this.settings.uploadSettings.images = migrated;
+    this.settings.uploadSettings.currentIndex = 0;
+    await this.saveState('uploadSettings', { images: migrated, currentIndex: 0 });
+  }
+
+  /**
+   * Persist a bookkeeping value (cycle index, fetched images) without
+   * re-applying the background through the store subscription
+   */
+  async saveState(path, value) {
     try {
-      await chrome.storage.sync.set({ backgroundSettings: this.settings });
+      await window.settingsStore.set(`background.${path}`, value, { silent: true });
     } catch (error) {
-      console.warn('Failed to save background settings:', error);
+      console.warn('Failed to save background state:', error);
     }
   }
 
   /**
-   * Apply the current background based on settings
+   * Apply the current background based on settings. When the light/dark schedule
+   * is on, the day or night configuration can choose a different type or colour.
    */
   async applyBackground() {
-    switch (this.settings.backgroundType) {
+    const variant = window.themeManager ? window.themeManager.getVariant() : null;
+    const type = variant && variant.background !== 'inherit' ? variant.background : this.settings.type;
+
+    switch (type) {
       case 'upload':
         await this.applyUploadBackground();
         break;
       case 'color':
-        this.applyColorBackground();
+        this.applyColorBackground(variant && variant.background === 'color' ? variant.color : undefined);
         break;
       case 'gradient':
         this.applyGradientBackground();
@@ -108,18 +98,21 @@ class BackgroundEngine {
       uploadSettings.currentIndex = (uploadSettings.currentIndex + 1) % uploadSettings.images.length;
     }
 
-    const imageUrl = uploadSettings.images[imageIndex];
+    const imageUrl = await this.getUploadedImageUrl(uploadSettings.images[imageIndex]);
+    if (!imageUrl) {
+      this.applyColorBackground();
+      return;
+    }
     await this.setBackgroundImage(imageUrl);
     
     // Save the updated index
-    await this.saveSettings();
+    await this.saveState('uploadSettings.currentIndex', uploadSettings.currentIndex);
   }
 
   /**
    * Apply solid color background
    */
-  applyColorBackground() {
-    const color = this.settings.colorSettings.color;
+  applyColorBackground(color = this.settings.colorSettings.color) {
     this.backgroundContainer.style.backgroundImage = 'none';
     this.backgroundContainer.style.backgroundColor = color;
   }
@@ -157,6 +150,7 @@ class BackgroundEngine {
       // Check if we need to fetch new images
       if (apiSettings.images.length === 0) {
         await this.fetchApiImages();
+        await this.saveState('apiSettings.images', apiSettings.images);
       }
 
       if (apiSettings.images.length > 0) {
@@ -173,7 +167,7 @@ class BackgroundEngine {
         await this.setBackgroundImage(imageUrl);
         
         // Save the updated index
-        await this.saveSettings();
+        await this.saveState('apiSettings.currentIndex', apiSettings.currentIndex);
       }
     } catch (error) {
       console.error('Failed to apply API background:', error);
@@ -240,41 +234,59 @@ class BackgroundEngine {
     });
   }
 
+  /**
+   * Get an object URL for an uploaded image ID, cached for the page lifetime
+   */
+  async getUploadedImageUrl(imageId) {
+    if (!this.imageCache.has(imageId)) {
+      const url = await window.imageLibrary.getObjectUrl(imageId);
+      if (!url) return null;
+      this.imageCache.set(imageId, url);
+    }
+    return this.imageCache.get(imageId);
+  }
+
   /**
    * Add uploaded image
    */
   async addUploadedImage(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      
-      reader.onload = async (e) => {
-        const imageDataUrl = e.target.result;
-        this.settings.uploadSettings.images.push(imageDataUrl);
-        await this.saveSettings();
-        resolve(imageDataUrl);
-      };
-      
-      reader.onerror = () => {
-        reject(new Error('Failed to read file'));
-      };
-      
-      reader.readAsDataURL(file);
-    });
+    const imageId = await window.imageLibrary.add(file);
+    const images = [...this.settings.uploadSettings.images, imageId];
+    
+    try {
+      await window.settingsStore.set('background.uploadSettings.images', images, { silent: true });
+    } catch (error) {
+      // Don't leave an orphaned blob behind if the ID could not be saved
+      await window.imageLibrary.remove(imageId);
+      throw error;
+    }
+    
+    this.settings.uploadSettings.images = images;
+    return imageId;
   }
 
   /**
-   * Remove uploaded image
+   * Remove uploaded image. The blob stays in the library so the removal can be
+   * undone; HistoryManager deletes it once the undo entry is gone.
    */
   async removeUploadedImage(index) {
     if (index >= 0 && index < this.settings.uploadSettings.images.length) {
-      this.settings.uploadSettings.images.splice(index, 1);
+      const [imageId] = this.settings.uploadSettings.images.splice(index, 1);
       
       // Adjust current index if necessary
       if (this.settings.uploadSettings.currentIndex >= this.settings.uploadSettings.images.length) {
         this.settings.uploadSettings.currentIndex = 0;
       }
       
-      await this.saveSettings();
+      await window.settingsStore.set('background.uploadSettings', {
+        images: this.settings.uploadSettings.images,
+        currentIndex: this.settings.uploadSettings.currentIndex
+      }, { silent: true });
+      
+      if (this.imageCache.has(imageId)) {
+        URL.revokeObjectURL(this.imageCache.get(imageId));
+        this.imageCache.delete(imageId);
+      }
     }
   }
 
@@ -283,7 +295,6 @@ class BackgroundEngine {
    */
   async updateSettings(newSettings) {
     this.settings = { ...this.settings, ...newSettings };
-    await this.saveSettings();
     await this.applyBackground();
   }
 
@@ -294,9 +305,9 @@ class BackgroundEngine {
     const uploadSettings = this.settings.uploadSettings;
     const apiSettings = this.settings.apiSettings;
     
-    if (this.settings.backgroundType === 'upload' && uploadSettings.cycle === 'newtab') {
+    if (this.settings.type === 'upload' && uploadSettings.cycle === 'newtab') {
       this.applyUploadBackground();
-    } else if (this.settings.backgroundType === 'api' && apiSettings.cycle === 'newtab') {
+    } else if (this.settings.type === 'api' && apiSettings.cycle === 'newtab') {
       this.applyApiBackground();
     }
   }
@@ -305,9 +316,9 @@ class BackgroundEngine {
    * Setup event listeners
    */
   setupEventListeners() {
-    // Listen for settings changes
-    document.addEventListener('backgroundSettingsChanged', async (event) => {
-      await this.updateSettings(event.detail);
+    // Listen for changes to the background section of the settings store
+    window.settingsStore.subscribe('background', async (settings) => {
+      await this.updateSettings(settings);
     });
 
     // Handle new tab background cycling
@@ -0,0 +1,485 @@
+/**
+ * Backup Manager
+ * Builds and restores single-file backups of settings, pinned apps,
+ * background images, usage stats and profiles
+ */
+
+const BACKUP_FORMAT = 'aesthetic-new-tab-backup';
+const BACKUP_VERSION = 1;
+
+// Same keys the ProfileManager and StatsTracker use in chrome.storage.local
+const BACKUP_PROFILES_KEY = 'settingsProfiles';
+const BACKUP_STATS_KEY = 'statsData';
+
+// Shape of the StatsTracker data
+const BACKUP_STATS_SCHEMA = {
+  totalUsageTime: new SettingField('number', 0, { min: 0 }),
+  tabsOpenedToday: new SettingField('number', 0, { min: 0, integer: true }),
+  totalTabsOpened: new SettingField('number', 0, { min: 0, integer: true }),
+  firstUseDate: new SettingField('string', null, { nullable: true }),
+  lastActiveDate: new SettingField('string', null, { nullable: true }),
+  trackersBlocked: new SettingField('number', 0, { min: 0, integer: true }),
+  sessions: new SettingField('array', []),
+  totalFocusTime: new SettingField('number', 0, { min: 0 }),
+  focusSessions: new SettingField('array', [])
+};
+
+// Message key of each section's label, in display order
+const BACKUP_SECTIONS = {
+  settings: 'backupSectionSettings',
+  pinnedApps: 'backupSectionPinnedApps',
+  images: 'backupSectionImages',
+  stats: 'backupSectionStats',
+  profiles: 'backupSectionProfiles'
+};
+
+class BackupManager {
+  constructor(store = window.settingsStore, imageLibrary = window.imageLibrary) {
+    this.store = store;
+    this.imageLibrary = imageLibrary;
+  }
+
+  /**
+   * Collect everything into a backup object
+   */
+  async createBackup() {
+    await this.store.ready;
+
+    const [sync, local, images] = await Promise.all([
+      chrome.storage.sync.get(['pinnedApps']),
+      chrome.storage.local.get([BACKUP_PROFILES_KEY, BACKUP_STATS_KEY]),
+      this.imageLibrary.getAll()
+    ]);
+
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      settings: this.store.getSaved(),
+      pinnedApps: sync.pinnedApps || [],
+      images: await Promise.all(images.map(async record => ({
+        id: record.id,
+        name: record.name,
+        type: record.type,
+        createdAt: record.createdAt,
+        data: await this.blobToDataUrl(record.blob)
+      }))),
+      stats: local[BACKUP_STATS_KEY] || null,
+      profiles: local[BACKUP_PROFILES_KEY] || null
+    };
+  }
+
+  /**
+   * Parse and check a backup file. Older raw storage exports are converted.
+   * Throws if the file is unusable; otherwise invalid entries are left out and
+   * listed in backup.problems so the valid parts can still be imported.
+   */
+  parseBackup(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(window.i18n.t('backupInvalidJson'));
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(window.i18n.t('backupInvalidFormat'));
+    }
+
+    if (data.format !== BACKUP_FORMAT) {
+      data = this.convertLegacyExport(data);
+    } else if (data.version > BACKUP_VERSION) {
+      throw new Error(window.i18n.t('backupNewerVersion'));
+    }
+
+    const backup = { createdAt: data.createdAt || null, problems: [] };
+    const present = section => data[section] !== undefined && data[section] !== null;
+
+    if (present('settings')) {
+      const { settings, problems } = this.store.validate(data.settings, { legacy: data.legacySettings || {} });
+      backup.problems.push(...this.prefixProblems(problems, 'settings'));
+      // Leave the section out entirely rather than importing nothing but defaults
+      if (!problems.some(problem => problem.path === '')) {
+        backup.settings = settings;
+      }
+    }
+
+    if (present('pinnedApps')) {
+      const { apps, problems } = this.store.validatePinnedApps(data.pinnedApps);
+      backup.pinnedApps = apps;
+      backup.problems.push(...problems);
+    }
+
+    if (present('images')) {
+      backup.images = this.validateImages(data.images, backup.problems);
+    }
+
+    if (present('stats')) {
+      const stats = this.store.validateNode(
+        BACKUP_STATS_SCHEMA, SettingsStore.createDefaults(BACKUP_STATS_SCHEMA), data.stats, 'stats', backup.problems);
+      backup.stats = stats;
+    }
+
+    if (present('profiles')) {
+      backup.profiles = this.validateProfiles(data.profiles, backup.problems);
+    }
+
+    if (!BackupManager.sectionKeys().some(section => backup[section] !== undefined)) {
+      throw new Error(window.i18n.t('backupEmpty'));
+    }
+
+    return backup;
+  }
+
+  /**
+   * Keep images that have an ID and image data
+   */
+  validateImages(images, problems) {
+    if (!Array.isArray(images)) {
+      problems.push({ path: 'images', message: window.i18n.t('problemExpectedList', JSON.stringify(images)) });
+      return undefined;
+    }
+
+    return images.filter((image, index) => {
+      const valid = image && typeof image.id === 'string' && image.id !== '' &&
+        typeof image.data === 'string' && image.data.startsWith('data:image/');
+      if (!valid) {
+        problems.push({ path: `images[${index}]`, message: window.i18n.t('problemExpectedImage') });
+      }
+      return valid;
+    });
+  }
+
+  /**
+   * Validate each stored profile's settings and pinned apps
+   */
+  validateProfiles(data, problems) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.profiles)) {
+      problems.push({ path: 'profiles', message: window.i18n.t('problemExpectedProfiles') });
+      return undefined;
+    }
+
+    const profiles = [];
+    data.profiles.forEach((profile, index) => {
+      const path = `profiles[${index}]`;
+      if (!profile || typeof profile.id !== 'string' || typeof profile.name !== 'string' || !profile.name.trim()) {
+        problems.push({ path, message: window.i18n.t('problemExpectedProfile') });
+        return;
+      }
+
+      const result = { ...profile };
+      if (profile.settings) {
+        const { settings, problems: settingsProblems } = this.store.validate(profile.settings);
+        result.settings = settings;
+        problems.push(...this.prefixProblems(settingsProblems, `${path}.settings`));
+      }
+      if (profile.pinnedApps) {
+        const { apps, problems: appProblems } = this.store.validatePinnedApps(profile.pinnedApps, `${path}.pinnedApps`);
+        result.pinnedApps = apps;
+        problems.push(...appProblems);
+      }
+      profiles.push(result);
+    });
+
+    if (profiles.length === 0) {
+      return undefined;
+    }
+
+    const activeId = profiles.some(profile => profile.id === data.activeId) ? data.activeId : profiles[0].id;
+    return { activeId, profiles };
+  }
+
+  /**
+   * Prefix problem paths with the section they came from
+   */
+  prefixProblems(problems, prefix) {
+    return problems.map(({ path, message }) => ({ path: path ? `${prefix}.${path}` : prefix, message }));
+  }
+
+  /**
+   * Map a raw chrome.storage.sync dump (the old export format) onto backup sections
+   */
+  convertLegacyExport(data) {
+    const hasLegacySettings = LEGACY_SETTINGS_KEYS.some(key => data[key]);
+
+    return {
+      settings: data[SETTINGS_STORAGE_KEY] || (hasLegacySettings ? {} : undefined),
+      legacySettings: data,
+      pinnedApps: data.pinnedApps,
+      stats: data.statsData
+    };
+  }
+
+  /**
+   * Describe what importing each section would change
+   */
+  async planImport(backup) {
+    await this.store.ready;
+
+    const [sync, local, images] = await Promise.all([
+      chrome.storage.sync.get(['pinnedApps']),
+      chrome.storage.local.get([BACKUP_PROFILES_KEY]),
+      this.imageLibrary.getAll()
+    ]);
+    const currentApps = sync.pinnedApps || [];
+    const currentImageIds = new Set(images.map(image => image.id));
+    const currentProfiles = (local[BACKUP_PROFILES_KEY] || { profiles: [] }).profiles;
+    const i18n = window.i18n;
+    const number = value => i18n.formatNumber(value);
+
+    return BackupManager.sectionKeys().map(section => {
+      const plan = {
+        section,
+        label: i18n.t(BACKUP_SECTIONS[section]),
+        available: backup[section] !== undefined,
+        summary: i18n.t('backupSectionMissing')
+      };
+      if (!plan.available) return plan;
+
+      switch (section) {
+        case 'settings': {
+          const differences = this.store.diffPaths(this.store.getSaved(), backup.settings).length;
+          plan.summary = differences === 0
+            ? i18n.t('backupSettingsSame')
+            : i18n.plural('backupSettingsDiffer', differences);
+          break;
+        }
+        case 'pinnedApps': {
+          const added = SettingsStore.flattenPinnedApps(this.getNewApps(backup.pinnedApps, currentApps)).length;
+          plan.summary = i18n.plural('backupAppsSummary', SettingsStore.flattenPinnedApps(backup.pinnedApps).length, [
+            number(added),
+            number(SettingsStore.flattenPinnedApps(currentApps).length)
+          ]);
+          break;
+        }
+        case 'images': {
+          const added = backup.images.filter(image => !currentImageIds.has(image.id)).length;
+          plan.summary = i18n.plural('backupImagesSummary', backup.images.length, [number(added), number(currentImageIds.size)]);
+          break;
+        }
+        case 'stats':
+          plan.summary = i18n.t('backupStatsSummary', [
+            i18n.formatDuration(backup.stats.totalUsageTime || 0),
+            number(backup.stats.totalTabsOpened || 0),
+            number((backup.stats.sessions || []).length)
+          ]);
+          break;
+        case 'profiles': {
+          const currentIds = new Set(currentProfiles.map(profile => profile.id));
+          const added = backup.profiles.profiles.filter(profile => !currentIds.has(profile.id)).length;
+          plan.summary = i18n.plural('backupProfilesSummary', backup.profiles.profiles.length, [number(added), number(currentProfiles.length)]);
+          break;
+        }
+      }
+
+      return plan;
+    });
+  }
+
+  /**
+   * Import the chosen sections. modes maps section -> 'merge' | 'replace' | 'skip'.
+   * All values are prepared before writing; a failed write rolls back what was written.
+   */
+  async applyImport(backup, modes) {
+    const wants = section => backup[section] !== undefined && (modes[section] === 'merge' || modes[section] === 'replace');
+
+    const [sync, local, currentImages] = await Promise.all([
+      chrome.storage.sync.get([SETTINGS_STORAGE_KEY, 'pinnedApps']),
+      chrome.storage.local.get([BACKUP_PROFILES_KEY, BACKUP_STATS_KEY]),
+      this.imageLibrary.getAll()
+    ]);
+
+    const syncUpdates = {};
+    const localUpdates = {};
+
+    if (wants('settings')) {
+      syncUpdates[SETTINGS_STORAGE_KEY] = modes.settings === 'replace'
+        ? backup.settings
+        : this.mergeSettings(this.store.getSaved(), backup.settings);
+    }
+
+    if (wants('pinnedApps')) {
+      const currentApps = sync.pinnedApps || [];
+      syncUpdates.pinnedApps = modes.pinnedApps === 'replace'
+        ? backup.pinnedApps
+        : [...currentApps, ...this.getNewApps(backup.pinnedApps, currentApps)];
+    }
+
+    if (wants('stats')) {
+      localUpdates[BACKUP_STATS_KEY] = modes.stats === 'replace'
+        ? backup.stats
+        : this.mergeStats(local[BACKUP_STATS_KEY] || {}, backup.stats);
+    }
+
+    if (wants('profiles')) {
+      const current = local[BACKUP_PROFILES_KEY];
+      if (modes.profiles === 'replace' || !current) {
+        localUpdates[BACKUP_PROFILES_KEY] = backup.profiles;
+      } else {
+        const currentIds = new Set(current.profiles.map(profile => profile.id));
+        localUpdates[BACKUP_PROFILES_KEY] = {
+          ...current,
+          profiles: [...current.profiles, ...backup.profiles.profiles.filter(profile => !currentIds.has(profile.id))]
+        };
+      }
+    }
+
+    // Decode every image up front so a corrupt entry fails before anything is written
+    const currentImageIds = new Set(currentImages.map(image => image.id));
+    let imagesToAdd = [];
+    let imagesToRemove = [];
+    if (wants('images')) {
+      const backupIds = new Set(backup.images.map(image => image.id));
+      imagesToAdd = await Promise.all(backup.images
+        .filter(image => !currentImageIds.has(image.id))
+        .map(async image => ({ ...image, blob: await this.dataUrlToBlob(image.data) })));
+      if (modes.images === 'replace') {
+        imagesToRemove = [...currentImageIds].filter(id => !backupIds.has(id));
+      }
+    }
+
+    const addedImageIds = [];
+    let syncWritten = false;
+    try {
+      for (const image of imagesToAdd) {
+        await this.imageLibrary.restore(image);
+        addedImageIds.push(image.id);
+      }
+
+      if (Object.keys(syncUpdates).length > 0) {
+        await chrome.storage.sync.set(syncUpdates);
+        syncWritten = true;
+      }
+      if (Object.keys(localUpdates).length > 0) {
+        await chrome.storage.local.set(localUpdates);
+      }
+    } catch (error) {
+      await this.rollback(addedImageIds, syncWritten ? sync : null, Object.keys(syncUpdates));
+      throw error;
+    }
+
+    // Removing replaced images is the only destructive step, so it runs last. Images the
+    // imported settings or profiles still use are kept.
+    await this.imageLibrary.removeUnused(imagesToRemove);
+  }
+
+  /**
+   * Undo a partially applied import
+   */
+  async rollback(addedImageIds, previousSync, syncKeys) {
+    try {
+      for (const id of addedImageIds) {
+        await this.imageLibrary.remove(id);
+      }
+
+      if (previousSync) {
+        const restore = {};
+        const remove = [];
+        syncKeys.forEach(key => {
+          if (previousSync[key] === undefined) {
+            remove.push(key);
+          } else {
+            restore[key] = previousSync[key];
+          }
+        });
+        if (Object.keys(restore).length > 0) await chrome.storage.sync.set(restore);
+        if (remove.length > 0) await chrome.storage.sync.remove(remove);
+      }
+    } catch (error) {
+      console.error('Failed to roll back import:', error);
+    }
+  }
+
+  /**
+   * Imported settings win; uploaded image lists are combined
+   */
+  mergeSettings(current, incoming) {
+    const merged = structuredClone(incoming);
+    const images = [...current.background.uploadSettings.images];
+    incoming.background.uploadSettings.images.forEach(id => {
+      if (!images.includes(id)) images.push(id);
+    });
+    merged.background.uploadSettings.images = images;
+    return merged;
+  }
+
+  /**
+   * Apps and folders from a backup whose URLs aren't pinned yet, plus workspaces not already
+   * here. Folders keep only their new apps and are left out if none are new.
+   */
+  getNewApps(incoming, current) {
+    const currentUrls = new Set(SettingsStore.flattenPinnedApps(current).map(app => app.url));
+    const currentWorkspaceIds = new Set(current.filter(app => app.type === 'workspace').map(workspace => workspace.id));
+    return incoming
+      .map(app => app.type === 'folder'
+        ? { ...app, apps: app.apps.filter(folderApp => !currentUrls.has(folderApp.url)) }
+        : app)
+      .filter(app => {
+        if (app.type === 'folder') return app.apps.length > 0;
+        if (app.type === 'workspace') return !currentWorkspaceIds.has(app.id);
+        return !currentUrls.has(app.url);
+      });
+  }
+
+  /**
+   * Keep the larger totals and the union of session history
+   */
+  mergeStats(current, incoming) {
+    const sessions = [...(current.sessions || [])];
+    const seen = new Set(sessions.map(session => session.date));
+    (incoming.sessions || []).forEach(session => {
+      if (!seen.has(session.date)) sessions.push(session);
+    });
+    sessions.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const focusSessions = [...(current.focusSessions || [])];
+    const seenFocus = new Set(focusSessions.map(session => session.id));
+    (incoming.focusSessions || []).forEach(session => {
+      if (!seenFocus.has(session.id)) focusSessions.push(session);
+    });
+    focusSessions.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const earliest = [current.firstUseDate, incoming.firstUseDate]
+      .filter(Boolean)
+      .sort((a, b) => new Date(a) - new Date(b))[0] || null;
+
+    return {
+      ...incoming,
+      ...current,
+      totalUsageTime: Math.max(current.totalUsageTime || 0, incoming.totalUsageTime || 0),
+      totalTabsOpened: Math.max(current.totalTabsOpened || 0, incoming.totalTabsOpened || 0),
+      trackersBlocked: Math.max(current.trackersBlocked || 0, incoming.trackersBlocked || 0),
+      totalFocusTime: Math.max(current.totalFocusTime || 0, incoming.totalFocusTime || 0),
+      firstUseDate: earliest,
+      sessions,
+      focusSessions
+    };
+  }
+
+  /**
+   * Read a blob as a data URL
+   */
+  blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Failed to read image'));
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Decode a data URL into a blob
+   */
+  async dataUrlToBlob(dataUrl) {
+    const response = await fetch(dataUrl);
+    return response.blob();
+  }
+
+  /**
+   * Section keys in display order
+   */
+  static sectionKeys() {
+    return Object.keys(BACKUP_SECTIONS);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * Bookmark File
+ * Reads and writes the Netscape bookmarks HTML format that browsers import and export
+ * (bookmarks.html). Folders in the grid hold apps only, so bookmarks nested deeper than
+ * one folder are gathered into their outermost folder.
+ */
+
+class BookmarkFile {
+  /**
+   * Pinned items from a bookmarks file: apps as { name, url, icon } and folders as
+   * { type: 'folder', name, apps }. A file whose top level is a single folder, as Chrome
+   * writes it with the bookmarks bar, is read from inside that folder.
+   */
+  static parse(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const root = doc.querySelector('dl');
+    if (!root) {
+      throw new Error('Not a bookmarks file');
+    }
+
+    let entries = BookmarkFile.readList(root);
+    if (entries.length === 1 && entries[0].type === 'folder') {
+      entries = entries[0].entries;
+    }
+
+    return entries
+      .map(entry => entry.type === 'folder'
+        ? { type: 'folder', name: entry.name, apps: BookmarkFile.collect(entry.entries) }
+        : entry)
+      .filter(item => item.type !== 'folder' || item.apps.length > 0);
+  }
+
+  /**
+   * Bookmarks and folders directly in a <DL>. The HTML parser puts a folder's <DL> inside
+   * its <DT>, but some exporters leave it as the next sibling, so both are looked for.
+   */
+  static readList(list) {
+    const entries = [];
+
+    Array.from(list.children).forEach(element => {
+      if (element.tagName !== 'DT') return;
+
+      const link = element.querySelector(':scope > a[href]');
+      const heading = element.querySelector(':scope > h3');
+      if (link) {
+        entries.push({
+          name: link.textContent.trim(),
+          url: link.getAttribute('href'),
+          icon: link.getAttribute('icon') || ''
+        });
+      } else if (heading) {
+        let folderList = element.querySelector(':scope > dl');
+        if (!folderList && element.nextElementSibling && element.nextElementSibling.tagName === 'DL') {
+          folderList = element.nextElementSibling;
+        }
+        entries.push({
+          type: 'folder',
+          name: heading.textContent.trim(),
+          entries: folderList ? BookmarkFile.readList(folderList) : []
+        });
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * Every bookmark in a list of entries, including those in nested folders
+   */
+  static collect(entries) {
+    return entries.flatMap(entry => entry.type === 'folder' ? BookmarkFile.collect(entry.entries) : [entry]);
+  }
+
+  /**
+   * A bookmarks file for pinned items. Workspaces only point at other apps, so they're left out.
+   */
+  static serialize(apps, title = 'Bookmarks') {
+    const now = Math.floor(Date.now() / 1000);
+    const link = (app, indent) => {
+      // Browsers only take icons embedded in the file. Letter icons are drawn so they go
+      // with the app, and importing the file reads their style back.
+      const iconUrl = app.monogram ? MonogramIcon.create({ name: app.name, url: app.url, ...app.monogram }) : app.icon;
+      const icon = iconUrl && iconUrl.startsWith('data:') ? ` ICON="${BookmarkFile.escape(iconUrl)}"` : '';
+      return `${indent}<DT><A HREF="${BookmarkFile.escape(app.url)}" ADD_DATE="${now}"${icon}>${BookmarkFile.escape(app.name)}</A>`;
+    };
+
+    const lines = [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<!-- This is an automatically generated file.',
+      '     It will be read and overwritten.',
+      '     DO NOT EDIT! -->',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      `<TITLE>${BookmarkFile.escape(title)}</TITLE>`,
+      `<H1>${BookmarkFile.escape(title)}</H1>`,
+      '<DL><p>'
+    ];
+
+    apps.forEach(app => {
+      if (app.type === 'folder') {
+        lines.push(`    <DT><H3 ADD_DATE="${now}">${BookmarkFile.escape(app.name)}</H3>`);
+        lines.push('    <DL><p>');
+        app.apps.forEach(folderApp => lines.push(link(folderApp, '        ')));
+        lines.push('    </DL><p>');
+      } else if (app.type !== 'workspace') {
+        lines.push(link(app, '    '));
+      }
+    });
+
+    lines.push('</DL><p>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  static escape(text) {
+    return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+  }
+}
@@ -8,63 +8,52 @@ class ClockManager {
     this.clockElement = document.getElementById('clock');
     this.dateElement = document.getElementById('date');
     this.clockContainer = document.getElementById('clock-container');
+    this.worldClocksElement = document.getElementById('world-clocks');
+    this.analogElement = document.getElementById('analog-clock');
     
-    this.settings = {
-      showClock: true,
-      showSeconds: false,
-      use24HourFormat: false,
-      showDate: true
-    };
+    this.settings = window.settingsStore.get('clock');
     
     this.interval = null;
+    // Callbacks run on every clock tick, for widgets that change with the time of day
+    this.tickListeners = [];
     this.init();
   }
 
   async init() {
+    this.buildAnalogFace();
     await this.loadSettings();
     this.startClock();
     this.setupEventListeners();
   }
 
   /**
-   * Load clock settings from storage
+   * Load clock settings from the settings store
    */
   async loadSettings() {
-    try {
-      const result = await chrome.storage.sync.get(['clockSettings']);
-      if (result.clockSettings) {
-        this.settings = { ...this.settings, ...result.clockSettings };
-      }
-      this.applySettings();
-    } catch (error) {
-      console.warn('Failed to load clock settings:', error);
-    }
-  }
-
-  /**
-   * Save clock settings to storage
-   */
-  async saveSettings() {
-    try {
-      await chrome.storage.sync.set({ clockSettings: this.settings });
-    } catch (error) {
-      console.warn('Failed to save clock settings:', error);
-    }
+    await window.i18n.ready;
+    this.settings = window.settingsStore.get('clock');
+    this.applySettings();
   }
 
   /**
    * Apply current settings to the UI
    */
   applySettings() {
-    if (this.settings.showClock) {
+    if (!this.settings.hidden) {
       this.clockContainer.classList.remove('hidden');
     } else {
       this.clockContainer.classList.add('hidden');
       return;
     }
 
+    const analog = this.settings.style === 'analog';
+    this.clockElement.classList.toggle('hidden', analog);
+    this.analogElement.classList.toggle('hidden', !analog);
+
     // Update clock format
     this.updateClock();
+    this.updateDate();
+    this.renderWorldClocks();
   }
 
   /**
@@ -75,7 +64,7 @@ class ClockManager {
     this.updateDate();
     
     // Update every second if showing seconds, otherwise every minute
-    const interval = this.settings.showSeconds ? 1000 : 60000;
+    const interval = this.ticksEverySecond() ? 1000 : 60000;
     
     if (this.interval) {
       clearInterval(this.interval);
@@ -84,34 +73,187 @@ class ClockManager {
     this.interval = setInterval(() => {
       this.updateClock();
       this.updateDate();
+      this.updateWorldClocks();
+      this.notifyTick();
     }, interval);
   }
 
+  /**
+   * Run a callback with the current time on every tick (at least once a minute).
+   * Returns a function that removes it.
+   */
+  onTick(callback) {
+    this.tickListeners.push(callback);
+    return () => {
+      this.tickListeners = this.tickListeners.filter(listener => listener !== callback);
+    };
+  }
+
+  notifyTick() {
+    const now = new Date();
+    this.tickListeners.forEach(listener => {
+      try {
+        listener(now);
+      } catch (error) {
+        console.error('Clock tick listener failed:', error);
+      }
+    });
+  }
+
   /**
    * Update the time display
    */
   updateClock() {
     const now = new Date();
-    let hours = now.getHours();
-    const minutes = now.getMinutes();
-    const seconds = now.getSeconds();
 
-    let timeString = '';
-    
-    if (this.settings.use24HourFormat) {
-      timeString = `${this.padZero(hours)}:${this.padZero(minutes)}`;
+    if (this.settings.style === 'analog') {
+      this.updateAnalogClock(now);
     } else {
-      const ampm = hours >= 12 ? 'PM' : 'AM';
-      hours = hours % 12;
-      hours = hours ? hours : 12; // 0 should be 12
-      timeString = `${this.padZero(hours)}:${this.padZero(minutes)} ${ampm}`;
+      this.clockElement.textContent = this.formatTime(now);
     }
+  }
+
+  /**
+   * Format a time with the custom time pattern, or the 12/24-hour and seconds settings
+   */
+  formatTime(date, timeZone) {
+    return DateFormatter.format(date, this.getTimePattern(), { timeZone });
+  }
+
+  getTimePattern() {
+    return this.settings.timePattern ||
+      DateFormatter.defaultTimePattern(this.settings.format === '24', this.settings.showSeconds);
+  }
+
+  /**
+   * Whether anything on screen changes every second
+   */
+  ticksEverySecond() {
+    if (this.settings.style === 'analog') return this.settings.showSeconds;
+    return DateFormatter.usesSeconds(this.getTimePattern());
+  }
+
+  /**
+   * Add the hour marks to the analog clock face
+   */
+  buildAnalogFace() {
+    const ticks = this.analogElement.querySelector('.analog-ticks');
 
-    if (this.settings.showSeconds) {
-      timeString += `:${this.padZero(seconds)}`;
+    for (let hour = 0; hour < 12; hour++) {
+      const tick = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      tick.setAttribute('x1', '50');
+      tick.setAttribute('y1', hour % 3 === 0 ? '8' : '10');
+      tick.setAttribute('x2', '50');
+      tick.setAttribute('y2', '14');
+      tick.setAttribute('transform', `rotate(${hour * 30} 50 50)`);
+      ticks.appendChild(tick);
     }
+  }
+
+  /**
+   * Point the analog clock hands at the current time. The second hand is only shown with seconds on.
+   */
+  updateAnalogClock(now) {
+    const seconds = now.getSeconds();
+    const minutes = now.getMinutes() + seconds / 60;
+    const hours = (now.getHours() % 12) + minutes / 60;
+    const rotate = (selector, degrees) => {
+      this.analogElement.querySelector(selector).setAttribute('transform', `rotate(${degrees} 50 50)`);
+    };
 
-    this.clockElement.textContent = timeString;
+    rotate('.analog-hour', hours * 30);
+    // Without a second hand the minute hand only moves once a minute, so keep it on the mark
+    rotate('.analog-minute', (this.settings.showSeconds ? minutes : Math.floor(minutes)) * 6);
+    rotate('.analog-second', seconds * 6);
+    this.analogElement.querySelector('.analog-second').classList.toggle('hidden', !this.settings.showSeconds);
+    this.analogElement.setAttribute('aria-label', this.formatTime(now));
+  }
+
+  /**
+   * Build one element per configured world clock. Times are filled in by updateWorldClocks.
+   */
+  renderWorldClocks() {
+    this.worldClocksElement.innerHTML = '';
+
+    this.settings.worldClocks.forEach(worldClock => {
+      const item = document.createElement('div');
+      item.className = 'world-clock';
+      item.dataset.timeZone = worldClock.timeZone;
+      item.title = worldClock.timeZone;
+
+      const label = document.createElement('span');
+      label.className = 'world-clock-label';
+      label.textContent = worldClock.label;
+
+      const time = document.createElement('span');
+      time.className = 'world-clock-time';
+
+      const offset = document.createElement('span');
+      offset.className = 'world-clock-offset';
+
+      item.append(label, time, offset);
+      this.worldClocksElement.appendChild(item);
+    });
+
+    this.worldClocksElement.classList.toggle('hidden', this.settings.worldClocks.length === 0);
+    this.updateWorldClocks();
+  }
+
+  /**
+   * Update the time, offset and day indicator of each world clock
+   */
+  updateWorldClocks() {
+    const now = new Date();
+    const local = this.getWallTime(now);
+
+    this.worldClocksElement.querySelectorAll('.world-clock').forEach(item => {
+      let zone;
+      try {
+        zone = this.getWallTime(now, item.dataset.timeZone);
+      } catch (error) {
+        // The zone was valid when saved but this browser doesn't know it
+        item.querySelector('.world-clock-time').textContent = '--:--';
+        return;
+      }
+
+      item.querySelector('.world-clock-time').textContent = DateFormatter.formatFields(zone, this.getTimePattern());
+
+      const offsetMinutes = Math.round((zone.timestamp - local.timestamp) / 60000);
+      const dayDifference = Math.round((zone.dayStart - local.dayStart) / 86400000);
+      const parts = [this.formatOffset(offsetMinutes)];
+      if (dayDifference !== 0) {
+        parts.push(window.i18n.formatNumber(dayDifference, { style: 'unit', unit: 'day', signDisplay: 'always' }));
+      }
+      item.querySelector('.world-clock-offset').textContent = parts.join(window.i18n.t('listSeparator'));
+    });
+  }
+
+  /**
+   * Wall-clock time for an instant in a time zone (local time when omitted).
+   * timestamp and dayStart treat that wall time as if it were UTC, so two zones
+   * can be compared by subtraction.
+   */
+  getWallTime(date, timeZone) {
+    const fields = DateFormatter.getFields(date, timeZone);
+
+    return {
+      ...fields,
+      timestamp: Date.UTC(fields.year, fields.month - 1, fields.day, fields.hours, fields.minutes, fields.seconds),
+      dayStart: Date.UTC(fields.year, fields.month - 1, fields.day)
+    };
+  }
+
+  /**
+   * Describe an offset from local time, e.g. "+5h 30m", "-8h" or "Same time"
+   */
+  formatOffset(offsetMinutes) {
+    if (offsetMinutes === 0) return window.i18n.t('sameTime');
+
+    const sign = offsetMinutes > 0 ? '+' : '-';
+    const hours = Math.floor(Math.abs(offsetMinutes) / 60);
+    const minutes = Math.abs(offsetMinutes) % 60;
+    const unit = (value, name) => window.i18n.formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'narrow' });
+    return sign + (minutes ? window.i18n.t('durationHoursMinutes', [unit(hours, 'hour'), unit(minutes, 'minute')]) : unit(hours, 'hour'));
   }
 
   /**
@@ -124,37 +266,23 @@ class ClockManager {
     }
 
     const now = new Date();
-    const options = { 
-      weekday: 'long', 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    };
-    
-    const dateString = now.toLocaleDateString('en-US', options);
-    this.dateElement.textContent = dateString;
+    this.dateElement.textContent = this.settings.datePattern
+      ? DateFormatter.format(now, this.settings.datePattern)
+      : DateFormatter.formatLongDate(now);
     this.dateElement.classList.remove('hidden');
   }
 
-  /**
-   * Pad single digits with leading zero
-   */
-  padZero(num) {
-    return num.toString().padStart(2, '0');
-  }
-
   /**
    * Update clock settings
    */
   updateSettings(newSettings) {
-    const oldShowSeconds = this.settings.showSeconds;
+    const oldTicksEverySecond = this.ticksEverySecond();
     this.settings = { ...this.settings, ...newSettings };
     
     this.applySettings();
-    this.saveSettings();
     
-    // Restart clock if seconds setting changed
-    if (oldShowSeconds !== this.settings.showSeconds) {
+    // Restart clock if it now needs to tick more or less often
+    if (oldTicksEverySecond !== this.ticksEverySecond()) {
       this.startClock();
     }
   }
@@ -163,9 +291,9 @@ class ClockManager {
    * Setup event listeners for settings changes
    */
   setupEventListeners() {
-    // Listen for settings changes from settings module
-    document.addEventListener('clockSettingsChanged', (event) => {
-      this.updateSettings(event.detail);
+    // Listen for changes to the clock section of the settings store
+    window.settingsStore.subscribe('clock', (settings) => {
+      this.updateSettings(settings);
     });
   }
 
@@ -0,0 +1,174 @@
+/**
+ * Date Formatter
+ * Formats dates and times from token patterns like "HH:mm" or "dddd, MMMM D".
+ * Used by the clock, world clocks, window.utils and the reminder notifications in the
+ * service worker, so it must not touch the DOM.
+ */
+
+// Longest tokens first so "MMMM" is not read as four "M"s. Text in [brackets] is kept as is.
+const DATE_PATTERN_TOKENS = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DDDD|DDD|DD|D|dddd|ddd|HH|H|hh|h|mm|m|ss|s|A|a|WW|W/g;
+
+class DateFormatter {
+  /**
+   * Format a date with a pattern. With a timeZone (e.g. "Asia/Tokyo") the wall time
+   * in that zone is used, otherwise local time. Names follow the page language.
+   */
+  static format(date, pattern, { timeZone, locale } = {}) {
+    return DateFormatter.formatFields(DateFormatter.getFields(date, timeZone), pattern, locale);
+  }
+
+  /**
+   * The date written out in full the way the language does it, e.g. "Monday, 19 October 2026".
+   * Used when no date pattern is set.
+   */
+  static formatLongDate(date, { timeZone, locale = DateFormatter.getLocale() } = {}) {
+    return new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeZone }).format(date);
+  }
+
+  /**
+   * A short date in the page language, e.g. "2 Nov 2026"
+   */
+  static formatShortDate(date, { timeZone, locale = DateFormatter.getLocale() } = {}) {
+    return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone }).format(date);
+  }
+
+  /**
+   * Locale for names: the page language once i18n is loaded. Read through self, which is
+   * the window on pages, so this also works in the service worker.
+   */
+  static getLocale() {
+    return self.i18n ? self.i18n.getLocale() : undefined;
+  }
+
+  /**
+   * Format already split date parts ({ year, month, day, hours, minutes, seconds }).
+   * Parts a pattern doesn't use may be left out.
+   */
+  static formatFields(fields, pattern, locale = DateFormatter.getLocale()) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const twelveHour = fields.hours % 12 || 12;
+
+    return pattern.replace(DATE_PATTERN_TOKENS, (token, literal) => {
+      if (literal !== undefined) return literal;
+
+      switch (token) {
+        case 'YYYY': return String(fields.year);
+        case 'YY': return pad(fields.year % 100);
+        case 'MMMM': return DateFormatter.getName(fields, 'month', 'long', locale);
+        case 'MMM': return DateFormatter.getName(fields, 'month', 'short', locale);
+        case 'MM': return pad(fields.month);
+        case 'M': return String(fields.month);
+        case 'DDDD': return pad(DateFormatter.getDayOfYear(fields), 3);
+        case 'DDD': return String(DateFormatter.getDayOfYear(fields));
+        case 'DD': return pad(fields.day);
+        case 'D': return String(fields.day);
+        case 'dddd': return DateFormatter.getName(fields, 'weekday', 'long', locale);
+        case 'ddd': return DateFormatter.getName(fields, 'weekday', 'short', locale);
+        case 'HH': return pad(fields.hours);
+        case 'H': return String(fields.hours);
+        case 'hh': return pad(twelveHour);
+        case 'h': return String(twelveHour);
+        case 'mm': return pad(fields.minutes);
+        case 'm': return String(fields.minutes);
+        case 'ss': return pad(fields.seconds);
+        case 's': return String(fields.seconds);
+        case 'A': return DateFormatter.getDayPeriod(fields, locale);
+        case 'a': return DateFormatter.getDayPeriod(fields, locale).toLowerCase();
+        case 'WW': return pad(DateFormatter.getIsoWeek(fields));
+        case 'W': return String(DateFormatter.getIsoWeek(fields));
+        default: return token;
+      }
+    });
+  }
+
+  /**
+   * Split a date into wall-clock parts, in local time or the given time zone
+   */
+  static getFields(date, timeZone) {
+    if (!timeZone) {
+      return {
+        year: date.getFullYear(),
+        month: date.getMonth() + 1,
+        day: date.getDate(),
+        hours: date.getHours(),
+        minutes: date.getMinutes(),
+        seconds: date.getSeconds()
+      };
+    }
+
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    const parts = {};
+    formatter.formatToParts(date).forEach(part => {
+      parts[part.type] = Number(part.value);
+    });
+
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hours: parts.hour,
+      minutes: parts.minute,
+      seconds: parts.second
+    };
+  }
+
+  /**
+   * Localized month or weekday name for the date in fields
+   */
+  static getName(fields, part, width, locale) {
+    const date = new Date(Date.UTC(fields.year, fields.month - 1, fields.day));
+    return new Intl.DateTimeFormat(locale, { [part]: width, timeZone: 'UTC' }).format(date);
+  }
+
+  /**
+   * Localized AM/PM marker for the hour in fields
+   */
+  static getDayPeriod(fields, locale) {
+    const date = new Date(Date.UTC(2000, 0, 1, fields.hours));
+    const parts = new Intl.DateTimeFormat(locale, { hour: 'numeric', hour12: true, timeZone: 'UTC' }).formatToParts(date);
+    const period = parts.find(part => part.type === 'dayPeriod');
+    return period ? period.value : (fields.hours >= 12 ? 'PM' : 'AM');
+  }
+
+  /**
+   * Day of the year, 1-366
+   */
+  static getDayOfYear(fields) {
+    return (Date.UTC(fields.year, fields.month - 1, fields.day) - Date.UTC(fields.year, 0, 1)) / 86400000 + 1;
+  }
+
+  /**
+   * ISO 8601 week number: weeks start on Monday and week 1 contains the year's first Thursday
+   */
+  static getIsoWeek(fields) {
+    const date = new Date(Date.UTC(fields.year, fields.month - 1, fields.day));
+    const weekday = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - weekday);
+    const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+    return Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+  }
+
+  /**
+   * The time pattern used when no custom one is set
+   */
+  static defaultTimePattern(format24, showSeconds) {
+    const seconds = showSeconds ? ':ss' : '';
+    return format24 ? `HH:mm${seconds}` : `hh:mm${seconds} A`;
+  }
+
+  /**
+   * Whether a pattern shows seconds, so the clock knows to tick every second
+   */
+  static usesSeconds(pattern) {
+    return (pattern.match(DATE_PATTERN_TOKENS) || []).some(token => token === 's' || token === 'ss');
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Focus Timer State
+ * The running focus, break or countdown timer, shared by every new tab and the service worker.
+ * Loaded with importScripts() in the service worker, so it must not touch window or the DOM.
+ */
+
+// Local rather than sync: a running timer belongs to this browser
+const FOCUS_TIMER_STORAGE_KEY = 'focusTimer';
+const FOCUS_TIMER_ALARM = 'focus-timer';
+
+// Finished timers wait here until a new tab adds them to the usage stats
+const FOCUS_TIMER_COMPLETED_LIMIT = 50;
+
+// Alarms can fire slightly early or late; treat anything this close to the end as finished
+const FOCUS_TIMER_TOLERANCE_MS = 1000;
+
+// Changes a new tab can ask the service worker to make
+const FOCUS_TIMER_ACTIONS = ['start', 'pause', 'resume', 'stop', 'acknowledge'];
+
+class FocusTimerState {
+  /**
+   * A stopped timer. phase is 'idle', 'work', 'break' or 'countdown'.
+   * A running timer has endsAt, a paused one has remaining (ms).
+   */
+  static createIdle(completed = []) {
+    return {
+      phase: 'idle',
+      id: null,
+      label: '',
+      duration: 0,
+      endsAt: null,
+      remaining: null,
+      // Phase to start automatically when this one ends, e.g. { phase: 'break', duration }
+      next: null,
+      completed
+    };
+  }
+
+  static async load() {
+    const result = await chrome.storage.local.get([FOCUS_TIMER_STORAGE_KEY]);
+    return { ...FocusTimerState.createIdle(), ...result[FOCUS_TIMER_STORAGE_KEY] };
+  }
+
+  /**
+   * Save the state and point the alarm at the end of the running phase
+   */
+  static async save(state) {
+    await chrome.storage.local.set({ [FOCUS_TIMER_STORAGE_KEY]: state });
+
+    if (state.endsAt) {
+      await chrome.alarms.create(FOCUS_TIMER_ALARM, { when: state.endsAt });
+    } else {
+      await chrome.alarms.clear(FOCUS_TIMER_ALARM);
+    }
+  }
+
+  /**
+   * Ask the service worker to run one of FOCUS_TIMER_ACTIONS, so a page's change is queued
+   * with the worker finishing the timer instead of overwriting it. Resolves to the new state.
+   */
+  static async request(action, ...args) {
+    const response = await chrome.runtime.sendMessage({ type: 'focus-timer-change', action, args });
+    if (!response || response.error) {
+      throw new Error(response ? response.error : 'The service worker did not answer');
+    }
+    return response.state;
+  }
+
+  /**
+   * Read, change and save the state. change returns the new state.
+   * Only the service worker calls this; pages go through request().
+   */
+  static async update(change) {
+    const state = change(await FocusTimerState.load());
+    await FocusTimerState.save(state);
+    return state;
+  }
+
+  /**
+   * Start a phase lasting duration ms, replacing whatever was running
+   */
+  static start(phase, duration, { label = '', next = null } = {}) {
+    return FocusTimerState.update(state => FocusTimerState.begin(state, phase, duration, { label, next }));
+  }
+
+  static begin(state, phase, duration, { label = '', next = null } = {}) {
+    const now = Date.now();
+    return {
+      ...state,
+      phase,
+      id: `${phase}-${now}`,
+      label,
+      duration,
+      endsAt: now + duration,
+      remaining: null,
+      next
+    };
+  }
+
+  static pause() {
+    return FocusTimerState.update(state => {
+      if (!state.endsAt) return state;
+      return { ...state, endsAt: null, remaining: Math.max(0, state.endsAt - Date.now()) };
+    });
+  }
+
+  static resume() {
+    return FocusTimerState.update(state => {
+      if (state.remaining === null) return state;
+      return { ...state, endsAt: Date.now() + state.remaining, remaining: null };
+    });
+  }
+
+  /**
+   * Stop without recording anything. Finished timers not yet in the stats are kept.
+   */
+  static stop() {
+    return FocusTimerState.update(state => FocusTimerState.createIdle(state.completed));
+  }
+
+  /**
+   * Finish the running phase if its time is up, queueing it for the stats and starting
+   * the next phase. Resolves to the finished entry, or null if nothing was due.
+   */
+  static async completeIfDue(now = Date.now()) {
+    const state = await FocusTimerState.load();
+    if (!state.endsAt || state.endsAt > now + FOCUS_TIMER_TOLERANCE_MS) return null;
+
+    const entry = {
+      id: state.id,
+      type: state.phase,
+      label: state.label,
+      duration: Math.round(state.duration / 1000),
+      completedAt: new Date(state.endsAt).toISOString()
+    };
+    const completed = [...state.completed, entry].slice(-FOCUS_TIMER_COMPLETED_LIMIT);
+
+    const next = state.next
+      ? FocusTimerState.begin({ ...state, completed }, state.next.phase, state.next.duration)
+      : FocusTimerState.createIdle(completed);
+    await FocusTimerState.save(next);
+
+    return { entry, next };
+  }
+
+  /**
+   * Remove finished entries once they have been recorded
+   */
+  static acknowledge(ids) {
+    return FocusTimerState.update(state => ({
+      ...state,
+      completed: state.completed.filter(entry => !ids.includes(entry.id))
+    }));
+  }
+
+  /**
+   * Milliseconds left in the current phase
+   */
+  static getRemaining(state, now = Date.now()) {
+    if (state.endsAt) return Math.max(0, state.endsAt - now);
+    return state.remaining || 0;
+  }
+}
@@ -0,0 +1,249 @@
+/**
+ * Focus Timer
+ * Focus/break timer and date countdown shown under the clock. The timer itself lives in
+ * FocusTimerState, so every new tab shows the same remaining time and the service worker
+ * finishes it when no tab is open.
+ */
+
+// Message keys of the label shown for each phase
+const FOCUS_TIMER_PHASE_LABELS = {
+  idle: 'focusTimerFocus',
+  work: 'focusTimerFocus',
+  break: 'focusTimerBreak',
+  countdown: 'focusTimerCountdown'
+};
+
+class FocusTimer {
+  constructor() {
+    this.container = document.getElementById('focus-timer');
+    this.phaseElement = document.getElementById('focus-timer-phase');
+    this.timeElement = document.getElementById('focus-timer-time');
+    this.focusButton = document.getElementById('focus-timer-focus');
+    this.breakButton = document.getElementById('focus-timer-break');
+    this.countdownButton = document.getElementById('focus-timer-countdown');
+    this.pauseButton = document.getElementById('focus-timer-pause');
+    this.stopButton = document.getElementById('focus-timer-stop');
+    this.countdownForm = document.getElementById('focus-countdown-form');
+    this.countdownLabel = document.getElementById('focus-countdown-label');
+    this.countdownTarget = document.getElementById('focus-countdown-target');
+
+    this.settings = window.settingsStore.get('timer');
+    this.state = FocusTimerState.createIdle();
+    this.interval = null;
+    // Phase the service worker has already been asked to finish
+    this.checkRequestedFor = null;
+
+    this.init();
+  }
+
+  async init() {
+    await window.i18n.ready;
+    this.settings = window.settingsStore.get('timer');
+    this.setupEventListeners();
+    await this.loadState();
+  }
+
+  /**
+   * Load the shared timer state
+   */
+  async loadState() {
+    try {
+      this.setState(await FocusTimerState.load());
+    } catch (error) {
+      console.warn('Failed to load focus timer:', error);
+      this.render();
+    }
+  }
+
+  /**
+   * Show a new state and hand any finished timers to the stats
+   */
+  setState(state) {
+    this.state = state;
+    this.render();
+    this.tick();
+    this.recordCompleted();
+  }
+
+  /**
+   * Start a focus session, followed by a break if breaks start automatically
+   */
+  async startFocus() {
+    const next = this.settings.autoStartBreaks
+      ? { phase: 'break', duration: this.settings.breakMinutes * 60000 }
+      : null;
+    await this.run(() => FocusTimerState.request('start', 'work', this.settings.workMinutes * 60000, { next }));
+  }
+
+  async startBreak() {
+    await this.run(() => FocusTimerState.request('start', 'break', this.settings.breakMinutes * 60000));
+  }
+
+  /**
+   * Start counting down to the date and time entered in the countdown form
+   */
+  async startCountdown() {
+    const target = new Date(this.countdownTarget.value);
+    const duration = target.getTime() - Date.now();
+
+    if (!this.countdownTarget.value || Number.isNaN(duration) || duration <= 0) {
+      this.countdownTarget.setCustomValidity(window.i18n.t('countdownInPast'));
+      this.countdownTarget.reportValidity();
+      return;
+    }
+
+    await this.run(() => FocusTimerState.request('start', 'countdown', duration, { label: this.countdownLabel.value.trim() }));
+    this.hideCountdownForm();
+  }
+
+  async togglePause() {
+    await this.run(() => this.state.endsAt ? FocusTimerState.request('pause') : FocusTimerState.request('resume'));
+  }
+
+  async stop() {
+    await this.run(() => FocusTimerState.request('stop'));
+  }
+
+  /**
+   * Apply a state change, showing it here straight away. Other tabs pick it up from storage.
+   */
+  async run(change) {
+    try {
+      this.setState(await change());
+    } catch (error) {
+      console.error('Failed to update focus timer:', error);
+      if (window.newTabApp) {
+        window.newTabApp.showError(window.i18n.t('timerUpdateFailed'));
+      }
+    }
+  }
+
+  /**
+   * Add finished timers to the usage stats, then clear them from the shared state once
+   * they are written, so they aren't lost if the write fails
+   */
+  async recordCompleted() {
+    const completed = this.state.completed;
+    if (completed.length === 0 || !window.statsTracker) return;
+
+    try {
+      await window.statsTracker.ready;
+      const saved = window.statsTracker.recordFocusSessions(completed);
+      await window.storageQueue.flush(chrome.storage.local);
+      await saved;
+      await FocusTimerState.request('acknowledge', completed.map(entry => entry.id));
+    } catch (error) {
+      console.warn('Failed to record focus sessions:', error);
+    }
+  }
+
+  /**
+   * Update the controls for the current phase
+   */
+  render() {
+    this.container.classList.toggle('hidden', this.settings.hidden);
+
+    const idle = this.state.phase === 'idle';
+    const paused = this.state.remaining !== null;
+
+    this.phaseElement.textContent = this.state.phase === 'countdown' && this.state.label
+      ? this.state.label
+      : window.i18n.t(FOCUS_TIMER_PHASE_LABELS[this.state.phase]);
+    this.container.classList.toggle('running', !idle && !paused);
+    this.container.classList.toggle('paused', paused);
+
+    this.focusButton.classList.toggle('hidden', !idle);
+    this.breakButton.classList.toggle('hidden', !idle);
+    this.countdownButton.classList.toggle('hidden', !idle);
+    this.pauseButton.classList.toggle('hidden', idle);
+    this.stopButton.classList.toggle('hidden', idle);
+    this.pauseButton.textContent = window.i18n.t(paused ? 'focusTimerResume' : 'focusTimerPause');
+
+    this.updateTime();
+
+    // Only tick while something is counting down
+    clearInterval(this.interval);
+    this.interval = this.state.endsAt ? setInterval(() => this.tick(), 1000) : null;
+  }
+
+  /**
+   * Refresh the remaining time, asking the service worker to finish the timer once it reaches zero
+   */
+  tick() {
+    this.updateTime();
+
+    if (this.state.endsAt && this.state.endsAt <= Date.now() && this.checkRequestedFor !== this.state.id) {
+      this.checkRequestedFor = this.state.id;
+      chrome.runtime.sendMessage({ type: 'focus-timer-check' }).catch(() => {});
+    }
+  }
+
+  updateTime() {
+    const remaining = this.state.phase === 'idle'
+      ? this.settings.workMinutes * 60000
+      : FocusTimerState.getRemaining(this.state);
+    this.timeElement.textContent = this.formatRemaining(remaining);
+  }
+
+  /**
+   * Format milliseconds as "mm:ss", "h:mm:ss" or "3d 04:05:06"
+   */
+  formatRemaining(milliseconds) {
+    const totalSeconds = Math.ceil(milliseconds / 1000);
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = value => String(value).padStart(2, '0');
+
+    if (days > 0) return `${days}d ${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+    if (hours > 0) return `${hours}:${pad(minutes)}:${pad(seconds)}`;
+    return `${pad(minutes)}:${pad(seconds)}`;
+  }
+
+  showCountdownForm() {
+    this.countdownForm.classList.remove('hidden');
+    this.countdownTarget.focus();
+  }
+
+  hideCountdownForm() {
+    this.countdownForm.classList.add('hidden');
+    this.countdownForm.reset();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.focusButton.addEventListener('click', () => this.startFocus());
+    this.breakButton.addEventListener('click', () => this.startBreak());
+    this.countdownButton.addEventListener('click', () => this.showCountdownForm());
+    this.pauseButton.addEventListener('click', () => this.togglePause());
+    this.stopButton.addEventListener('click', () => this.stop());
+
+    this.countdownForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.startCountdown();
+    });
+    this.countdownForm.addEventListener('reset', () => this.countdownForm.classList.add('hidden'));
+    this.countdownTarget.addEventListener('input', () => this.countdownTarget.setCustomValidity(''));
+
+    // Timer started, paused or finished in another tab or by the service worker
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const change = changes[FOCUS_TIMER_STORAGE_KEY];
+      if (areaName !== 'local' || !change) return;
+
+      this.setState({ ...FocusTimerState.createIdle(), ...change.newValue });
+    });
+
+    window.settingsStore.subscribe('timer', (settings) => {
+      this.settings = settings;
+      this.render();
+    });
+  }
+}
+
+// Initialize focus timer when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.focusTimer = new FocusTimer();
+});
@@ -0,0 +1,109 @@
+/**
+ * Greeting
+ * Shows "Good morning, Sam" under the clock, with a rotating line of the user's own messages
+ */
+
+// Message key of the greeting for each period of the day, keyed by the setting holding the hour it starts at
+const GREETING_PERIODS = [
+  { key: 'morningStart', message: 'goodMorning' },
+  { key: 'afternoonStart', message: 'goodAfternoon' },
+  { key: 'eveningStart', message: 'goodEvening' },
+  { key: 'nightStart', message: 'goodNight' }
+];
+
+class GreetingManager {
+  constructor() {
+    this.element = document.getElementById('greeting');
+    this.textElement = document.getElementById('greeting-text');
+    this.messageElement = document.getElementById('greeting-message');
+
+    this.settings = window.settingsStore.get('greeting');
+
+    this.init();
+  }
+
+  async init() {
+    await window.i18n.ready;
+    this.settings = window.settingsStore.get('greeting');
+    this.setupEventListeners();
+    this.update();
+  }
+
+  /**
+   * Redraw the greeting and message for a time. Only changed text is written,
+   * as this runs on every clock tick.
+   */
+  update(now = new Date()) {
+    this.element.classList.toggle('hidden', this.settings.hidden);
+    if (this.settings.hidden) return;
+
+    const greeting = this.getGreeting(now);
+    if (this.textElement.textContent !== greeting) {
+      this.textElement.textContent = greeting;
+    }
+
+    const message = this.getMessage(now);
+    if (this.messageElement.textContent !== (message || '')) {
+      this.messageElement.textContent = message || '';
+    }
+    this.messageElement.classList.toggle('hidden', !message);
+  }
+
+  /**
+   * "Good evening, Sam", or just "Good evening" without a name
+   */
+  getGreeting(date) {
+    const { message } = this.getPeriod(date);
+    const name = this.settings.name.trim();
+    return name ? window.i18n.t(`${message}Name`, name) : window.i18n.t(message);
+  }
+
+  /**
+   * The period a time falls in. Boundaries are sorted, so they work in any order, and
+   * hours before the earliest one belong to the last period of the previous day.
+   */
+  getPeriod(date) {
+    const hour = date.getHours();
+    const periods = GREETING_PERIODS
+      .map(period => ({ message: period.message, start: this.settings[period.key] }))
+      .sort((a, b) => a.start - b.start);
+
+    let current = periods[periods.length - 1];
+    periods.forEach(period => {
+      if (hour >= period.start) current = period;
+    });
+    return current;
+  }
+
+  /**
+   * The message due at a time: today's messages take turns, each shown for rotateMinutes
+   */
+  getMessage(date) {
+    const day = date.getDay();
+    const messages = this.settings.messages.filter(message =>
+      message.days.length === 0 || message.days.includes(day)
+    );
+    if (messages.length === 0) return null;
+
+    const slot = Math.floor(date.getTime() / (this.settings.rotateMinutes * 60000));
+    return messages[slot % messages.length].text;
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // The clock ticks at least once a minute, so a new period shows without a reload
+    window.clockManager.onTick((now) => this.update(now));
+
+    window.settingsStore.subscribe('greeting', (settings) => {
+      this.settings = settings;
+      this.update();
+    });
+  }
+}
+
+// Initialize greeting when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.greetingManager = new GreetingManager();
+});
@@ -0,0 +1,306 @@
+/**
+ * History Manager
+ * Undo/redo for pinned app and settings changes, kept for the browser session
+ */
+
+// chrome.storage.session survives reloads but is cleared when the browser closes
+const HISTORY_STORAGE_KEY = 'undoHistory';
+const HISTORY_LIMIT = 30;
+const TOAST_DURATION = 6000;
+
+// Library images that settings entries refer to. Removed images are kept while an entry
+// can restore them, and checked again next session as the history doesn't outlive the browser.
+const HISTORY_IMAGES_KEY = 'undoImages';
+
+class HistoryManager {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.toast = null;
+    this.toastTimeout = null;
+
+    this.init();
+  }
+
+  async init() {
+    await window.i18n.ready;
+    const loaded = await this.loadHistory();
+    this.setupEventListeners();
+
+    if (loaded && !this.canUndo() && !this.canRedo()) {
+      this.releaseExpiredImages();
+    }
+  }
+
+  /**
+   * Load history from session storage. Resolves with whether it could be read.
+   */
+  async loadHistory() {
+    try {
+      const result = await chrome.storage.session.get([HISTORY_STORAGE_KEY]);
+      const history = result[HISTORY_STORAGE_KEY];
+      if (history) {
+        this.undoStack = history.undo || [];
+        this.redoStack = history.redo || [];
+      }
+      return true;
+    } catch (error) {
+      console.warn('Failed to load undo history:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Save history to session storage, dropping the oldest entries if it is too large
+   */
+  async saveHistory() {
+    try {
+      await chrome.storage.session.set({
+        [HISTORY_STORAGE_KEY]: { undo: this.undoStack, redo: this.redoStack }
+      });
+    } catch (error) {
+      if (this.undoStack.length + this.redoStack.length <= 1) {
+        console.warn('Failed to save undo history:', error);
+        return;
+      }
+      const undoCut = Math.floor(this.undoStack.length / 2);
+      const redoCut = Math.floor(this.redoStack.length / 2);
+      const discarded = [...this.undoStack.slice(0, undoCut), ...this.redoStack.slice(0, redoCut)];
+      this.undoStack = this.undoStack.slice(undoCut);
+      this.redoStack = this.redoStack.slice(redoCut);
+      await this.saveHistory();
+      await this.releaseImages(discarded);
+    }
+  }
+
+  /**
+   * Record a change. type is 'apps' (a pinned apps list) or 'settings'
+   * (a full saved settings object); before and after are snapshots of it.
+   */
+  async record(type, label, before, after, options = {}) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+    if (type === 'settings') {
+      await this.trackImages([...ImageLibrary.getSettingsImages(before), ...ImageLibrary.getSettingsImages(after)]);
+    }
+
+    this.undoStack.push({
+      type,
+      label,
+      before: structuredClone(before),
+      after: structuredClone(after),
+      time: Date.now()
+    });
+    const discarded = [...this.undoStack.slice(0, -HISTORY_LIMIT), ...this.redoStack];
+    this.undoStack = this.undoStack.slice(-HISTORY_LIMIT);
+    this.redoStack = [];
+    await this.saveHistory();
+    await this.releaseImages(discarded);
+
+    if (options.toast !== false) {
+      this.showToast(label, window.i18n.t('undo'), () => this.undo());
+    }
+  }
+
+  /**
+   * Undo the most recent change
+   */
+  async undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return;
+
+    try {
+      await this.applyState(entry.type, entry.before);
+    } catch (error) {
+      this.undoStack.push(entry);
+      console.error('Failed to undo:', error);
+      this.showToast(window.i18n.t('undoFailed'));
+      return;
+    }
+
+    this.redoStack.push(entry);
+    await this.saveHistory();
+    this.showToast(window.i18n.t('undone', entry.label), window.i18n.t('redo'), () => this.redo());
+  }
+
+  /**
+   * Redo the most recently undone change
+   */
+  async redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return;
+
+    try {
+      await this.applyState(entry.type, entry.after);
+    } catch (error) {
+      this.redoStack.push(entry);
+      console.error('Failed to redo:', error);
+      this.showToast(window.i18n.t('redoFailed'));
+      return;
+    }
+
+    this.undoStack.push(entry);
+    await this.saveHistory();
+    this.showToast(window.i18n.t('redone', entry.label), window.i18n.t('undo'), () => this.undo());
+  }
+
+  /**
+   * Put a snapshot back in place
+   */
+  async applyState(type, state) {
+    switch (type) {
+      case 'apps':
+        await window.pinnedAppsManager.setApps(state);
+        break;
+      case 'settings':
+        window.settingsStore.cancelPreview();
+        await window.settingsStore.replace(state);
+        if (window.settingsManager) {
+          window.settingsManager.populateSettings();
+        }
+        break;
+      default:
+        throw new Error(`Unknown history entry: ${type}`);
+    }
+  }
+
+  /**
+   * Whether there is anything to undo or redo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Show a toast with an optional action button, replacing any previous one
+   */
+  showToast(message, actionLabel, onAction) {
+    this.hideToast();
+
+    const toast = document.createElement('div');
+    toast.className = 'notification notification-info history-toast';
+
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+
+    if (actionLabel) {
+      const button = document.createElement('button');
+      button.className = 'notification-action';
+      button.textContent = actionLabel;
+      button.addEventListener('click', () => {
+        this.hideToast();
+        onAction();
+      });
+      toast.appendChild(button);
+    }
+
+    document.body.appendChild(toast);
+    this.toast = toast;
+    this.toastTimeout = setTimeout(() => this.hideToast(), TOAST_DURATION);
+  }
+
+  /**
+   * Remove the current toast
+   */
+  hideToast() {
+    clearTimeout(this.toastTimeout);
+    if (this.toast) {
+      this.toast.remove();
+      this.toast = null;
+    }
+  }
+
+  /**
+   * Remember images that history entries refer to, so they can be checked once the entries are gone
+   */
+  async trackImages(ids) {
+    if (ids.length === 0) return;
+
+    try {
+      const result = await chrome.storage.local.get([HISTORY_IMAGES_KEY]);
+      const tracked = new Set([...(result[HISTORY_IMAGES_KEY] || []), ...ids]);
+      await chrome.storage.local.set({ [HISTORY_IMAGES_KEY]: [...tracked] });
+    } catch (error) {
+      console.warn('Failed to track undo images:', error);
+    }
+  }
+
+  /**
+   * Delete images only kept for entries that have been dropped from the history
+   */
+  async releaseImages(entries) {
+    const ids = [];
+    entries
+      .filter(entry => entry.type === 'settings')
+      .forEach(entry => ids.push(...ImageLibrary.getSettingsImages(entry.before), ...ImageLibrary.getSettingsImages(entry.after)));
+
+    if (ids.length > 0) {
+      await this.removeUnusedImages(new Set(ids));
+    }
+  }
+
+  /**
+   * At the start of a session the previous session's history is gone, so delete the
+   * images that were only kept for it
+   */
+  async releaseExpiredImages() {
+    try {
+      const result = await chrome.storage.local.get([HISTORY_IMAGES_KEY]);
+      const tracked = result[HISTORY_IMAGES_KEY] || [];
+      if (tracked.length > 0) {
+        await this.removeUnusedImages(new Set(tracked));
+      }
+    } catch (error) {
+      console.warn('Failed to clean up undo images:', error);
+    }
+  }
+
+  /**
+   * Delete the given library images unless something can still restore them (see
+   * ImageLibrary.removeUnused). Images no longer in the history stop being tracked.
+   */
+  async removeUnusedImages(ids) {
+    try {
+      await window.imageLibrary.removeUnused(ids);
+
+      const inHistory = new Set();
+      [...this.undoStack, ...this.redoStack]
+        .filter(entry => entry.type === 'settings')
+        .forEach(entry => {
+          ImageLibrary.getSettingsImages(entry.before).forEach(id => inHistory.add(id));
+          ImageLibrary.getSettingsImages(entry.after).forEach(id => inHistory.add(id));
+        });
+
+      const result = await chrome.storage.local.get([HISTORY_IMAGES_KEY]);
+      const tracked = (result[HISTORY_IMAGES_KEY] || []).filter(id => !ids.has(id) || inHistory.has(id));
+      await chrome.storage.local.set({ [HISTORY_IMAGES_KEY]: tracked });
+    } catch (error) {
+      console.warn('Failed to clean up unused images:', error);
+    }
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // History recorded or undone in another tab
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const change = changes[HISTORY_STORAGE_KEY];
+      if (areaName !== 'session' || !change) return;
+
+      const history = change.newValue || {};
+      this.undoStack = history.undo || [];
+      this.redoStack = history.redo || [];
+    });
+  }
+}
+
+// Initialize history manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.historyManager = new HistoryManager();
+});
@@ -0,0 +1,180 @@
+/**
+ * Internationalization
+ * Looks up UI strings in the _locales message catalogs and formats numbers and durations
+ * for the chosen language. chrome.i18n only ever uses the browser's language, so when
+ * another one is picked in settings its catalog is fetched and looked up here instead.
+ * Shared by the pages and the service worker; only translatePage touches the DOM.
+ */
+
+// Languages with a catalog in _locales. The first is the manifest's default_locale.
+const I18N_LANGUAGES = ['en', 'es', 'ar'];
+const I18N_RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+// Attributes filled from data-i18n-* keys by translatePage
+const I18N_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+
+class I18n {
+  constructor() {
+    // The chosen language and its messages, or null to follow the browser through chrome.i18n
+    this.language = null;
+    this.messages = null;
+    this.ready = Promise.resolve();
+  }
+
+  /**
+   * Use a language's catalog, or 'auto' for the browser's language
+   */
+  async load(language) {
+    if (!language || language === 'auto') {
+      this.language = null;
+      this.messages = null;
+      return;
+    }
+
+    const response = await fetch(chrome.runtime.getURL(`_locales/${language}/messages.json`));
+    if (!response.ok) {
+      throw new Error(`No messages for language "${language}"`);
+    }
+    this.messages = await response.json();
+    this.language = language;
+  }
+
+  /**
+   * Load the language saved in settings. For the service worker, which has no settings store;
+   * the key matches SETTINGS_STORAGE_KEY.
+   */
+  async loadSavedLanguage() {
+    try {
+      const result = await chrome.storage.sync.get(['newTabSettings']);
+      const settings = result.newTabSettings;
+      await this.load(settings && settings.general ? settings.general.language : 'auto');
+    } catch (error) {
+      console.warn('Failed to load language:', error);
+      await this.load('auto');
+    }
+  }
+
+  /**
+   * The message for a key with $1-$9 replaced by substitutions. Keys missing from the
+   * chosen catalog fall back to chrome.i18n, and then to the key itself.
+   */
+  t(key, substitutions = []) {
+    const values = [].concat(substitutions).map(String);
+
+    if (this.messages && this.messages[key]) {
+      return this.messages[key].message.replace(/\$(\$|[1-9])/g, (match, index) => {
+        if (index === '$') return '$';
+        return index <= values.length ? values[index - 1] : '';
+      });
+    }
+
+    return chrome.i18n.getMessage(key, values) || key;
+  }
+
+  /**
+   * The message for a count, from the key with the count's plural category appended,
+   * e.g. "eventCount_one". $1 is the formatted count and later substitutions follow it.
+   */
+  plural(key, count, substitutions = []) {
+    const category = new Intl.PluralRules(this.getLocale()).select(count);
+    const values = [this.formatNumber(count)].concat(substitutions);
+    const message = this.t(`${key}_${category}`, values);
+    return message === `${key}_${category}` ? this.t(`${key}_other`, values) : message;
+  }
+
+  /**
+   * BCP 47 locale for Intl formatting, e.g. "es" or "en-GB"
+   */
+  getLocale() {
+    return this.language || chrome.i18n.getUILanguage();
+  }
+
+  /**
+   * The catalog actually shown: the chosen language, or the browser's when there is one for it
+   */
+  getCatalogLanguage() {
+    if (this.language) return this.language;
+
+    const base = chrome.i18n.getUILanguage().split('-')[0];
+    return I18N_LANGUAGES.includes(base) ? base : I18N_LANGUAGES[0];
+  }
+
+  isRtl() {
+    return I18N_RTL_LANGUAGES.includes(this.getCatalogLanguage());
+  }
+
+  formatNumber(value, options) {
+    return new Intl.NumberFormat(this.getLocale(), options).format(value);
+  }
+
+  /**
+   * A length of time in hours and minutes, e.g. "2h 5m", "5m" or "< 1m"
+   */
+  formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const unit = (value, name) => this.formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'narrow' });
+
+    if (hours > 0) {
+      return this.t('durationHoursMinutes', [unit(hours, 'hour'), unit(minutes, 'minute')]);
+    }
+    if (minutes > 0) {
+      return unit(minutes, 'minute');
+    }
+    return this.t('durationUnderMinute', unit(1, 'minute'));
+  }
+
+  /**
+   * Fill in elements marked with data-i18n (text) and data-i18n-placeholder, -title or
+   * -aria-label, and set the page language and direction
+   */
+  translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+
+    I18N_ATTRIBUTES.forEach(attribute => {
+      root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+        element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+      });
+    });
+
+    if (root === document) {
+      document.documentElement.lang = this.getLocale();
+      document.documentElement.dir = this.isRtl() ? 'rtl' : 'ltr';
+    }
+  }
+
+  /**
+   * Load the language from settings and translate the page. Modules wait for this before
+   * rendering text. Saving a different language reloads the page, as text rendered by
+   * each module would otherwise stay in the old one.
+   */
+  async initPage() {
+    await window.settingsStore.ready;
+    const language = window.settingsStore.get('general.language');
+
+    try {
+      await this.load(language);
+    } catch (error) {
+      console.warn('Failed to load language:', error);
+    }
+    this.translatePage();
+
+    window.settingsStore.subscribe('general', () => {
+      if (window.settingsStore.getSaved().general.language !== language) {
+        location.reload();
+      }
+    });
+  }
+}
+
+// self is window on the pages and the worker global in the service worker
+self.i18n = new I18n();
+
+// Runs before the modules' own DOMContentLoaded handlers, which wait on i18n.ready
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    self.i18n.ready = self.i18n.initPage();
+  });
+}
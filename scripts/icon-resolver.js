@@ -0,0 +1,297 @@
+/**
+ * Icon Resolver
+ * Finds the best icon a site offers, from its <link rel="icon"> and apple-touch-icon tags and
+ * its web manifest, and keeps a copy of each app icon in IndexedDB so tiles render instantly
+ * and offline. Apps still store the icon's own URL, which is what syncs and goes in backups.
+ */
+
+const ICON_DB_NAME = 'newTabIcons';
+const ICON_DB_VERSION = 1;
+const ICON_STORE_NAME = 'icons';
+
+// Tiles are 64px, so this is sharp on high-density screens. Smaller icons are scaled up.
+const ICON_TARGET_SIZE = 128;
+
+// Assumed sizes for icons that don't declare one: touch icons are usually 180px, favicons 16-32px
+const APPLE_TOUCH_ICON_SIZE = 180;
+
+// Where each kind of icon ranks among icons of the same size
+const ICON_SOURCE_PRIORITY = { manifest: 3, 'apple-touch-icon': 2, icon: 1, fallback: 0 };
+
+// Icons larger than this are not cached
+const ICON_MAX_BYTES = 512 * 1024;
+
+// The app editor caches an icon before the app is saved, so new icons are never pruned straight away
+const ICON_PRUNE_GRACE_MS = 10 * 60 * 1000;
+
+class IconResolver {
+  constructor() {
+    this.db = new ObjectStore(ICON_DB_NAME, ICON_DB_VERSION, ICON_STORE_NAME, 'url', ['cachedAt']);
+    // Icon URL -> object URL of its cached copy
+    this.objectUrls = new Map();
+    // Icon URLs that couldn't be fetched this session, so tiles don't retry on every render
+    this.failed = new Set();
+    // Icon URL -> promise of a fetch in progress, so tiles sharing an icon fetch it once
+    this.pending = new Map();
+    this.ready = this.loadCache();
+  }
+
+  /**
+   * Create object URLs for every cached icon, so the first render needs no network
+   */
+  async loadCache() {
+    try {
+      const records = await this.db.request('readonly', store => store.getAll());
+      records.forEach(record => {
+        this.objectUrls.set(record.url, URL.createObjectURL(record.blob));
+      });
+    } catch (error) {
+      console.warn('Failed to load icon cache:', error);
+    }
+  }
+
+  /**
+   * Object URL of an icon's cached copy, or null if it isn't cached
+   */
+  getCachedUrl(iconUrl) {
+    return this.objectUrls.get(iconUrl) || null;
+  }
+
+  /**
+   * Whether an icon would be fetched from the network rather than being part of the app
+   */
+  isRemote(iconUrl) {
+    return /^https?:/i.test(iconUrl || '');
+  }
+
+  /**
+   * Make sure an icon is cached, fetching it if another tab hasn't already.
+   * Resolves with its object URL, or null if it couldn't be fetched.
+   */
+  async cache(iconUrl) {
+    if (!this.isRemote(iconUrl) || this.failed.has(iconUrl)) return null;
+    if (this.objectUrls.has(iconUrl)) return this.objectUrls.get(iconUrl);
+    if (this.pending.has(iconUrl)) return this.pending.get(iconUrl);
+
+    const promise = (async () => {
+      try {
+        const record = await this.db.request('readonly', store => store.get(iconUrl));
+        const blob = record ? record.blob : await this.fetchIcon(iconUrl);
+        if (!record) {
+          await this.store(iconUrl, blob);
+        }
+        return this.remember(iconUrl, blob);
+      } catch (error) {
+        // Usually a site that doesn't allow the request; the tile keeps loading the icon directly
+        this.failed.add(iconUrl);
+        return null;
+      } finally {
+        this.pending.delete(iconUrl);
+      }
+    })();
+
+    this.pending.set(iconUrl, promise);
+    return promise;
+  }
+
+  async store(iconUrl, blob) {
+    await this.db.request('readwrite', store => store.put({ url: iconUrl, blob, cachedAt: Date.now() }));
+  }
+
+  remember(iconUrl, blob) {
+    const objectUrl = URL.createObjectURL(blob);
+    this.objectUrls.set(iconUrl, objectUrl);
+    this.failed.delete(iconUrl);
+    return objectUrl;
+  }
+
+  /**
+   * Delete cached icons that aren't in the given list, usually every icon on the grid.
+   * Only keys are read, through the cachedAt index, so the blobs stay on disk.
+   */
+  async prune(iconUrls) {
+    try {
+      const keep = new Set(iconUrls);
+      const cutoff = Date.now() - ICON_PRUNE_GRACE_MS;
+      const cachedUrls = await this.db.request('readonly', store => store.index('cachedAt').getAllKeys(IDBKeyRange.upperBound(cutoff)));
+      const unused = cachedUrls.filter(url => !keep.has(url));
+      if (unused.length === 0) return;
+
+      await this.db.request('readwrite', store => {
+        unused.forEach(url => store.delete(url));
+      });
+
+      unused.forEach(url => {
+        if (this.objectUrls.has(url)) {
+          URL.revokeObjectURL(this.objectUrls.get(url));
+          this.objectUrls.delete(url);
+        }
+      });
+    } catch (error) {
+      console.warn('Failed to prune icon cache:', error);
+    }
+  }
+
+  /**
+   * Fetch an icon, rejecting anything that isn't a usable image
+   */
+  async fetchIcon(iconUrl) {
+    const response = await fetch(iconUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    if (!blob.type.startsWith('image/')) {
+      throw new Error(`Not an image: ${blob.type || 'unknown type'}`);
+    }
+    if (blob.size === 0 || blob.size > ICON_MAX_BYTES) {
+      throw new Error(`Unusable icon size: ${blob.size} bytes`);
+    }
+
+    // SVGs can't be decoded here, but every other format is checked so broken files are skipped
+    if (blob.type !== 'image/svg+xml') {
+      const bitmap = await createImageBitmap(blob);
+      bitmap.close();
+    }
+    return blob;
+  }
+
+  /**
+   * Find, fetch and cache the best icon for a page. Resolves with { url, objectUrl },
+   * or null if the site has no icon that could be fetched.
+   */
+  async resolve(pageUrl) {
+    const candidates = await this.findCandidates(pageUrl);
+
+    for (const candidate of candidates) {
+      try {
+        const blob = await this.fetchIcon(candidate.url);
+        await this.store(candidate.url, blob);
+        return { url: candidate.url, objectUrl: this.remember(candidate.url, blob) };
+      } catch (error) {
+        console.warn(`Skipped icon ${candidate.url}:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Icons a page declares, best first. The site's /favicon.ico and /apple-touch-icon.png
+   * are always tried too, as many sites serve them without declaring them.
+   */
+  async findCandidates(pageUrl) {
+    const origin = new URL(pageUrl).origin;
+    const candidates = [];
+
+    try {
+      const response = await fetch(pageUrl);
+      if (response.ok) {
+        const html = await response.text();
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        // Relative links are against <base href> if the page has one, else the final URL after redirects
+        const baseElement = doc.querySelector('base[href]');
+        const baseUrl = baseElement ? new URL(baseElement.getAttribute('href'), response.url).href : response.url;
+
+        candidates.push(...this.getLinkIcons(doc, baseUrl));
+        candidates.push(...await this.getManifestIcons(doc, baseUrl));
+      }
+    } catch (error) {
+      console.warn('Failed to read page for icons:', error);
+    }
+
+    candidates.push(
+      { url: `${origin}/apple-touch-icon.png`, size: APPLE_TOUCH_ICON_SIZE, source: 'fallback' },
+      { url: `${origin}/favicon.ico`, size: 0, source: 'fallback' }
+    );
+
+    const seen = new Set();
+    return candidates
+      .filter(candidate => {
+        if (seen.has(candidate.url) || !this.isRemote(candidate.url)) return false;
+        seen.add(candidate.url);
+        return true;
+      })
+      .sort((a, b) => IconResolver.rank(b) - IconResolver.rank(a));
+  }
+
+  /**
+   * Icons from <link rel="icon">, "shortcut icon" and the apple-touch-icon variants
+   */
+  getLinkIcons(doc, baseUrl) {
+    const icons = [];
+
+    doc.querySelectorAll('link[rel][href]').forEach(link => {
+      const rel = link.getAttribute('rel').toLowerCase().split(/\s+/);
+      const isTouchIcon = rel.includes('apple-touch-icon') || rel.includes('apple-touch-icon-precomposed');
+      if (!isTouchIcon && !rel.includes('icon')) return;
+
+      try {
+        const url = new URL(link.getAttribute('href'), baseUrl).href;
+        const type = link.getAttribute('type') || '';
+        icons.push({
+          url,
+          size: IconResolver.parseSizes(link.getAttribute('sizes'), type, url) || (isTouchIcon ? APPLE_TOUCH_ICON_SIZE : 0),
+          source: isTouchIcon ? 'apple-touch-icon' : 'icon'
+        });
+      } catch (error) {
+        // Ignore links with unparseable URLs
+      }
+    });
+
+    return icons;
+  }
+
+  /**
+   * Icons listed in the page's web manifest. Monochrome icons are left out, as they're
+   * meant to be tinted by the system.
+   */
+  async getManifestIcons(doc, baseUrl) {
+    const link = doc.querySelector('link[rel~="manifest"][href]');
+    if (!link) return [];
+
+    try {
+      const manifestUrl = new URL(link.getAttribute('href'), baseUrl).href;
+      const response = await fetch(manifestUrl);
+      if (!response.ok) return [];
+
+      const manifest = await response.json();
+      return (Array.isArray(manifest.icons) ? manifest.icons : [])
+        .filter(icon => icon && typeof icon.src === 'string' && !String(icon.purpose || '').includes('monochrome'))
+        .map(icon => {
+          const url = new URL(icon.src, manifestUrl).href;
+          return { url, size: IconResolver.parseSizes(icon.sizes, icon.type, url), source: 'manifest' };
+        });
+    } catch (error) {
+      console.warn('Failed to read web manifest for icons:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Largest dimension in a sizes attribute like "16x16 32x32". SVGs and "any" scale to
+   * any size, so they count as exactly the target size.
+   */
+  static parseSizes(sizes, type = '', url = '') {
+    const value = String(sizes || '').toLowerCase();
+    if (value.split(/\s+/).includes('any') || type === 'image/svg+xml' || /\.svg(\?|#|$)/i.test(url)) {
+      return ICON_TARGET_SIZE;
+    }
+
+    return value.split(/\s+/).reduce((largest, size) => {
+      const match = size.match(/^(\d+)x(\d+)$/);
+      return match ? Math.max(largest, parseInt(match[1]), parseInt(match[2])) : largest;
+    }, 0);
+  }
+
+  /**
+   * How well an icon suits a tile: the smallest icon at least the target size wins, then
+   * larger icons below it. Ties go to the more reliable source.
+   */
+  static rank({ size, source }) {
+    const fit = size >= ICON_TARGET_SIZE ? 100000 - size : size;
+    return fit * 10 + ICON_SOURCE_PRIORITY[source];
+  }
+}
+
+window.iconResolver = new IconResolver();
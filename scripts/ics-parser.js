@@ -0,0 +1,437 @@
+/**
+ * ICS Parser
+ * Reads iCalendar (.ics) files and expands their events, including recurring ones,
+ * into concrete occurrences for a date range
+ */
+
+// Outlook and Exchange write Windows zone names in TZID; map the common ones to IANA
+const WINDOWS_TIME_ZONES = {
+  'UTC': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'E. Europe Standard Time': 'Europe/Bucharest',
+  'FLE Standard Time': 'Europe/Kiev',
+  'Russian Standard Time': 'Europe/Moscow',
+  'India Standard Time': 'Asia/Kolkata',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'New Zealand Standard Time': 'Pacific/Auckland',
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'E. South America Standard Time': 'America/Sao_Paulo'
+};
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on recurrence periods walked per event, so a broken rule can't hang the page
+const ICS_MAX_ITERATIONS = 5000;
+
+const DAY_MS = 86400000;
+
+class IcsParser {
+  /**
+   * Parse ICS text into { name, events }. Throws if the text isn't a calendar.
+   */
+  static parse(text) {
+    const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+      throw new Error('Not an iCalendar file');
+    }
+
+    const calendar = { name: '', events: [] };
+    const stack = [];
+    let event = null;
+
+    lines.forEach(line => {
+      if (!line.trim()) return;
+      const property = IcsParser.parseLine(line);
+      if (!property) return;
+
+      if (property.name === 'BEGIN') {
+        stack.push(property.value.toUpperCase());
+        if (property.value.toUpperCase() === 'VEVENT') event = {};
+        return;
+      }
+      if (property.name === 'END') {
+        if (stack.pop() === 'VEVENT' && event) {
+          const parsed = IcsParser.buildEvent(event);
+          if (parsed) calendar.events.push(parsed);
+          event = null;
+        }
+        return;
+      }
+
+      const component = stack[stack.length - 1];
+      if (component === 'VCALENDAR' && property.name === 'X-WR-CALNAME') {
+        calendar.name = IcsParser.unescapeText(property.value);
+      } else if (component === 'VEVENT' && event) {
+        // EXDATE may repeat; everything else keeps its first value
+        if (property.name === 'EXDATE') {
+          (event.EXDATE = event.EXDATE || []).push(property);
+        } else if (!event[property.name]) {
+          event[property.name] = property;
+        }
+      }
+    });
+
+    return calendar;
+  }
+
+  /**
+   * Split "NAME;PARAM=value:content" into { name, params, value }
+   */
+  static parseLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      if (line[i] === ':' && !inQuotes) {
+        colon = i;
+        break;
+      }
+    }
+    if (colon === -1) return null;
+
+    const [name, ...rawParams] = line.slice(0, colon).split(';');
+    const params = {};
+    rawParams.forEach(param => {
+      const [key, ...value] = param.split('=');
+      params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+    });
+
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+  }
+
+  /**
+   * Turn the raw properties of a VEVENT into an event, or null if it has no start
+   */
+  static buildEvent(properties) {
+    if (!properties.DTSTART) return null;
+
+    const start = IcsParser.parseDateTime(properties.DTSTART);
+    if (!start) return null;
+
+    const startInstant = IcsParser.toInstant(start);
+    let duration = start.allDay ? DAY_MS : 0;
+    if (properties.DTEND) {
+      const end = IcsParser.parseDateTime(properties.DTEND);
+      if (end) duration = Math.max(0, IcsParser.toInstant(end) - startInstant);
+    } else if (properties.DURATION) {
+      duration = IcsParser.parseDuration(properties.DURATION.value);
+    }
+
+    const exdates = [];
+    (properties.EXDATE || []).forEach(property => {
+      property.value.split(',').forEach(value => {
+        const date = IcsParser.parseDateTime({ ...property, value });
+        if (date) exdates.push(IcsParser.toInstant(date));
+      });
+    });
+
+    const text = name => properties[name] ? IcsParser.unescapeText(properties[name].value) : '';
+    const recurrenceId = properties['RECURRENCE-ID'] ? IcsParser.parseDateTime(properties['RECURRENCE-ID']) : null;
+
+    return {
+      uid: text('UID') || `${text('SUMMARY')}-${startInstant}`,
+      summary: text('SUMMARY') || '(No title)',
+      location: text('LOCATION'),
+      url: text('URL'),
+      status: text('STATUS').toUpperCase(),
+      allDay: start.allDay,
+      start,
+      duration,
+      rrule: properties.RRULE ? IcsParser.parseRule(properties.RRULE.value, start) : null,
+      exdates,
+      recurrenceId: recurrenceId ? IcsParser.toInstant(recurrenceId) : null
+    };
+  }
+
+  /**
+   * Parse a DATE or DATE-TIME property into wall-clock fields plus the zone they are in.
+   * timeZone is 'UTC' for "Z" times, an IANA name for TZID times and null for floating times.
+   */
+  static parseDateTime(property) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    const allDay = property.params.VALUE === 'DATE' || hours === undefined;
+
+    return {
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hours: allDay ? 0 : Number(hours),
+      minutes: allDay ? 0 : Number(minutes),
+      seconds: allDay ? 0 : Number(seconds),
+      allDay,
+      timeZone: allDay ? null : (utc ? 'UTC' : IcsParser.resolveTimeZone(property.params.TZID))
+    };
+  }
+
+  /**
+   * Map a TZID to an IANA zone the browser knows, or null to treat the time as local
+   */
+  static resolveTimeZone(tzid) {
+    if (!tzid) return null;
+    if (WINDOWS_TIME_ZONES[tzid]) return WINDOWS_TIME_ZONES[tzid];
+    if (SettingField.isTimeZone(tzid)) return tzid;
+
+    // Some exporters prefix the zone with a path, e.g. "/mozilla.org/20050126_1/Europe/London"
+    const parts = tzid.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      const candidate = parts.slice(i).join('/');
+      if (candidate && SettingField.isTimeZone(candidate)) return candidate;
+    }
+    return null;
+  }
+
+  /**
+   * The instant (ms) of wall-clock fields in their time zone
+   */
+  static toInstant(fields) {
+    const { year, month, day, hours, minutes, seconds, timeZone } = fields;
+    if (!timeZone) return new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+
+    const wall = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    if (timeZone === 'UTC') return wall;
+
+    // Guess with the offset at the wall time, then correct once for a DST change in between
+    let instant = wall - IcsParser.getOffset(wall, timeZone);
+    instant = wall - IcsParser.getOffset(instant, timeZone);
+    return instant;
+  }
+
+  /**
+   * A time zone's offset from UTC (ms) at an instant
+   */
+  static getOffset(instant, timeZone) {
+    const fields = DateFormatter.getFields(new Date(instant), timeZone);
+    const wall = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hours, fields.minutes, fields.seconds);
+    return wall - Math.floor(instant / 1000) * 1000;
+  }
+
+  /**
+   * Parse an ISO 8601 duration like "PT1H30M" or "P1D" into ms
+   */
+  static parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) return 0;
+
+    const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+    const total = ((Number(weeks) * 7 + Number(days)) * 24 * 3600 +
+      Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+    return sign === '-' ? -total : total;
+  }
+
+  /**
+   * Parse an RRULE value like "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261231T000000Z"
+   */
+  static parseRule(value, start) {
+    const parts = {};
+    value.split(';').forEach(part => {
+      const [key, partValue] = part.split('=');
+      if (key && partValue) parts[key.toUpperCase()] = partValue.toUpperCase();
+    });
+
+    const freq = parts.FREQ;
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(freq)) return null;
+
+    const numbers = key => parts[key] ? parts[key].split(',').map(Number).filter(Number.isFinite) : [];
+    let until = null;
+    if (parts.UNTIL) {
+      const date = IcsParser.parseDateTime({ value: parts.UNTIL, params: {} });
+      // A date-only UNTIL includes that whole day; a floating one uses the event's zone
+      if (date && date.allDay) {
+        until = IcsParser.toInstant({ ...date, hours: 23, minutes: 59, seconds: 59, timeZone: start.timeZone });
+      } else if (date) {
+        until = IcsParser.toInstant(date.timeZone ? date : { ...date, timeZone: start.timeZone });
+      }
+    }
+
+    return {
+      freq,
+      interval: Math.max(1, Number(parts.INTERVAL) || 1),
+      count: parts.COUNT ? Number(parts.COUNT) : null,
+      until,
+      byDay: (parts.BYDAY ? parts.BYDAY.split(',') : []).map(day => {
+        const match = /^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day);
+        return match ? { ordinal: match[1] ? Number(match[1]) : null, weekday: ICS_WEEKDAYS.indexOf(match[2]) } : null;
+      }).filter(Boolean),
+      byMonthDay: numbers('BYMONTHDAY'),
+      byMonth: numbers('BYMONTH')
+    };
+  }
+
+  static unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, character) => character.toLowerCase() === 'n' ? '\n' : character);
+  }
+
+  /**
+   * Every occurrence of the events overlapping [rangeStart, rangeEnd), sorted by start.
+   * Each is { event, start, end } with instants in ms.
+   */
+  static getOccurrences(events, rangeStart, rangeEnd) {
+    // Edited instances of a recurring event replace the generated ones
+    const overridden = new Map();
+    events.forEach(event => {
+      if (event.recurrenceId !== null) {
+        if (!overridden.has(event.uid)) overridden.set(event.uid, new Set());
+        overridden.get(event.uid).add(event.recurrenceId);
+      }
+    });
+
+    const occurrences = [];
+    events.forEach(event => {
+      const skip = new Set(event.exdates);
+      if (event.recurrenceId === null && overridden.has(event.uid)) {
+        overridden.get(event.uid).forEach(instant => skip.add(instant));
+      }
+
+      const starts = event.rrule && event.recurrenceId === null
+        ? IcsParser.expandRule(event, rangeStart, rangeEnd)
+        : [IcsParser.toInstant(event.start)];
+
+      starts.forEach(start => {
+        const end = start + event.duration;
+        // Zero-length events still show if they start in the range
+        const overlaps = start < rangeEnd && (end > rangeStart || (end === start && start >= rangeStart));
+        if (overlaps && !skip.has(start) && event.status !== 'CANCELLED') {
+          occurrences.push({ event, start, end });
+        }
+      });
+    });
+
+    return occurrences.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Start instants of a recurring event up to rangeEnd. Dates are generated as wall-clock
+   * days and converted in the event's zone, so the local time stays put across DST.
+   */
+  static expandRule(event, rangeStart, rangeEnd) {
+    const { rrule, start } = event;
+    const startDay = Date.UTC(start.year, start.month - 1, start.day);
+    const firstInstant = IcsParser.toInstant(start);
+    const starts = [];
+    let generated = 0;
+
+    // Without COUNT, earlier periods can't matter, so start close to the range
+    let period = 0;
+    if (rrule.count === null) {
+      const earliest = rangeStart - event.duration - DAY_MS;
+      const elapsedDays = Math.floor((earliest - firstInstant) / DAY_MS);
+      const periodDays = { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 }[rrule.freq] * rrule.interval;
+      period = Math.max(0, Math.floor(elapsedDays / periodDays) - 1);
+    }
+
+    for (let iterations = 0; iterations < ICS_MAX_ITERATIONS; iterations++, period++) {
+      const days = IcsParser.getPeriodDays(rrule, start, startDay, period);
+      if (days === null) break;
+
+      for (const day of days) {
+        if (day < startDay) continue;
+
+        const date = new Date(day);
+        const instant = IcsParser.toInstant({
+          ...start,
+          year: date.getUTCFullYear(),
+          month: date.getUTCMonth() + 1,
+          day: date.getUTCDate()
+        });
+        if (instant < firstInstant) continue;
+        if (rrule.until !== null && instant > rrule.until) return starts;
+        if (rrule.count !== null && generated >= rrule.count) return starts;
+        if (instant >= rangeEnd) return starts;
+
+        generated++;
+        starts.push(instant);
+      }
+    }
+
+    return starts;
+  }
+
+  /**
+   * Candidate days (UTC midnights) in the nth period of a rule, in order
+   */
+  static getPeriodDays(rrule, start, startDay, period) {
+    const step = period * rrule.interval;
+    const matchesMonth = day => rrule.byMonth.length === 0 || rrule.byMonth.includes(new Date(day).getUTCMonth() + 1);
+
+    switch (rrule.freq) {
+      case 'DAILY': {
+        const day = startDay + step * DAY_MS;
+        const date = new Date(day);
+        const matches = matchesMonth(day) &&
+          (rrule.byMonthDay.length === 0 || rrule.byMonthDay.includes(date.getUTCDate())) &&
+          (rrule.byDay.length === 0 || rrule.byDay.some(byDay => byDay.weekday === date.getUTCDay()));
+        return matches ? [day] : [];
+      }
+      case 'WEEKLY': {
+        // Weeks start on Monday
+        const weekStart = startDay - ((new Date(startDay).getUTCDay() + 6) % 7) * DAY_MS + step * 7 * DAY_MS;
+        const weekdays = rrule.byDay.length > 0 ? rrule.byDay.map(byDay => byDay.weekday) : [new Date(startDay).getUTCDay()];
+        return weekdays
+          .map(weekday => weekStart + ((weekday + 6) % 7) * DAY_MS)
+          .filter(matchesMonth)
+          .sort((a, b) => a - b);
+      }
+      case 'MONTHLY': {
+        const monthIndex = (start.month - 1) + step;
+        const year = start.year + Math.floor(monthIndex / 12);
+        const month = ((monthIndex % 12) + 12) % 12;
+        if (!matchesMonth(Date.UTC(year, month, 1))) return [];
+        return IcsParser.getMonthDays(rrule, start, year, month);
+      }
+      case 'YEARLY': {
+        const year = start.year + step;
+        if (year > 9999) return null;
+        const months = rrule.byMonth.length > 0 ? rrule.byMonth.map(month => month - 1) : [start.month - 1];
+        return months.flatMap(month => IcsParser.getMonthDays(rrule, start, year, month)).sort((a, b) => a - b);
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Days in one month matching BYDAY (e.g. 2MO, -1FR) or BYMONTHDAY, or the start's day of month
+   */
+  static getMonthDays(rrule, start, year, month) {
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const dayOf = date => Date.UTC(year, month, date);
+
+    if (rrule.byDay.length > 0) {
+      const days = [];
+      rrule.byDay.forEach(({ ordinal, weekday }) => {
+        const matching = [];
+        for (let date = 1; date <= daysInMonth; date++) {
+          if (new Date(dayOf(date)).getUTCDay() === weekday) matching.push(dayOf(date));
+        }
+        if (ordinal === null) {
+          days.push(...matching);
+        } else {
+          const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+          if (day !== undefined) days.push(day);
+        }
+      });
+      return days
+        .filter(day => rrule.byMonthDay.length === 0 || rrule.byMonthDay.includes(new Date(day).getUTCDate()))
+        .sort((a, b) => a - b);
+    }
+
+    const monthDays = rrule.byMonthDay.length > 0 ? rrule.byMonthDay : [start.day];
+    return monthDays
+      .map(date => date < 0 ? daysInMonth + date + 1 : date)
+      .filter(date => date >= 1 && date <= daysInMonth)
+      .sort((a, b) => a - b)
+      .map(dayOf);
+  }
+}
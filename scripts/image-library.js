@@ -0,0 +1,219 @@
+/**
+ * Image Library
+ * Stores uploaded images as blobs in IndexedDB so only their IDs need to be synced
+ */
+
+const IMAGE_DB_NAME = 'newTabImages';
+const IMAGE_DB_VERSION = 1;
+const IMAGE_STORE_NAME = 'images';
+const THUMBNAIL_SIZE = 240;
+
+// Same keys the ProfileManager and HistoryManager use
+const IMAGE_PROFILES_KEY = 'settingsProfiles';
+const IMAGE_HISTORY_KEY = 'undoHistory';
+
+class ImageLibrary {
+  constructor() {
+    this.db = new ObjectStore(IMAGE_DB_NAME, IMAGE_DB_VERSION, IMAGE_STORE_NAME, 'id');
+  }
+
+  /**
+   * Store an image file or blob and return its new ID
+   */
+  async add(blob, name = '') {
+    if (!blob || !blob.type.startsWith('image/')) {
+      throw new Error('Only image files can be added to the library');
+    }
+
+    const record = {
+      id: crypto.randomUUID(),
+      name: name || blob.name || '',
+      type: blob.type,
+      blob,
+      thumbnail: await this.createThumbnail(blob),
+      createdAt: new Date().toISOString()
+    };
+
+    await this.db.request('readwrite', store => store.add(record));
+    return record.id;
+  }
+
+  /**
+   * Store an image under an existing ID (used when restoring a backup)
+   */
+  async restore({ id, name = '', blob, createdAt }) {
+    if (!id || !blob || !blob.type.startsWith('image/')) {
+      throw new Error('Only image files can be added to the library');
+    }
+
+    const record = {
+      id,
+      name,
+      type: blob.type,
+      blob,
+      thumbnail: await this.createThumbnail(blob),
+      createdAt: createdAt || new Date().toISOString()
+    };
+
+    await this.db.request('readwrite', store => store.put(record));
+    return record.id;
+  }
+
+  /**
+   * Get a stored image record, or null if it does not exist
+   */
+  async get(id) {
+    const record = await this.db.request('readonly', store => store.get(id));
+    return record || null;
+  }
+
+  /**
+   * Get all stored image records
+   */
+  async getAll() {
+    return this.db.request('readonly', store => store.getAll());
+  }
+
+  /**
+   * Get the IDs of all stored images
+   */
+  async getIds() {
+    return this.db.request('readonly', store => store.getAllKeys());
+  }
+
+  /**
+   * Delete an image
+   */
+  async remove(id) {
+    await this.db.request('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Delete the given images unless the saved settings, a profile, a snapshot or an undo entry
+   * still use them.
+   * Resolves with the IDs that were deleted.
+   */
+  async removeUnused(ids) {
+    const referenced = await this.getReferencedIds();
+    const removed = [];
+
+    for (const id of ids) {
+      if (!referenced.has(id)) {
+        await this.remove(id);
+        removed.push(id);
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * IDs of every image something saved can still show or restore
+   */
+  async getReferencedIds() {
+    // A queued settings write must land first
+    await window.storageQueue.flush(chrome.storage.sync);
+
+    const [sync, local, session] = await Promise.all([
+      chrome.storage.sync.get([SETTINGS_STORAGE_KEY]),
+      chrome.storage.local.get([IMAGE_PROFILES_KEY, SNAPSHOTS_STORAGE_KEY]),
+      chrome.storage.session.get([IMAGE_HISTORY_KEY])
+    ]);
+
+    const referenced = new Set(ImageLibrary.getSettingsImages(sync[SETTINGS_STORAGE_KEY]));
+
+    const profiles = local[IMAGE_PROFILES_KEY];
+    if (profiles && Array.isArray(profiles.profiles)) {
+      profiles.profiles.forEach(profile => ImageLibrary.getSettingsImages(profile.settings).forEach(id => referenced.add(id)));
+    }
+
+    const snapshots = local[SNAPSHOTS_STORAGE_KEY];
+    if (Array.isArray(snapshots)) {
+      snapshots.forEach(snapshot => ImageLibrary.getSettingsImages(snapshot.settings).forEach(id => referenced.add(id)));
+    }
+
+    const history = session[IMAGE_HISTORY_KEY];
+    if (history) {
+      [...(history.undo || []), ...(history.redo || [])]
+        .filter(entry => entry.type === 'settings')
+        .forEach(entry => {
+          ImageLibrary.getSettingsImages(entry.before).forEach(id => referenced.add(id));
+          ImageLibrary.getSettingsImages(entry.after).forEach(id => referenced.add(id));
+        });
+    }
+
+    return referenced;
+  }
+
+  /**
+   * Library IDs used as backgrounds by a settings object
+   */
+  static getSettingsImages(settings) {
+    if (settings && settings.background && settings.background.uploadSettings) {
+      return settings.background.uploadSettings.images || [];
+    }
+    return [];
+  }
+
+  /**
+   * Create an object URL for the full image. Callers must revoke it.
+   */
+  async getObjectUrl(id) {
+    const record = await this.get(id);
+    return record ? URL.createObjectURL(record.blob) : null;
+  }
+
+  /**
+   * Create an object URL for the thumbnail. Callers must revoke it.
+   */
+  async getThumbnailUrl(id) {
+    const record = await this.get(id);
+    return record ? URL.createObjectURL(record.thumbnail || record.blob) : null;
+  }
+
+  /**
+   * Scale an image down to fit within THUMBNAIL_SIZE, falling back to the original
+   */
+  async createThumbnail(blob) {
+    try {
+      const bitmap = await createImageBitmap(blob);
+      const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+      const width = Math.max(1, Math.round(bitmap.width * scale));
+      const height = Math.max(1, Math.round(bitmap.height * scale));
+
+      const canvas = new OffscreenCanvas(width, height);
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+      bitmap.close();
+
+      return await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+    } catch (error) {
+      console.warn('Failed to create thumbnail:', error);
+      return blob;
+    }
+  }
+
+  /**
+   * Move any data URLs in a list into the library.
+   * Returns the list with each data URL replaced by its new image ID.
+   */
+  async migrateDataUrls(images) {
+    const migrated = [];
+
+    for (const image of images) {
+      if (typeof image === 'string' && image.startsWith('data:')) {
+        try {
+          const blob = await (await fetch(image)).blob();
+          migrated.push(await this.add(blob));
+        } catch (error) {
+          console.warn('Failed to migrate stored image:', error);
+        }
+      } else {
+        migrated.push(image);
+      }
+    }
+
+    return migrated;
+  }
+}
+
+window.imageLibrary = new ImageLibrary();
\ No newline at end of file
@@ -0,0 +1,135 @@
+/**
+ * Monogram Icons
+ * Draws a letter tile from an app's name for apps without a usable icon. The colour comes
+ * from the app's domain, so an app keeps its colour wherever it's drawn. Apps store only
+ * the style (see PINNED_APP_SCHEMA) and the SVG is drawn when they're shown, so letter
+ * icons take almost no sync space.
+ */
+
+const MONOGRAM_SIZE = 128;
+const MONOGRAM_FONTS = {
+  sans: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif',
+  serif: 'Georgia, "Times New Roman", serif',
+  mono: 'ui-monospace, Menlo, Consolas, monospace'
+};
+
+// Saturation and lightness of colours picked from a domain, dark enough for white letters
+const MONOGRAM_SATURATION = 0.55;
+const MONOGRAM_LIGHTNESS = 0.42;
+
+class MonogramIcon {
+  /**
+   * An SVG data URL for an app. name and url pick the letters and, unless a background
+   * colour is given, the colour. The style is kept in the SVG so parse() can read it back.
+   */
+  static create({ name = '', url = '', shape = 'rounded', background = null, font = 'sans' }) {
+    const letters = MonogramIcon.getLetters(name || MonogramIcon.getDomain(url));
+    const fill = background || MonogramIcon.getColor(url || name);
+    const textColor = MonogramIcon.isLight(fill) ? '#1a1a1a' : '#ffffff';
+    const half = MONOGRAM_SIZE / 2;
+
+    let tile;
+    if (shape === 'circle') {
+      tile = `<circle cx="${half}" cy="${half}" r="${half}" fill="${fill}"/>`;
+    } else {
+      const radius = shape === 'square' ? 0 : MONOGRAM_SIZE * 0.22;
+      tile = `<rect width="${MONOGRAM_SIZE}" height="${MONOGRAM_SIZE}" rx="${radius}" fill="${fill}"/>`;
+    }
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${MONOGRAM_SIZE}" height="${MONOGRAM_SIZE}" ` +
+      `viewBox="0 0 ${MONOGRAM_SIZE} ${MONOGRAM_SIZE}" data-shape="${shape}" data-background="${background || ''}" data-font="${font}">` +
+      tile +
+      `<text x="${half}" y="${half}" dominant-baseline="central" text-anchor="middle" ` +
+      `font-family='${MONOGRAM_FONTS[font] || MONOGRAM_FONTS.sans}' font-size="${letters.length > 1 ? 52 : 64}" ` +
+      `font-weight="600" fill="${textColor}">${MonogramIcon.escape(letters)}</text></svg>`;
+
+    return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+  }
+
+  /**
+   * The style of a generated icon, { shape, background, font }, or null for any other icon.
+   * background is null when the colour comes from the domain. Used for icons in bookmarks
+   * files and apps saved before only the style was stored.
+   */
+  static parse(iconUrl) {
+    const prefix = 'data:image/svg+xml,';
+    if (typeof iconUrl !== 'string' || !iconUrl.startsWith(prefix)) return null;
+
+    try {
+      const svg = decodeURIComponent(iconUrl.slice(prefix.length));
+      const root = new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement;
+      if (!root.hasAttribute('data-shape')) return null;
+
+      const shape = root.getAttribute('data-shape');
+      const font = root.getAttribute('data-font');
+      return {
+        shape: MONOGRAM_SHAPES.includes(shape) ? shape : 'rounded',
+        background: root.getAttribute('data-background') || null,
+        font: MONOGRAM_FONTS[font] ? font : 'sans'
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * One letter, or the first letters of the first two words: "GitHub" -> "G", "Google Docs" -> "GD"
+   */
+  static getLetters(text) {
+    const words = String(text).trim().split(/[\s\-_.]+/).filter(Boolean);
+    if (words.length === 0) return '?';
+
+    return words.slice(0, 2)
+      .map(word => Array.from(word)[0])
+      .join('')
+      .toLocaleUpperCase();
+  }
+
+  /**
+   * Host name without "www.", or an empty string for something that isn't a URL
+   */
+  static getDomain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * A colour for a domain as #rrggbb. Every page of a site gets the same one.
+   */
+  static getColor(url) {
+    const key = MonogramIcon.getDomain(url) || String(url);
+    let hash = 0;
+    for (const char of key) {
+      hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+    }
+    return MonogramIcon.hslToHex(hash % 360, MONOGRAM_SATURATION, MONOGRAM_LIGHTNESS);
+  }
+
+  static hslToHex(hue, saturation, lightness) {
+    const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+    const channel = (n) => {
+      const k = (n + hue / 30) % 12;
+      const value = lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+      return Math.round(value * 255).toString(16).padStart(2, '0');
+    };
+    return `#${channel(0)}${channel(8)}${channel(4)}`;
+  }
+
+  /**
+   * Whether a #rrggbb colour needs dark letters to stay readable
+   */
+  static isLight(hex) {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    if (!match) return false;
+
+    const [red, green, blue] = match.slice(1).map(part => parseInt(part, 16));
+    return (0.299 * red + 0.587 * green + 0.114 * blue) > 160;
+  }
+
+  static escape(text) {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Object Store
+ * One IndexedDB object store, opened on first use, with one transaction per request
+ */
+
+class ObjectStore {
+  /**
+   * indexes lists record fields to index, each under its own name
+   */
+  constructor(dbName, version, storeName, keyPath, indexes = []) {
+    this.dbName = dbName;
+    this.version = version;
+    this.storeName = storeName;
+    this.keyPath = keyPath;
+    this.indexes = indexes;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create on first use) the IndexedDB database
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, this.version);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            const store = db.createObjectStore(this.storeName, { keyPath: this.keyPath });
+            this.indexes.forEach(field => store.createIndex(field, field));
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run operation inside a transaction and resolve, once it completes, with the result of
+   * the request operation returns. An operation may also make several requests and return none.
+   */
+  async request(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      let result;
+
+      if (request) {
+        request.onsuccess = () => {
+          result = request.result;
+        };
+      }
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error(`Transaction on ${this.storeName} aborted`));
+    });
+  }
+}
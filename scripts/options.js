@@ -5,17 +5,24 @@
 
 class OptionsPage {
   constructor() {
+    this.backupManager = new BackupManager();
+    this.snapshotManager = window.snapshotManager;
+    this.pendingImport = null;
     this.init();
   }
 
   async init() {
     try {
+      await window.i18n.ready;
       await this.loadExtensionInfo();
       this.setupEventListeners();
       this.loadStats();
+      await this.loadWorkspaces();
+      await this.snapshotManager.captureDaily();
+      await this.loadSnapshots();
     } catch (error) {
       console.error('Failed to initialize options page:', error);
-      this.showStatus('Failed to initialize page', 'error');
+      this.showStatus(window.i18n.t('initPageFailed'), 'error');
     }
   }
 
@@ -63,19 +70,19 @@ class OptionsPage {
    */
   async loadStats() {
     try {
-      const result = await chrome.storage.sync.get(['statsData']);
+      const result = await chrome.storage.local.get(['statsData']);
       const stats = result.statsData || {};
       
       // Update usage time
       const usageTimeElement = document.getElementById('total-usage-time');
       if (usageTimeElement && stats.totalUsageTime) {
-        usageTimeElement.textContent = this.formatUsageTime(stats.totalUsageTime);
+        usageTimeElement.textContent = window.i18n.formatDuration(stats.totalUsageTime);
       }
       
       // Update tabs opened
       const tabsOpenedElement = document.getElementById('total-tabs-opened');
       if (tabsOpenedElement && stats.totalTabsOpened) {
-        tabsOpenedElement.textContent = stats.totalTabsOpened.toLocaleString();
+        tabsOpenedElement.textContent = window.i18n.formatNumber(stats.totalTabsOpened);
       }
       
     } catch (error) {
@@ -83,10 +90,124 @@ class OptionsPage {
     }
   }
 
+  /**
+   * List the workspaces on the grid, each with a button to launch it
+   */
+  async loadWorkspaces() {
+    const list = document.getElementById('workspace-list');
+    const workspaces = await AppLauncher.loadWorkspaces();
+    list.innerHTML = '';
+
+    if (workspaces.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'snapshot-empty';
+      empty.textContent = window.i18n.t('noWorkspaces');
+      list.appendChild(empty);
+      return;
+    }
+
+    workspaces.forEach(workspace => {
+      const item = document.createElement('div');
+      item.className = 'snapshot-item';
+
+      const text = document.createElement('div');
+      const title = document.createElement('strong');
+      title.className = 'workspace-title';
+      title.style.setProperty('--workspace-color', TAB_GROUP_COLOR_VALUES[workspace.color]);
+      title.textContent = workspace.name;
+      const detail = document.createElement('span');
+      detail.textContent = window.i18n.plural('workspaceAppCount', workspace.urls.length);
+      text.append(title, detail);
+
+      const button = document.createElement('button');
+      button.className = 'btn btn-primary';
+      button.textContent = window.i18n.t('launch');
+      button.addEventListener('click', () => this.launchWorkspace(workspace));
+
+      item.append(text, button);
+      list.appendChild(item);
+    });
+  }
+
+  async launchWorkspace(workspace) {
+    try {
+      await AppLauncher.launchWorkspace(workspace);
+      // The popup stays open over the new tabs otherwise
+      window.close();
+    } catch (error) {
+      console.error('Failed to launch workspace:', error);
+      this.showStatus(window.i18n.t('workspaceLaunchFailed'), 'error');
+    }
+  }
+
+  /**
+   * List configuration snapshots with what changed since the one before
+   */
+  async loadSnapshots() {
+    const list = document.getElementById('snapshot-list');
+    const snapshots = await this.snapshotManager.getSnapshots();
+    list.innerHTML = '';
+
+    if (snapshots.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'snapshot-empty';
+      empty.textContent = window.i18n.t('noSnapshots');
+      list.appendChild(empty);
+      return;
+    }
+
+    snapshots.forEach((snapshot, index) => {
+      const item = document.createElement('div');
+      item.className = 'snapshot-item';
+
+      const text = document.createElement('div');
+      const title = document.createElement('strong');
+      const date = this.formatDate(new Date(snapshot.createdAt));
+      title.textContent = index === 0 && snapshot.date === this.snapshotManager.getDayKey()
+        ? window.i18n.t('snapshotToday', date)
+        : date;
+      const detail = document.createElement('span');
+      detail.textContent = this.snapshotManager.describeChanges(snapshot, snapshots[index + 1]);
+      text.append(title, detail);
+
+      const button = document.createElement('button');
+      button.className = 'btn btn-secondary';
+      button.textContent = window.i18n.t('restore');
+      button.addEventListener('click', () => this.restoreSnapshot(snapshot));
+
+      item.append(text, button);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Restore a snapshot after confirmation
+   */
+  async restoreSnapshot(snapshot) {
+    const date = this.formatDate(new Date(snapshot.createdAt));
+    if (!confirm(window.i18n.t('confirmRestoreSnapshot', date))) {
+      return;
+    }
+
+    try {
+      await this.snapshotManager.restore(snapshot.id);
+      await this.loadSnapshots();
+      this.showStatus(window.i18n.t('snapshotRestored', date), 'success');
+    } catch (error) {
+      console.error('Failed to restore snapshot:', error);
+      this.showStatus(window.i18n.t('snapshotRestoreFailed', error.message), 'error');
+    }
+  }
+
   /**
    * Setup event listeners
    */
   setupEventListeners() {
+    // Failed saves (quota or sync rate limits)
+    window.storageQueue.onError((error) => {
+      this.showStatus(error.message, 'error');
+    });
+
     // Open settings button
     document.getElementById('open-settings').addEventListener('click', () => {
       this.openSettings();
@@ -112,6 +233,15 @@ class OptionsPage {
       this.importSettings(e);
     });
 
+    // Import review
+    document.getElementById('import-apply').addEventListener('click', () => {
+      this.applyImport();
+    });
+
+    document.getElementById('import-cancel').addEventListener('click', () => {
+      this.closeImportReview();
+    });
+
     // Support links
     document.getElementById('report-issue').addEventListener('click', (e) => {
       e.preventDefault();
@@ -140,17 +270,29 @@ class OptionsPage {
    * Reset all extension data
    */
   async resetAllData() {
-    if (confirm('Are you sure you want to reset all extension data? This action cannot be undone.')) {
+    if (confirm(window.i18n.t('confirmResetAllData'))) {
       try {
-        // Clear all storage
+        // Keep the configuration being reset, and every snapshot, across the wipe
+        await this.snapshotManager.capture();
+        const snapshots = await this.snapshotManager.getSnapshots();
+        
+        // Clear all storage, including the undo history, and the timer and reminder alarms
         await chrome.storage.sync.clear();
         await chrome.storage.local.clear();
+        await chrome.storage.session.clear();
+        await chrome.alarms.clear(FOCUS_TIMER_ALARM);
+        await ReminderSchedule.syncAlarms([]);
         
         // Reset install date
         const now = new Date();
         await chrome.storage.sync.set({ installDate: now.toISOString() });
+        await this.snapshotManager.saveSnapshots(snapshots);
+
+        // Only the background images a kept snapshot can restore survive. Cached app icons
+        // are left for the new tab page, which drops those no pinned app uses.
+        await window.imageLibrary.removeUnused(await window.imageLibrary.getIds());
         
-        this.showStatus('All data has been reset successfully', 'success');
+        this.showStatus(window.i18n.t('allDataReset'), 'success');
         
         // Reload page after short delay
         setTimeout(() => {
@@ -159,28 +301,27 @@ class OptionsPage {
         
       } catch (error) {
         console.error('Failed to reset data:', error);
-        this.showStatus('Failed to reset data', 'error');
+        this.showStatus(window.i18n.t('resetDataFailed'), 'error');
       }
     }
   }
 
   /**
-   * Export settings as JSON
+   * Export a backup of settings, pinned apps, images, stats and profiles
    */
   async exportSettings() {
     try {
-      // Get all settings
-      const result = await chrome.storage.sync.get();
+      const backup = await this.backupManager.createBackup();
       
       // Create JSON file
-      const jsonString = JSON.stringify(result, null, 2);
+      const jsonString = JSON.stringify(backup, null, 2);
       const blob = new Blob([jsonString], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       
       // Create download link
       const a = document.createElement('a');
       a.href = url;
-      a.download = `new-tab-extension-settings-${new Date().toISOString().split('T')[0]}.json`;
+      a.download = `new-tab-extension-backup-${new Date().toISOString().split('T')[0]}.json`;
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
@@ -188,47 +329,31 @@ class OptionsPage {
       // Cleanup
       URL.revokeObjectURL(url);
       
-      this.showStatus('Settings exported successfully', 'success');
+      this.showStatus(window.i18n.t('backupExported'), 'success');
       
     } catch (error) {
-      console.error('Failed to export settings:', error);
-      this.showStatus('Failed to export settings', 'error');
+      console.error('Failed to export backup:', error);
+      this.showStatus(window.i18n.t('backupExportFailed'), 'error');
     }
   }
 
   /**
-   * Import settings from JSON
+   * Read a backup file and show what importing it would change
    */
   async importSettings(event) {
     const file = event.target.files[0];
     if (!file) return;
 
     try {
-      const text = await file.text();
-      const settings = JSON.parse(text);
+      const backup = this.backupManager.parseBackup(await file.text());
+      const plan = await this.backupManager.planImport(backup);
       
-      // Validate settings
-      this.validateSettings(settings);
-      
-      // Confirm import
-      if (confirm('This will replace all current settings. Are you sure?')) {
-        // Clear existing settings
-        await chrome.storage.sync.clear();
-        
-        // Import new settings
-        await chrome.storage.sync.set(settings);
-        
-        this.showStatus('Settings imported successfully', 'success');
-        
-        // Reload page
-        setTimeout(() => {
-          location.reload();
-        }, 1500);
-      }
+      this.pendingImport = backup;
+      this.showImportReview(file.name, backup, plan);
       
     } catch (error) {
-      console.error('Failed to import settings:', error);
-      this.showStatus('Failed to import settings: ' + error.message, 'error');
+      console.error('Failed to import backup:', error);
+      this.showStatus(window.i18n.t('backupImportFailed', error.message), 'error');
     }
     
     // Reset file input
@@ -236,22 +361,119 @@ class OptionsPage {
   }
 
   /**
-   * Validate imported settings
+   * Render the import summary with a merge/replace choice per section
+   */
+  showImportReview(fileName, backup, plan) {
+    document.getElementById('import-review-source').textContent = backup.createdAt
+      ? window.i18n.t('backupCreated', [fileName, this.formatDate(new Date(backup.createdAt))])
+      : fileName;
+
+    this.renderImportProblems(backup.problems);
+    document.getElementById('import-apply').textContent =
+      window.i18n.t(backup.problems.length > 0 ? 'importValidParts' : 'importSelected');
+
+    const list = document.getElementById('import-review-list');
+    list.innerHTML = '';
+
+    plan.forEach(({ section, label, available, summary }) => {
+      const item = document.createElement('div');
+      item.className = `import-review-item${available ? '' : ' unavailable'}`;
+
+      const text = document.createElement('div');
+      const title = document.createElement('strong');
+      title.textContent = label;
+      const detail = document.createElement('span');
+      detail.textContent = summary;
+      text.append(title, detail);
+
+      const select = document.createElement('select');
+      select.dataset.section = section;
+      select.disabled = !available;
+      [['merge', 'importMerge'], ['replace', 'importReplace'], ['skip', 'importSkip']].forEach(([value, key]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = window.i18n.t(key);
+        select.appendChild(option);
+      });
+      select.value = available ? 'merge' : 'skip';
+
+      item.append(text, select);
+      list.appendChild(item);
+    });
+
+    const review = document.getElementById('import-review');
+    review.hidden = false;
+    review.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  /**
+   * List entries that failed validation and will be left out of the import
    */
-  validateSettings(settings) {
-    // Basic validation - check if it's an object
-    if (!settings || typeof settings !== 'object') {
-      throw new Error('Invalid settings format');
+  renderImportProblems(problems) {
+    const container = document.getElementById('import-review-problems');
+    container.innerHTML = '';
+    container.hidden = problems.length === 0;
+    if (problems.length === 0) return;
+
+    const heading = document.createElement('p');
+    heading.textContent = window.i18n.plural('invalidEntriesFound', problems.length);
+
+    const list = document.createElement('ul');
+    problems.forEach(({ path, message }) => {
+      const item = document.createElement('li');
+      const code = document.createElement('code');
+      code.textContent = path;
+      item.append(code, ` ${message}`);
+      list.appendChild(item);
+    });
+
+    container.append(heading, list);
+  }
+
+  /**
+   * Hide the import summary and drop the pending backup
+   */
+  closeImportReview() {
+    this.pendingImport = null;
+    document.getElementById('import-review').hidden = true;
+  }
+
+  /**
+   * Import the reviewed backup with the chosen mode for each section
+   */
+  async applyImport() {
+    if (!this.pendingImport) return;
+
+    const modes = {};
+    document.querySelectorAll('#import-review-list select').forEach(select => {
+      modes[select.dataset.section] = select.value;
+    });
+
+    if (Object.values(modes).every(mode => mode === 'skip')) {
+      this.showStatus(window.i18n.t('nothingSelected'), 'warning');
+      return;
     }
-    
-    // Check for required sections (optional)
-    const optionalSections = ['newTabSettings', 'backgroundSettings', 'statsData', 'pinnedApps'];
-    const hasValidSections = Object.keys(settings).some(key => 
-      optionalSections.includes(key) || key.endsWith('Settings')
-    );
-    
-    if (!hasValidSections) {
-      throw new Error('Settings file does not contain valid configuration sections');
+
+    const applyButton = document.getElementById('import-apply');
+    applyButton.disabled = true;
+
+    try {
+      // Keep the configuration being replaced
+      await this.snapshotManager.capture();
+      await this.backupManager.applyImport(this.pendingImport, modes);
+      this.closeImportReview();
+      this.showStatus(window.i18n.t('backupImported'), 'success');
+      
+      // Reload page
+      setTimeout(() => {
+        location.reload();
+      }, 1500);
+      
+    } catch (error) {
+      console.error('Failed to import backup:', error);
+      this.showStatus(window.i18n.t('backupApplyFailed', error.message), 'error');
+    } finally {
+      applyButton.disabled = false;
     }
   }
 
@@ -309,28 +531,12 @@ class OptionsPage {
    * Format date for display
    */
   formatDate(date) {
-    return date.toLocaleDateString(undefined, {
+    return date.toLocaleDateString(window.i18n.getLocale(), {
       year: 'numeric',
       month: 'long',
       day: 'numeric'
     });
   }
-
-  /**
-   * Format usage time for display
-   */
-  formatUsageTime(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    
-    if (hours > 0) {
-      return `${hours}h ${minutes}m`;
-    } else if (minutes > 0) {
-      return `${minutes}m`;
-    } else {
-      return '< 1m';
-    }
-  }
 }
 
 // Initialize options page when DOM is loaded
@@ -3,22 +3,58 @@
  * Handles app grid, drag-and-drop, and app management
  */
 
+// Dropping on the middle of a tile puts the apps in a folder; the outer quarter on
+// either side moves the dragged app next to it instead
+const FOLDER_DROP_EDGE = 0.25;
+
+// Apps shown on a folder's tile
+const FOLDER_PREVIEW_COUNT = 4;
+
+// Holding a dragged app this close to either side of the grid for PAGE_TURN_DELAY ms turns the page
+const PAGE_EDGE_SIZE = 48;
+const PAGE_TURN_DELAY = 600;
+
+// Wheel movement that turns the page, and the pause after a turn so one flick moves one page
+const PAGE_WHEEL_THRESHOLD = 30;
+const PAGE_WHEEL_COOLDOWN = 500;
+
+// Horizontal distance a swipe has to cover to turn the page
+const PAGE_SWIPE_DISTANCE = 50;
+
 class PinnedAppsManager {
   constructor() {
     this.gridElement = document.getElementById('pinned-apps-grid');
     this.addButton = document.getElementById('add-app-button');
     this.appEditModal = document.getElementById('app-edit-modal');
+    this.folderPopover = document.getElementById('folder-popover');
+    this.folderGrid = document.getElementById('folder-grid');
+    this.folderNameInput = document.getElementById('folder-name');
+    this.pageDots = document.getElementById('app-page-dots');
     
     this.apps = [];
-    this.settings = {
-      iconPadding: 16,
-      iconTransparency: 1,
-      showAppNames: true
-    };
+    this.settings = window.settingsStore.get('apps');
     
     this.draggedElement = null;
     this.draggedIndex = null;
+    // { folderId, index } while an app is dragged from an open folder
+    this.draggedFolderApp = null;
+    // Tile the dragged app would be put in a folder with, and where it lands otherwise
+    this.mergeTarget = null;
+    this.dropIndex = null;
     this.editingIndex = null;
+    // Set when the app being edited is in a folder; editingIndex is then its place there
+    this.editingFolderId = null;
+    this.openFolderId = null;
+    
+    // Apps are laid out in pages of gridColumns x gridRows inside a sliding track
+    this.pagesElement = null;
+    this.page = 0;
+    this.renderedGridSize = null;
+    this.pageTurnTimer = null;
+    this.lastWheelTurn = 0;
+    this.swipeStartX = null;
+    // Icon URLs the icon cache was last pruned for, so it is only pruned when they change
+    this.prunedIcons = null;
     
     this.init();
   }
@@ -26,6 +62,8 @@ class PinnedAppsManager {
   async init() {
     await this.loadApps();
     await this.loadSettings();
+    // Cached icons are loaded before the first render so tiles don't wait on the network
+    await window.iconResolver.ready;
     this.renderApps();
     this.setupEventListeners();
     this.applySettings();
@@ -39,6 +77,9 @@ class PinnedAppsManager {
       const result = await chrome.storage.sync.get(['pinnedApps']);
       if (result.pinnedApps) {
         this.apps = result.pinnedApps;
+        if (this.compactLetterIcons()) {
+          await this.saveApps();
+        }
       } else {
         // Default apps
         this.apps = [
@@ -67,39 +108,36 @@ class PinnedAppsManager {
   }
 
   /**
-   * Save apps to storage
+   * Letter icons used to be stored as whole SVGs. Keep only their style, which is
+   * much smaller. Returns whether any app changed.
    */
-  async saveApps() {
-    try {
-      await chrome.storage.sync.set({ pinnedApps: this.apps });
-    } catch (error) {
-      console.warn('Failed to save pinned apps:', error);
-    }
+  compactLetterIcons() {
+    let changed = false;
+    SettingsStore.flattenPinnedApps(this.apps).forEach(app => {
+      const monogram = MonogramIcon.parse(app.icon);
+      if (monogram) {
+        app.icon = '';
+        app.monogram = monogram;
+        changed = true;
+      }
+    });
+    return changed;
   }
 
   /**
-   * Load app settings
+   * Save apps to storage
    */
-  async loadSettings() {
-    try {
-      const result = await chrome.storage.sync.get(['appsSettings']);
-      if (result.appsSettings) {
-        this.settings = { ...this.settings, ...result.appsSettings };
-      }
-    } catch (error) {
-      console.warn('Failed to load apps settings:', error);
-    }
+  async saveApps() {
+    // Failures are reported to the page by the storage queue
+    await window.storageQueue.write(chrome.storage.sync, 'pinnedApps', this.apps).catch(() => {});
   }
 
   /**
-   * Save app settings
+   * Load app settings from the settings store
    */
-  async saveSettings() {
-    try {
-      await chrome.storage.sync.set({ appsSettings: this.settings });
-    } catch (error) {
-      console.warn('Failed to save apps settings:', error);
-    }
+  async loadSettings() {
+    await window.i18n.ready;
+    this.settings = window.settingsStore.get('apps');
   }
 
   /**
@@ -107,12 +145,12 @@ class PinnedAppsManager {
    */
   applySettings() {
     // Update CSS variables
-    document.documentElement.style.setProperty('--app-icon-padding', `${this.settings.iconPadding}px`);
+    document.documentElement.style.setProperty('--app-icon-padding', `${this.settings.padding}px`);
     
     // Update app name visibility
     const appNames = document.querySelectorAll('.app-name');
     appNames.forEach(name => {
-      if (this.settings.showAppNames) {
+      if (this.settings.showNames) {
         name.classList.remove('hidden');
       } else {
         name.classList.add('hidden');
@@ -122,19 +160,229 @@ class PinnedAppsManager {
     // Update icon transparency
     const appIcons = document.querySelectorAll('.app-icon');
     appIcons.forEach(icon => {
-      icon.style.opacity = this.settings.iconTransparency;
+      icon.style.opacity = this.settings.transparency;
     });
   }
 
   /**
-   * Render all apps in the grid
+   * Columns and rows of each page. Narrow windows cap the columns through
+   * the --app-grid-max-columns variable set in the stylesheet.
+   */
+  getGridSize() {
+    const maxColumns = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--app-grid-max-columns'));
+    return {
+      columns: maxColumns ? Math.min(this.settings.gridColumns, maxColumns) : this.settings.gridColumns,
+      rows: this.settings.gridRows
+    };
+  }
+
+  getPageSize() {
+    const { columns, rows } = this.getGridSize();
+    return columns * rows;
+  }
+
+  getPageCount() {
+    return Math.max(1, Math.ceil(this.apps.length / this.getPageSize()));
+  }
+
+  /**
+   * Render all apps in the grid, a page at a time
    */
   renderApps() {
-    this.gridElement.innerHTML = '';
+    const { columns, rows } = this.getGridSize();
+    const pageSize = columns * rows;
+    this.gridElement.style.setProperty('--app-grid-columns', columns);
+    this.gridElement.style.setProperty('--app-grid-rows', rows);
+    this.renderedGridSize = `${columns}x${rows}`;
+    
+    this.pagesElement = document.createElement('div');
+    this.pagesElement.className = 'app-pages';
     
+    let pageElement = null;
     this.apps.forEach((app, index) => {
-      const appElement = this.createAppElement(app, index);
-      this.gridElement.appendChild(appElement);
+      if (index % pageSize === 0) {
+        pageElement = document.createElement('div');
+        pageElement.className = 'app-page';
+        this.pagesElement.appendChild(pageElement);
+      }
+      pageElement.appendChild(this.createAppElement(app, index));
+    });
+    
+    this.gridElement.innerHTML = '';
+    this.gridElement.appendChild(this.pagesElement);
+    this.showPage(this.page);
+
+    this.applySettings();
+    this.cacheIcons();
+    
+    if (this.openFolderId) {
+      this.renderFolder();
+    }
+  }
+
+  /**
+   * Slide to a page, kept within the pages there are
+   */
+  showPage(page) {
+    this.page = Math.max(0, Math.min(page, this.getPageCount() - 1));
+    if (this.pagesElement) {
+      this.pagesElement.style.setProperty('--app-page', this.page);
+    }
+    this.renderPageDots();
+  }
+
+  /**
+   * Move forward (1) or back (-1) a page
+   */
+  turnPage(direction) {
+    this.showPage(this.page + direction);
+  }
+
+  /**
+   * One dot per page, shown when there's more than one
+   */
+  renderPageDots() {
+    const count = this.getPageCount();
+    this.pageDots.innerHTML = '';
+    this.pageDots.classList.toggle('hidden', count < 2);
+    
+    for (let page = 0; page < count; page++) {
+      const dot = document.createElement('button');
+      dot.className = 'app-page-dot';
+      dot.classList.toggle('active', page === this.page);
+      dot.setAttribute('aria-label', window.i18n.t('appPage', [window.i18n.formatNumber(page + 1), window.i18n.formatNumber(count)]));
+      dot.addEventListener('click', () => this.showPage(page));
+      this.pageDots.appendChild(dot);
+    }
+  }
+
+  /**
+   * Turn the page once a dragged app has been held near either side of the grid
+   */
+  checkPageEdge(clientX) {
+    const rect = this.gridElement.getBoundingClientRect();
+    let direction = 0;
+    if (clientX < rect.left + PAGE_EDGE_SIZE) {
+      direction = -1;
+    } else if (clientX > rect.right - PAGE_EDGE_SIZE) {
+      direction = 1;
+    }
+    if (window.i18n.isRtl()) {
+      direction = -direction;
+    }
+    
+    const target = this.page + direction;
+    if (!direction || target < 0 || target >= this.getPageCount()) {
+      this.cancelPageTurn();
+      return;
+    }
+    
+    if (!this.pageTurnTimer) {
+      this.pageTurnTimer = setTimeout(() => {
+        this.pageTurnTimer = null;
+        this.turnPageWhileDragging(direction);
+      }, PAGE_TURN_DELAY);
+    }
+  }
+
+  cancelPageTurn() {
+    clearTimeout(this.pageTurnTimer);
+    this.pageTurnTimer = null;
+  }
+
+  /**
+   * Turn the page during a drag, taking the dragged app to the start of the next page
+   * or the end of the previous one
+   */
+  turnPageWhileDragging(direction) {
+    this.turnPage(direction);
+    const pageSize = this.getPageSize();
+    
+    if (this.draggedFolderApp) {
+      this.dropIndex = direction > 0
+        ? this.page * pageSize
+        : Math.min((this.page + 1) * pageSize, this.apps.length);
+      return;
+    }
+    
+    const pageElement = this.pagesElement.children[this.page];
+    if (!this.draggedElement || !pageElement) return;
+    
+    pageElement.insertBefore(this.draggedElement, direction > 0 ? pageElement.firstChild : null);
+    
+    // Keep each page full, pushing the tiles after the dragged one along
+    const tiles = Array.from(this.pagesElement.querySelectorAll('.app-item'));
+    Array.from(this.pagesElement.children).forEach((element, page) => {
+      tiles.slice(page * pageSize, (page + 1) * pageSize).forEach(tile => element.appendChild(tile));
+    });
+  }
+
+  /**
+   * Icon image for an app, using its cached copy when there is one. data-icon keeps the
+   * icon's own URL, and data-fallback is the letter icon shown if the image fails to load.
+   * Apps with a letter icon style, or no icon, show the letter icon.
+   */
+  createIconElement(app, className = 'app-icon') {
+    const image = document.createElement('img');
+    if (className) image.className = className;
+    image.alt = app.name;
+
+    const letterIcon = MonogramIcon.create({ name: app.name, url: app.url, ...(app.monogram || {}) });
+    if (app.monogram || !app.icon) {
+      image.src = letterIcon;
+      return image;
+    }
+
+    image.src = window.iconResolver.getCachedUrl(app.icon) || app.icon;
+    image.dataset.icon = app.icon;
+    image.dataset.fallback = letterIcon;
+    return image;
+  }
+
+  /**
+   * A tile's label
+   */
+  createNameElement(name) {
+    const nameElement = document.createElement('div');
+    nameElement.className = 'app-name';
+    nameElement.textContent = name;
+    return nameElement;
+  }
+
+  /**
+   * The small icons shown inside a folder or workspace tile
+   */
+  createPreviewIconElement(apps, className) {
+    const icons = document.createElement('div');
+    icons.className = className;
+    apps.slice(0, FOLDER_PREVIEW_COUNT).forEach(app => icons.appendChild(this.createIconElement(app, '')));
+    return icons;
+  }
+
+  /**
+   * Cache the icons that don't have a local copy yet, switching their tiles over as each is
+   * stored, and drop cached icons no app uses any more
+   */
+  cacheIcons() {
+    const apps = SettingsStore.flattenPinnedApps(this.apps);
+    const iconUrls = [...new Set(apps.map(app => app.icon).filter(icon => window.iconResolver.isRemote(icon)))].sort();
+    const iconKey = iconUrls.join('\n');
+    if (iconKey !== this.prunedIcons) {
+      this.prunedIcons = iconKey;
+      window.iconResolver.prune(iconUrls);
+    }
+    
+    apps.forEach(app => {
+      if (!window.iconResolver.isRemote(app.icon) || window.iconResolver.getCachedUrl(app.icon)) return;
+      
+      window.iconResolver.cache(app.icon).then(objectUrl => {
+        if (!objectUrl) return;
+        document.querySelectorAll('img[data-icon]').forEach(img => {
+          if (img.dataset.icon === app.icon) {
+            img.src = objectUrl;
+          }
+        });
+      });
     });
   }
 
@@ -147,21 +395,51 @@ class PinnedAppsManager {
     appElement.draggable = true;
     appElement.dataset.index = index;
 
-    appElement.innerHTML = `
-      <img class="app-icon" src="${app.icon}" alt="${app.name}" onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNjQiIGhlaWdodD0iNjQiIHZpZXdCb3g9IjAgMCA2NCA2NCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjY0IiBoZWlnaHQ9IjY0IiByeD0iOCIgZmlsbD0icmdiYSgyNTUsIDI1NSwgMjU1LCAwLjEpIi8+CjxwYXRoIGQ9Ik0zMiAxNlYzMkwxNiA0OEgzMlY2NEw0OCA0OFY2NEg2NFYxNkg0OFYzMkgzMlYxNkgxNlYxNkgzMloiIGZpbGw9InJnYmEoMjU1LCAyNTUsIDI1NSwgMC4zKSIvPgo8L3N2Zz4K'">
-      <div class="app-name">${app.name}</div>
-    `;
+    if (app.type === 'folder') {
+      appElement.classList.add('app-folder');
+      appElement.append(
+        this.createPreviewIconElement(app.apps, 'app-icon app-folder-icon'),
+        this.createNameElement(app.name)
+      );
+    } else if (app.type === 'workspace') {
+      // Ringed in the colour of its tab group
+      appElement.classList.add('app-workspace');
+      appElement.style.setProperty('--workspace-color', TAB_GROUP_COLOR_VALUES[app.color]);
+      appElement.append(
+        this.createPreviewIconElement(this.getWorkspaceApps(app), 'app-icon app-folder-icon app-workspace-icon'),
+        this.createNameElement(app.name)
+      );
+    } else {
+      appElement.append(this.createIconElement(app), this.createNameElement(app.name));
+    }
 
     // Add event listeners
     appElement.addEventListener('click', (e) => {
-      if (!this.draggedElement) {
-        this.openApp(app.url);
+      if (this.draggedElement) return;
+      
+      if (app.type === 'folder') {
+        this.openFolder(app.id);
+      } else if (app.type === 'workspace') {
+        this.launchWorkspace(app);
+      } else {
+        this.openApp(app, e);
       }
     });
 
+    if (!app.type) {
+      this.addMiddleClick(appElement, app);
+    }
+
     appElement.addEventListener('dblclick', (e) => {
       e.preventDefault();
-      this.openEditModal(index);
+      // Folders are renamed from their popover
+      if (app.type === 'workspace') {
+        if (window.workspaceManager) {
+          window.workspaceManager.openEditor(app.id);
+        }
+      } else if (app.type !== 'folder') {
+        this.openEditModal(index);
+      }
     });
 
     // Drag events
@@ -174,34 +452,183 @@ class PinnedAppsManager {
 
     appElement.addEventListener('dragend', (e) => {
       appElement.classList.remove('dragging');
-      this.draggedElement = null;
-      this.draggedIndex = null;
+      this.endDrag();
     });
 
     appElement.addEventListener('dragover', (e) => {
       e.preventDefault();
-      if (this.draggedElement && this.draggedElement !== appElement) {
-        const rect = appElement.getBoundingClientRect();
-        const midpoint = rect.left + rect.width / 2;
-        
-        if (e.clientX < midpoint) {
-          appElement.parentNode.insertBefore(this.draggedElement, appElement);
-        } else {
-          appElement.parentNode.insertBefore(this.draggedElement, appElement.nextSibling);
-        }
+      const dragged = this.getDraggedApp();
+      if (!dragged || this.draggedElement === appElement) return;
+      
+      const rect = appElement.getBoundingClientRect();
+      const position = (e.clientX - rect.left) / rect.width;
+      const overMiddle = position > FOLDER_DROP_EDGE && position < 1 - FOLDER_DROP_EDGE;
+      
+      if (overMiddle && this.canMerge(dragged, app)) {
+        this.setMergeTarget(appElement);
+        return;
       }
-    });
-
-    appElement.addEventListener('drop', (e) => {
-      e.preventDefault();
-      if (this.draggedIndex !== null) {
-        this.reorderApps();
+      this.setMergeTarget(null);
+      
+      if (this.draggedFolderApp) {
+        // The app isn't in the grid yet, so remember where it would go
+        this.dropIndex = position < 0.5 ? index : index + 1;
+      } else if (position < 0.5) {
+        appElement.parentNode.insertBefore(this.draggedElement, appElement);
+      } else {
+        appElement.parentNode.insertBefore(this.draggedElement, appElement.nextSibling);
       }
     });
 
     return appElement;
   }
 
+  /**
+   * The app being dragged, from the grid or from an open folder
+   */
+  getDraggedApp() {
+    if (this.draggedFolderApp) {
+      const folder = this.findFolder(this.draggedFolderApp.folderId);
+      return folder ? folder.apps[this.draggedFolderApp.index] : null;
+    }
+    return this.draggedIndex !== null ? this.apps[this.draggedIndex] : null;
+  }
+
+  /**
+   * Whether dropping one item on another puts them in a folder. Only apps go in folders,
+   * and an app can't be dropped back onto the folder it came from.
+   */
+  canMerge(dragged, target) {
+    if (dragged.type || target.type === 'workspace' || dragged === target) return false;
+    return !(this.draggedFolderApp && target.id === this.draggedFolderApp.folderId);
+  }
+
+  /**
+   * Highlight the tile a drop would make a folder with
+   */
+  setMergeTarget(element) {
+    if (this.mergeTarget === element) return;
+    
+    if (this.mergeTarget) {
+      this.mergeTarget.classList.remove('drag-over');
+    }
+    this.mergeTarget = element;
+    if (element) {
+      element.classList.add('drag-over');
+    }
+  }
+
+  /**
+   * Clear drag state, then apply any changes from other tabs held back during the drag.
+   * Safe to call more than once, as both drop and dragend do.
+   */
+  endDrag() {
+    this.setMergeTarget(null);
+    this.cancelPageTurn();
+    this.draggedElement = null;
+    this.draggedIndex = null;
+    this.draggedFolderApp = null;
+    this.dropIndex = null;
+    this.folderPopover.classList.remove('dragging-out');
+    
+    if (this.pendingRemoteApps) {
+      const apps = this.pendingRemoteApps;
+      this.pendingRemoteApps = null;
+      if (JSON.stringify(apps) !== JSON.stringify(this.apps)) {
+        this.applyRemoteApps(apps);
+      }
+    }
+  }
+
+  /**
+   * Handle a drop anywhere on the grid
+   */
+  handleGridDrop() {
+    if (this.mergeTarget) {
+      this.mergeApps(parseInt(this.mergeTarget.dataset.index));
+    } else if (this.draggedFolderApp) {
+      this.moveOutOfFolder(this.dropIndex);
+    } else if (this.draggedIndex !== null) {
+      this.reorderApps();
+    }
+    this.endDrag();
+  }
+
+  /**
+   * Take the dragged app out of the grid or its folder. Folders left empty are removed.
+   */
+  takeDraggedApp() {
+    if (!this.draggedFolderApp) {
+      return this.apps.splice(this.draggedIndex, 1)[0];
+    }
+    
+    const folder = this.findFolder(this.draggedFolderApp.folderId);
+    const [app] = folder.apps.splice(this.draggedFolderApp.index, 1);
+    if (folder.apps.length === 0) {
+      this.apps.splice(this.apps.indexOf(folder), 1);
+    }
+    return app;
+  }
+
+  /**
+   * Put the dragged app in a folder with the app at an index, or in the folder there
+   */
+  mergeApps(targetIndex) {
+    const before = structuredClone(this.apps);
+    const target = this.apps[targetIndex];
+    const app = this.takeDraggedApp();
+    let label;
+    
+    if (this.draggedFolderApp) {
+      this.closeFolder();
+    }
+    
+    if (target.type === 'folder') {
+      target.apps.push(app);
+      label = window.i18n.t('historyMovedToFolder', [app.name, target.name]);
+    } else {
+      this.apps[this.apps.indexOf(target)] = {
+        type: 'folder',
+        id: window.utils.generateId('folder'),
+        name: window.i18n.t('folderDefaultName'),
+        apps: [target, app]
+      };
+      label = window.i18n.t('historyCreatedFolder');
+    }
+    
+    this.renderApps();
+    this.saveApps();
+    
+    if (window.historyManager) {
+      window.historyManager.record('apps', label, before, this.apps, { toast: false });
+    }
+  }
+
+  /**
+   * Move the app dragged from a folder into the grid at an index, or at the end
+   */
+  moveOutOfFolder(index) {
+    const before = structuredClone(this.apps);
+    const folder = this.findFolder(this.draggedFolderApp.folderId);
+    const folderIndex = this.apps.indexOf(folder);
+    const app = this.takeDraggedApp();
+    
+    let position = index === null ? this.apps.length : index;
+    // The folder's tile is gone if that was its last app
+    if (!this.apps.includes(folder) && position > folderIndex) {
+      position--;
+    }
+    this.apps.splice(position, 0, app);
+    
+    this.closeFolder();
+    this.renderApps();
+    this.saveApps();
+    
+    if (window.historyManager) {
+      window.historyManager.record('apps', window.i18n.t('historyMovedOutOfFolder', [app.name, folder.name]), before, this.apps, { toast: false });
+    }
+  }
+
   /**
    * Reorder apps after drag and drop
    */
@@ -214,32 +641,319 @@ class PinnedAppsManager {
       newOrder.push(this.apps[index]);
     });
     
+    const before = this.apps;
     this.apps = newOrder;
     this.renderApps();
     this.saveApps();
+    
+    if (window.historyManager) {
+      window.historyManager.record('apps', window.i18n.t('historyReorderedApps'), before, this.apps, { toast: false });
+    }
+  }
+
+  /**
+   * Adopt apps saved by another tab or synced from another device,
+   * re-rendering only the tiles that changed
+   */
+  applyRemoteApps(apps) {
+    const elements = this.gridElement.querySelectorAll('.app-item');
+    
+    if (apps.length === elements.length) {
+      apps.forEach((app, index) => {
+        if (JSON.stringify(app) === JSON.stringify(this.apps[index])) return;
+        elements[index].replaceWith(this.createAppElement(app, index));
+      });
+      
+      this.apps = apps;
+      this.applySettings();
+      this.cacheIcons();
+      
+      if (this.openFolderId) {
+        this.renderFolder();
+      }
+    } else {
+      // An app added or removed shifts every later page, so lay them all out again
+      this.apps = apps;
+      this.renderApps();
+    }
+    
+    // Keep an open edit pointed at the same app even if it moved
+    if (this.editingApp) {
+      const folder = this.editingFolderId ? this.findFolder(this.editingFolderId) : null;
+      const list = this.editingFolderId ? (folder ? folder.apps : []) : apps;
+      const sameApp = JSON.stringify(this.editingApp);
+      let index = list.findIndex(app => JSON.stringify(app) === sameApp);
+      if (index === -1) {
+        index = list.findIndex(app => app.url === this.editingApp.url);
+      }
+      this.editingIndex = index === -1 ? null : index;
+    }
+  }
+
+  /**
+   * Replace all apps, e.g. when switching profiles
+   */
+  async setApps(apps) {
+    // Copied deeply, as folders are changed in place and the apps may come from history
+    this.apps = structuredClone(apps);
+    this.renderApps();
+    await this.saveApps();
+  }
+
+  /**
+   * Change the apps in place with a callback, then show, save and record the change so it
+   * can be undone. For modules that edit the grid, such as the workspace editor.
+   */
+  changeApps(label, change, { toast = false } = {}) {
+    const before = structuredClone(this.apps);
+    change(this.apps);
+    this.renderApps();
+    this.saveApps();
+    
+    if (window.historyManager) {
+      window.historyManager.record('apps', label, before, this.apps, { toast });
+    }
+  }
+
+  /**
+   * The folder with an id, if it's still in the grid
+   */
+  findFolder(id) {
+    return this.apps.find(app => app.type === 'folder' && app.id === id) || null;
+  }
+
+  /**
+   * The workspace with an id, if it's still in the grid
+   */
+  findWorkspace(id) {
+    return this.apps.find(app => app.type === 'workspace' && app.id === id) || null;
+  }
+
+  /**
+   * The apps a workspace opens, in order. URLs that are no longer pinned show a letter icon.
+   */
+  getWorkspaceApps(workspace) {
+    const pinned = SettingsStore.flattenPinnedApps(this.apps);
+    return workspace.urls.map(url => {
+      const app = pinned.find(pinnedApp => pinnedApp.url === url);
+      if (app) return app;
+      
+      return { name: MonogramIcon.getDomain(url) || url, url, icon: '' };
+    });
+  }
+
+  /**
+   * Show a folder's apps in the popover
+   */
+  openFolder(id) {
+    this.openFolderId = id;
+    this.renderFolder();
+    this.folderPopover.classList.add('active');
+  }
+
+  /**
+   * Close the folder popover
+   */
+  closeFolder() {
+    this.folderPopover.classList.remove('active', 'dragging-out');
+    this.openFolderId = null;
+  }
+
+  /**
+   * Render the open folder's name and apps, closing the popover if it's gone
+   */
+  renderFolder() {
+    const folder = this.findFolder(this.openFolderId);
+    if (!folder) {
+      this.closeFolder();
+      return;
+    }
+    
+    // Don't overwrite a name that's being typed
+    if (document.activeElement !== this.folderNameInput) {
+      this.folderNameInput.value = folder.name;
+    }
+    
+    this.folderGrid.innerHTML = '';
+    folder.apps.forEach((app, index) => {
+      this.folderGrid.appendChild(this.createFolderAppElement(folder, app, index));
+    });
+    
+    this.applySettings();
+  }
+
+  /**
+   * Create an app element in the folder popover. Apps are reordered within it, or
+   * dragged past its edge to move them back to the grid.
+   */
+  createFolderAppElement(folder, app, index) {
+    const appElement = document.createElement('div');
+    appElement.className = 'app-item';
+    appElement.draggable = true;
+    appElement.dataset.index = index;
+    appElement.append(this.createIconElement(app), this.createNameElement(app.name));
+
+    appElement.addEventListener('click', (e) => {
+      if (!this.draggedElement) {
+        this.openApp(app, e);
+      }
+    });
+
+    this.addMiddleClick(appElement, app);
+
+    appElement.addEventListener('dblclick', (e) => {
+      e.preventDefault();
+      this.openEditModal(index, folder.id);
+    });
+
+    appElement.addEventListener('dragstart', (e) => {
+      this.draggedElement = appElement;
+      this.draggedFolderApp = { folderId: folder.id, index };
+      appElement.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+    });
+
+    appElement.addEventListener('dragend', () => {
+      appElement.classList.remove('dragging');
+      this.endDrag();
+    });
+
+    appElement.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      if (!this.draggedFolderApp || this.draggedElement === appElement) return;
+      
+      const rect = appElement.getBoundingClientRect();
+      if (e.clientX < rect.left + rect.width / 2) {
+        this.folderGrid.insertBefore(this.draggedElement, appElement);
+      } else {
+        this.folderGrid.insertBefore(this.draggedElement, appElement.nextSibling);
+      }
+    });
+
+    return appElement;
+  }
+
+  /**
+   * Reorder the open folder's apps after drag and drop
+   */
+  reorderFolder() {
+    const folder = this.findFolder(this.openFolderId);
+    if (!folder) return;
+    
+    const before = structuredClone(this.apps);
+    folder.apps = Array.from(this.folderGrid.querySelectorAll('.app-item'))
+      .map(element => folder.apps[parseInt(element.dataset.index)]);
+    this.renderApps();
+    this.saveApps();
+    
+    if (window.historyManager) {
+      window.historyManager.record('apps', window.i18n.t('historyReorderedApps'), before, this.apps, { toast: false });
+    }
+  }
+
+  /**
+   * Rename the open folder. An empty name puts back the default one.
+   */
+  renameFolder(name) {
+    const folder = this.findFolder(this.openFolderId);
+    if (!folder) return;
+    
+    const before = structuredClone(this.apps);
+    folder.name = name.trim() || window.i18n.t('folderDefaultName');
+    this.folderNameInput.value = folder.name;
+    this.renderApps();
+    this.saveApps();
+    
+    if (window.historyManager) {
+      window.historyManager.record('apps', window.i18n.t('historyRenamedFolder', folder.name), before, this.apps, { toast: false });
+    }
   }
 
   /**
-   * Open an app URL
+   * Open an app in a background tab on a middle-click, as the browser does for links
    */
-  openApp(url) {
-    if (url) {
-      chrome.tabs.create({ url: url });
+  addMiddleClick(appElement, app) {
+    // Stops the middle button starting autoscroll
+    appElement.addEventListener('mousedown', (e) => {
+      if (e.button === 1) e.preventDefault();
+    });
+
+    appElement.addEventListener('auxclick', (e) => {
+      if (e.button === 1) {
+        e.preventDefault();
+        this.openApp(app, e);
+      }
+    });
+  }
+
+  /**
+   * Where a click opens an app. Modifiers work as they do on links: Ctrl/Cmd or the middle
+   * button opens a background tab (a foreground one with Shift too) and Shift alone a new
+   * window. Otherwise the app's own choice is used, then the default from settings.
+   */
+  getOpenMode(app, event) {
+    if (event) {
+      if (event.ctrlKey || event.metaKey || event.button === 1) {
+        return event.shiftKey ? 'foreground' : 'background';
+      }
+      if (event.shiftKey) {
+        return 'window';
+      }
+    }
+    return app.openMode || this.settings.openMode;
+  }
+
+  /**
+   * Open an app, in the way given by getOpenMode
+   */
+  async openApp(app, event = null) {
+    if (!app.url) return;
+
+    try {
+      await AppLauncher.open(app.url, this.getOpenMode(app, event));
+    } catch (error) {
+      // e.g. incognito windows turned off by policy, or a chrome: page that can't open in one
+      console.warn('Failed to open app:', error);
+      this.showNotification(window.i18n.t('appOpenFailed'), 'error');
+    }
+  }
+
+  /**
+   * Open all of a workspace's apps, as a tab group if it's set up as one
+   */
+  async launchWorkspace(workspace) {
+    if (workspace.urls.length === 0) {
+      this.showNotification(window.i18n.t('workspaceEmpty'), 'warning');
+      return;
+    }
+
+    try {
+      await AppLauncher.launchWorkspace(workspace);
+    } catch (error) {
+      console.warn('Failed to launch workspace:', error);
+      this.showNotification(window.i18n.t('workspaceLaunchFailed'), 'error');
     }
   }
 
   /**
-   * Open the edit modal for an app
+   * Open the edit modal for an app, in the grid or in a folder
    */
-  openEditModal(index) {
+  openEditModal(index, folderId = null) {
     this.editingIndex = index;
-    const app = this.apps[index];
+    this.editingFolderId = folderId;
+    const app = this.getEditingList()[index];
+    this.editingApp = { ...app };
     
     document.getElementById('app-name').value = app.name || '';
     document.getElementById('app-url').value = app.url || '';
+    document.getElementById('app-open-mode').value = app.openMode || '';
     
     const iconPreview = document.getElementById('icon-preview');
-    iconPreview.innerHTML = app.icon ? `<img src="${app.icon}" alt="${app.name}">` : '';
+    iconPreview.innerHTML = '';
+    if (app.icon || app.monogram) {
+      iconPreview.appendChild(this.createIconElement(app, ''));
+    }
+    this.setMonogramOptions(app.monogram || {});
     
     this.appEditModal.classList.add('active');
   }
@@ -250,6 +964,18 @@ class PinnedAppsManager {
   closeEditModal() {
     this.appEditModal.classList.remove('active');
     this.editingIndex = null;
+    this.editingFolderId = null;
+    this.editingApp = null;
+  }
+
+  /**
+   * The list holding the app being edited: the grid, or the apps of its folder
+   */
+  getEditingList() {
+    if (!this.editingFolderId) return this.apps;
+    
+    const folder = this.findFolder(this.editingFolderId);
+    return folder ? folder.apps : [];
   }
 
   /**
@@ -259,33 +985,37 @@ class PinnedAppsManager {
     const name = document.getElementById('app-name').value.trim();
     const url = document.getElementById('app-url').value.trim();
     const iconPreview = document.getElementById('icon-preview').querySelector('img');
-    const icon = iconPreview ? iconPreview.src : '';
+    // Icons shown from the cache keep their own URL in data-icon
+    const icon = iconPreview ? (iconPreview.dataset.icon || iconPreview.src) : '';
+    // Letter icons are drawn from their style, so only that is saved
+    const monogram = MonogramIcon.parse(icon);
+    const openMode = document.getElementById('app-open-mode').value;
 
     if (!name || !url) {
-      this.showNotification('Please fill in all fields', 'error');
+      this.showNotification(window.i18n.t('appMissingFields'), 'error');
       return;
     }
 
-    // Validate URL
-    try {
-      new URL(url);
-    } catch (error) {
-      this.showNotification('Please enter a valid URL', 'error');
+    // Validate URL, rejecting schemes such as javascript:
+    if (!SettingField.hasAllowedScheme(url, APP_URL_SCHEMES)) {
+      this.showNotification(window.i18n.t('appInvalidUrl'), 'error');
       return;
     }
 
+    const app = monogram ? { name, url, icon: '', openMode, monogram } : { name, url, icon, openMode };
     if (this.editingIndex !== null) {
       // Edit existing app
-      this.apps[this.editingIndex] = { name, url, icon };
+      this.getEditingList()[this.editingIndex] = app;
     } else {
       // Add new app
-      this.apps.push({ name, url, icon });
+      this.apps.push(app);
+      this.page = this.getPageCount() - 1;
     }
 
     this.renderApps();
     this.saveApps();
     this.closeEditModal();
-    this.showNotification('App saved successfully', 'success');
+    this.showNotification(window.i18n.t('appSaved'), 'success');
   }
 
   /**
@@ -293,11 +1023,21 @@ class PinnedAppsManager {
    */
   deleteApp() {
     if (this.editingIndex !== null) {
-      this.apps.splice(this.editingIndex, 1);
+      const before = structuredClone(this.apps);
+      const folder = this.editingFolderId ? this.findFolder(this.editingFolderId) : null;
+      const [app] = this.getEditingList().splice(this.editingIndex, 1);
+      if (folder && folder.apps.length === 0) {
+        this.apps.splice(this.apps.indexOf(folder), 1);
+      }
       this.renderApps();
       this.saveApps();
       this.closeEditModal();
-      this.showNotification('App deleted successfully', 'success');
+      
+      if (window.historyManager) {
+        window.historyManager.record('apps', window.i18n.t('historyDeletedApp', app.name), before, this.apps);
+      } else {
+        this.showNotification(window.i18n.t('appDeleted'), 'success');
+      }
     }
   }
 
@@ -308,38 +1048,108 @@ class PinnedAppsManager {
     if (file && file.type.startsWith('image/')) {
       const reader = new FileReader();
       reader.onload = (e) => {
-        const iconPreview = document.getElementById('icon-preview');
-        iconPreview.innerHTML = `<img src="${e.target.result}" alt="Icon preview">`;
+        this.showIconPreview(e.target.result, window.i18n.t('iconPreview'));
       };
       reader.readAsDataURL(file);
     }
   }
 
   /**
-   * Use favicon as icon
+   * Find the site's best icon and cache it. Reading the page needs access to the site,
+   * which is asked for here as this runs from a click.
    */
   async useFavicon() {
     const url = document.getElementById('app-url').value.trim();
     if (!url) {
-      this.showNotification('Please enter a URL first', 'error');
+      this.showNotification(window.i18n.t('appUrlFirst'), 'error');
       return;
     }
 
+    let protocol, hostname;
     try {
-      const urlObj = new URL(url);
-      const faviconUrl = `${urlObj.origin}/favicon.ico`;
-      
-      // Test if favicon exists
-      const response = await fetch(faviconUrl, { method: 'HEAD' });
-      if (response.ok) {
-        const iconPreview = document.getElementById('icon-preview');
-        iconPreview.innerHTML = `<img src="${faviconUrl}" alt="Favicon">`;
-        this.showNotification('Favicon loaded successfully', 'success');
+      ({ protocol, hostname } = new URL(url));
+    } catch (error) {
+      this.showNotification(window.i18n.t('faviconFailed'), 'error');
+      return;
+    }
+
+    const granted = await chrome.permissions.request({ origins: [`${protocol}//${hostname}/*`] }).catch(() => false);
+    if (!granted) {
+      this.showNotification(window.i18n.t('faviconPermissionDenied'), 'error');
+      return;
+    }
+
+    try {
+      const icon = await window.iconResolver.resolve(url);
+      if (icon) {
+        this.showIconPreview(icon.objectUrl, window.i18n.t('favicon'), icon.url);
+        this.showNotification(window.i18n.t('faviconLoaded'), 'success');
       } else {
-        this.showNotification('Could not load favicon', 'warning');
+        this.showNotification(window.i18n.t('faviconNotFound'), 'warning');
       }
     } catch (error) {
-      this.showNotification('Error loading favicon', 'error');
+      this.showNotification(window.i18n.t('faviconFailed'), 'error');
+    }
+  }
+
+  /**
+   * Show an icon in the edit modal. iconUrl is the icon's own URL when src is its cached copy.
+   */
+  showIconPreview(src, alt, iconUrl = null) {
+    const image = document.createElement('img');
+    image.src = src;
+    image.alt = alt;
+    if (iconUrl) {
+      image.dataset.icon = iconUrl;
+    }
+    document.getElementById('icon-preview').replaceChildren(image);
+  }
+
+  /**
+   * Fill in the letter icon controls. Without a background the colour follows the URL.
+   */
+  setMonogramOptions({ shape = 'rounded', background = null, font = 'sans' }) {
+    document.getElementById('monogram-shape').value = shape;
+    document.getElementById('monogram-font').value = font;
+    this.monogramColorPicked = Boolean(background);
+    this.updateMonogramColor(background);
+  }
+
+  /**
+   * Show a colour in the picker, or the one for the current URL
+   */
+  updateMonogramColor(background = null) {
+    const url = document.getElementById('app-url').value.trim();
+    document.getElementById('monogram-color').value = background || MonogramIcon.getColor(url);
+  }
+
+  /**
+   * Letter icon for the name, URL and style chosen in the edit modal
+   */
+  createMonogram() {
+    return MonogramIcon.create({
+      name: document.getElementById('app-name').value.trim(),
+      url: document.getElementById('app-url').value.trim(),
+      shape: document.getElementById('monogram-shape').value,
+      background: this.monogramColorPicked ? document.getElementById('monogram-color').value : null,
+      font: document.getElementById('monogram-font').value
+    });
+  }
+
+  /**
+   * Use a letter icon, replacing any icon in the preview
+   */
+  useMonogram() {
+    this.showIconPreview(this.createMonogram(), window.i18n.t('iconPreview'));
+  }
+
+  /**
+   * Redraw the letter icon in the preview as its name, URL or style change
+   */
+  refreshMonogram() {
+    const iconPreview = document.getElementById('icon-preview').querySelector('img');
+    if (iconPreview && MonogramIcon.parse(iconPreview.dataset.icon || iconPreview.src)) {
+      this.useMonogram();
     }
   }
 
@@ -365,8 +1175,13 @@ class PinnedAppsManager {
    */
   updateSettings(newSettings) {
     this.settings = { ...this.settings, ...newSettings };
-    this.applySettings();
-    this.saveSettings();
+    
+    const { columns, rows } = this.getGridSize();
+    if (`${columns}x${rows}` !== this.renderedGridSize) {
+      this.renderApps();
+    } else {
+      this.applySettings();
+    }
   }
 
   /**
@@ -376,9 +1191,12 @@ class PinnedAppsManager {
     // Add app button
     this.addButton.addEventListener('click', () => {
       this.editingIndex = null;
+      this.editingFolderId = null;
       document.getElementById('app-name').value = '';
       document.getElementById('app-url').value = '';
+      document.getElementById('app-open-mode').value = '';
       document.getElementById('icon-preview').innerHTML = '';
+      this.setMonogramOptions({});
       this.appEditModal.classList.add('active');
     });
 
@@ -409,9 +1227,158 @@ class PinnedAppsManager {
       this.useFavicon();
     });
 
-    // Listen for settings changes
-    document.addEventListener('appsSettingsChanged', (event) => {
-      this.updateSettings(event.detail);
+    // Letter icons
+    document.getElementById('use-monogram').addEventListener('click', () => {
+      this.useMonogram();
+    });
+
+    ['monogram-shape', 'monogram-font'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.refreshMonogram());
+    });
+
+    document.getElementById('monogram-color').addEventListener('input', () => {
+      this.monogramColorPicked = true;
+      this.refreshMonogram();
+    });
+
+    document.getElementById('monogram-auto-color').addEventListener('click', () => {
+      this.monogramColorPicked = false;
+      this.updateMonogramColor();
+      this.refreshMonogram();
+    });
+
+    ['app-name', 'app-url'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => {
+        if (!this.monogramColorPicked) {
+          this.updateMonogramColor();
+        }
+        this.refreshMonogram();
+      });
+    });
+
+    // Icons that fail to load show their letter icon. Error events don't bubble, so this
+    // listens in the capture phase; inline onerror handlers are blocked by the page's CSP.
+    document.addEventListener('error', (e) => {
+      const image = e.target;
+      if (image.tagName === 'IMG' && image.dataset.fallback) {
+        const fallback = image.dataset.fallback;
+        delete image.dataset.fallback;
+        image.src = fallback;
+      }
+    }, true);
+
+    // Drops between or beside tiles, including apps dragged out of a folder
+    this.gridElement.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      if (!e.target.closest('.app-item')) {
+        // Between tiles: apps from a folder go at the end of the page
+        this.setMergeTarget(null);
+        this.dropIndex = Math.min((this.page + 1) * this.getPageSize(), this.apps.length);
+      }
+      this.checkPageEdge(e.clientX);
+    });
+
+    this.gridElement.addEventListener('dragleave', (e) => {
+      if (!this.gridElement.contains(e.relatedTarget)) {
+        this.cancelPageTurn();
+      }
+    });
+
+    this.gridElement.addEventListener('drop', (e) => {
+      e.preventDefault();
+      this.handleGridDrop();
+    });
+
+    // Paging with the wheel or a trackpad
+    this.gridElement.addEventListener('wheel', (e) => {
+      if (this.getPageCount() < 2) return;
+      
+      const horizontal = Math.abs(e.deltaX) > Math.abs(e.deltaY);
+      const delta = horizontal ? e.deltaX : e.deltaY;
+      if (Math.abs(delta) < PAGE_WHEEL_THRESHOLD) return;
+      
+      e.preventDefault();
+      if (Date.now() - this.lastWheelTurn < PAGE_WHEEL_COOLDOWN) return;
+      this.lastWheelTurn = Date.now();
+      
+      const direction = Math.sign(delta);
+      this.turnPage(horizontal && window.i18n.isRtl() ? -direction : direction);
+    }, { passive: false });
+
+    // Paging with a swipe on touch screens
+    this.gridElement.addEventListener('touchstart', (e) => {
+      this.swipeStartX = e.touches[0].clientX;
+    }, { passive: true });
+
+    this.gridElement.addEventListener('touchend', (e) => {
+      if (this.swipeStartX === null) return;
+      
+      const distance = e.changedTouches[0].clientX - this.swipeStartX;
+      this.swipeStartX = null;
+    // Icon URLs the icon cache was last pruned for, so it is only pruned when they change
+    this.prunedIcons = null;
+      if (Math.abs(distance) < PAGE_SWIPE_DISTANCE) return;
+      
+      // Swiping left brings in the page on the right
+      const direction = distance < 0 ? 1 : -1;
+      this.turnPage(window.i18n.isRtl() ? -direction : direction);
+    });
+
+    // Narrow windows fit fewer columns on a page
+    window.addEventListener('resize', () => {
+      const { columns, rows } = this.getGridSize();
+      if (`${columns}x${rows}` !== this.renderedGridSize) {
+        this.renderApps();
+      }
+    });
+
+    // Folder popover
+    this.folderNameInput.addEventListener('change', () => {
+      this.renameFolder(this.folderNameInput.value);
+    });
+
+    this.folderGrid.addEventListener('dragover', (e) => {
+      e.preventDefault();
+    });
+
+    this.folderGrid.addEventListener('drop', (e) => {
+      e.preventDefault();
+      if (this.draggedFolderApp) {
+        this.reorderFolder();
+      }
+      this.endDrag();
+    });
+
+    // Dragging an app off the folder hides it so the grid underneath takes the drop
+    this.folderPopover.addEventListener('dragover', (e) => {
+      if (e.target === this.folderPopover && this.draggedFolderApp) {
+        this.folderPopover.classList.add('dragging-out');
+      }
+    });
+
+    this.folderPopover.addEventListener('click', (e) => {
+      if (e.target === this.folderPopover) {
+        this.closeFolder();
+      }
+    });
+
+    // Listen for changes to the apps section of the settings store
+    window.settingsStore.subscribe('apps', (settings) => {
+      this.updateSettings(settings);
+    });
+
+    // Pick up apps changed in other tabs or synced from other devices
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync' || !changes.pinnedApps) return;
+      if (window.storageQueue.hasPending(chrome.storage.sync, 'pinnedApps')) return;
+      
+      const apps = changes.pinnedApps.newValue || [];
+      if (this.draggedElement || this.draggedFolderApp) {
+        // Applied when the drag ends so tiles don't move under the pointer
+        this.pendingRemoteApps = apps;
+      } else if (JSON.stringify(apps) !== JSON.stringify(this.apps)) {
+        this.applyRemoteApps(apps);
+      }
     });
 
     // Close modal on outside click
@@ -0,0 +1,402 @@
+/**
+ * Profile Manager
+ * Keeps named configurations (settings and pinned apps) and switches between them
+ */
+
+// Profiles can hold uploaded app icons, so they live in local storage rather than sync
+const PROFILES_STORAGE_KEY = 'settingsProfiles';
+
+class ProfileManager {
+  constructor() {
+    this.select = document.getElementById('profile-select');
+    this.importFile = document.getElementById('profile-import-file');
+
+    this.profiles = [];
+    this.activeId = null;
+
+    this.init();
+  }
+
+  async init() {
+    await window.i18n.ready;
+    await this.loadProfiles();
+    this.setupEventListeners();
+    this.renderProfiles();
+  }
+
+  /**
+   * Load profiles from chrome.storage.local, creating a default on first run
+   */
+  async loadProfiles() {
+    try {
+      const result = await chrome.storage.local.get([PROFILES_STORAGE_KEY]);
+      const stored = result[PROFILES_STORAGE_KEY];
+      if (stored && Array.isArray(stored.profiles) && stored.profiles.length > 0) {
+        this.profiles = stored.profiles;
+        this.activeId = stored.activeId;
+      }
+    } catch (error) {
+      console.warn('Failed to load profiles:', error);
+    }
+
+    if (this.profiles.length === 0) {
+      // The active profile's configuration is whatever is live, so it needs no copy yet
+      const profile = this.createProfile(window.i18n.t('defaultProfileName'));
+      this.profiles = [profile];
+      this.activeId = profile.id;
+      await this.saveProfiles().catch(error => console.warn('Failed to save profiles:', error));
+    } else if (!this.getProfile(this.activeId)) {
+      this.activeId = this.profiles[0].id;
+    }
+  }
+
+  /**
+   * Save profiles to chrome.storage.local
+   */
+  async saveProfiles() {
+    await chrome.storage.local.set({
+      [PROFILES_STORAGE_KEY]: {
+        activeId: this.activeId,
+        profiles: this.profiles
+      }
+    });
+  }
+
+  /**
+   * Build a new profile record
+   */
+  createProfile(name, config = {}) {
+    return {
+      id: window.utils.generateId('profile'),
+      name,
+      settings: config.settings || null,
+      pinnedApps: config.pinnedApps || null,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Find a profile by ID
+   */
+  getProfile(id) {
+    return this.profiles.find(profile => profile.id === id) || null;
+  }
+
+  /**
+   * Get the active profile
+   */
+  getActiveProfile() {
+    return this.getProfile(this.activeId);
+  }
+
+  /**
+   * Capture the saved live configuration
+   */
+  captureCurrent() {
+    return {
+      settings: window.settingsStore.getSaved(),
+      pinnedApps: window.pinnedAppsManager.getApps()
+    };
+  }
+
+  /**
+   * Get a profile's configuration. The active profile is always read live.
+   */
+  getProfileConfig(profile) {
+    if (profile.id === this.activeId) {
+      return this.captureCurrent();
+    }
+
+    return {
+      settings: profile.settings || SettingsStore.createDefaults(),
+      pinnedApps: profile.pinnedApps || []
+    };
+  }
+
+  /**
+   * Switch to another profile, storing the current configuration in the active one
+   */
+  async switchTo(id) {
+    const target = this.getProfile(id);
+    if (!target || id === this.activeId) return;
+
+    const active = this.getActiveProfile();
+    if (active) {
+      Object.assign(active, this.captureCurrent(), { updatedAt: new Date().toISOString() });
+    }
+
+    const config = this.getProfileConfig(target);
+    window.settingsStore.cancelPreview();
+    await window.settingsStore.replace(config.settings);
+    await window.pinnedAppsManager.setApps(config.pinnedApps);
+
+    this.activeId = id;
+    await this.saveProfiles();
+
+    this.renderProfiles();
+    if (window.settingsManager) {
+      window.settingsManager.populateSettings();
+    }
+    this.showStatus(window.i18n.t('profileSwitched', target.name), 'success');
+  }
+
+  /**
+   * Switch to the next profile in the list
+   */
+  async switchToNext() {
+    if (this.profiles.length < 2) return;
+
+    const index = this.profiles.findIndex(profile => profile.id === this.activeId);
+    const next = this.profiles[(index + 1) % this.profiles.length];
+    await this.switchTo(next.id);
+  }
+
+  /**
+   * Create a profile with default settings and an empty grid
+   */
+  async createNew(name) {
+    const profile = this.createProfile(name, {
+      settings: SettingsStore.createDefaults(),
+      pinnedApps: []
+    });
+    this.profiles.push(profile);
+    await this.saveProfiles();
+    this.renderProfiles();
+    return profile;
+  }
+
+  /**
+   * Create a copy of a profile
+   */
+  async duplicate(id, name) {
+    const source = this.getProfile(id);
+    if (!source) return null;
+
+    const profile = this.createProfile(name, structuredClone(this.getProfileConfig(source)));
+    this.profiles.push(profile);
+    await this.saveProfiles();
+    this.renderProfiles();
+    return profile;
+  }
+
+  /**
+   * Rename a profile
+   */
+  async rename(id, name) {
+    const profile = this.getProfile(id);
+    if (!profile) return;
+
+    profile.name = name;
+    profile.updatedAt = new Date().toISOString();
+    await this.saveProfiles();
+    this.renderProfiles();
+  }
+
+  /**
+   * Delete a profile. Deleting the active profile switches to another first.
+   */
+  async delete(id) {
+    if (this.profiles.length < 2) {
+      throw new Error(window.i18n.t('lastProfileDelete'));
+    }
+
+    if (id === this.activeId) {
+      const fallback = this.profiles.find(profile => profile.id !== id);
+      await this.switchTo(fallback.id);
+    }
+
+    this.profiles = this.profiles.filter(profile => profile.id !== id);
+    await this.saveProfiles();
+    this.renderProfiles();
+  }
+
+  /**
+   * Export a profile using the settings export format plus its name and pinned apps
+   */
+  exportProfile(id) {
+    const profile = this.getProfile(id);
+    if (!profile) return;
+
+    const config = this.getProfileConfig(profile);
+    const profileJson = JSON.stringify({
+      ...config.settings,
+      profileName: profile.name,
+      pinnedApps: config.pinnedApps
+    }, null, 2);
+
+    const blob = new Blob([profileJson], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `new-tab-profile-${slug}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    this.showStatus(window.i18n.t('profileExported'), 'success');
+  }
+
+  /**
+   * Import a profile file (or a plain settings export) as a new profile
+   */
+  async importProfile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(window.i18n.t('invalidProfileFormat'));
+      }
+
+      const { profileName, pinnedApps, ...settings } = data;
+      const name = typeof profileName === 'string' && profileName.trim()
+        ? profileName.trim()
+        : file.name.replace(/\.json$/i, '');
+
+      const store = window.settingsStore;
+      const settingsResult = store.validate(settings, { legacy: settings });
+      const appsResult = pinnedApps === undefined
+        ? { apps: [], problems: [] }
+        : store.validatePinnedApps(pinnedApps);
+      const problems = [...settingsResult.problems, ...appsResult.problems];
+
+      if (problems.length > 0 && !confirm(
+        window.i18n.plural('confirmImportProfileProblems', problems.length, SettingsStore.formatProblems(problems))
+      )) {
+        this.showStatus(window.i18n.t('importCancelled'), 'warning');
+      } else {
+        const profile = this.createProfile(name, {
+          settings: settingsResult.settings,
+          pinnedApps: appsResult.apps
+        });
+        this.profiles.push(profile);
+        await this.saveProfiles();
+        this.renderProfiles();
+
+        this.showStatus(window.i18n.t('profileImported', name), 'success');
+      }
+    } catch (error) {
+      console.error('Failed to import profile:', error);
+      this.showStatus(window.i18n.t('profileImportFailed', error.message), 'error');
+    }
+
+    // Reset file input
+    event.target.value = '';
+  }
+
+  /**
+   * Render the profile picker
+   */
+  renderProfiles() {
+    this.select.innerHTML = '';
+
+    this.profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      option.selected = profile.id === this.activeId;
+      this.select.appendChild(option);
+    });
+
+    document.getElementById('profile-delete').disabled = this.profiles.length < 2;
+  }
+
+  /**
+   * Ask for a profile name, returning null if cancelled or empty
+   */
+  promptName(message, defaultValue = '') {
+    const name = prompt(message, defaultValue);
+    return name && name.trim() ? name.trim() : null;
+  }
+
+  /**
+   * Run a profile action, reporting failures in the settings status
+   */
+  async runAction(action) {
+    try {
+      await action();
+    } catch (error) {
+      console.error('Profile action failed:', error);
+      this.showStatus(error.message, 'error');
+      this.renderProfiles();
+    }
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.select.addEventListener('change', (e) => {
+      this.runAction(() => this.switchTo(e.target.value));
+    });
+
+    document.getElementById('profile-new').addEventListener('click', () => {
+      const name = this.promptName(window.i18n.t('promptNewProfileName'));
+      if (name) this.runAction(() => this.createNew(name));
+    });
+
+    document.getElementById('profile-duplicate').addEventListener('click', () => {
+      const active = this.getActiveProfile();
+      const name = this.promptName(window.i18n.t('promptCopyProfileName'), window.i18n.t('profileCopyName', active.name));
+      if (name) this.runAction(() => this.duplicate(active.id, name));
+    });
+
+    document.getElementById('profile-rename').addEventListener('click', () => {
+      const active = this.getActiveProfile();
+      const name = this.promptName(window.i18n.t('promptRenameProfile'), active.name);
+      if (name) this.runAction(() => this.rename(active.id, name));
+    });
+
+    document.getElementById('profile-delete').addEventListener('click', () => {
+      const active = this.getActiveProfile();
+      if (confirm(window.i18n.t('confirmDeleteProfile', active.name))) {
+        this.runAction(() => this.delete(active.id));
+      }
+    });
+
+    document.getElementById('profile-export').addEventListener('click', () => {
+      this.exportProfile(this.activeId);
+    });
+
+    document.getElementById('profile-import').addEventListener('click', () => {
+      this.importFile.click();
+    });
+
+    this.importFile.addEventListener('change', (e) => this.importProfile(e));
+
+    // Profile list and active profile changed in another tab
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const change = changes[PROFILES_STORAGE_KEY];
+      if (areaName !== 'local' || !change || !change.newValue) return;
+
+      this.profiles = change.newValue.profiles;
+      this.activeId = change.newValue.activeId;
+      this.renderProfiles();
+    });
+  }
+
+  /**
+   * Show a status message through the settings modal
+   */
+  showStatus(message, type) {
+    if (window.settingsManager) {
+      window.settingsManager.showStatus(message, type);
+    }
+  }
+
+  /**
+   * Get all profiles
+   */
+  getProfiles() {
+    return this.profiles.map(({ id, name, updatedAt }) => ({ id, name, updatedAt }));
+  }
+}
+
+// Initialize profile manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.profileManager = new ProfileManager();
+});
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * Reminder Schedule
+ * One-off and repeating reminders, and the chrome.alarms that fire them.
+ * Shared by the new tab page and the service worker, so it must not touch window or the DOM.
+ */
+
+// Local rather than sync: alarms are per browser, and synced reminders would fire on every device
+const REMINDERS_STORAGE_KEY = 'reminders';
+const REMINDER_ALARM_PREFIX = 'reminder-';
+const REMINDER_SNOOZE_MINUTES = 10;
+
+// Weekday numbers as used by Date.getDay()
+const REMINDER_WEEKDAYS = [1, 2, 3, 4, 5];
+// Message keys of the short day names, by Date.getDay()
+const REMINDER_DAY_KEYS = ['weekdaySun', 'weekdayMon', 'weekdayTue', 'weekdayWed', 'weekdayThu', 'weekdayFri', 'weekdaySat'];
+
+class ReminderSchedule {
+  /**
+   * Reminders look like { id, title, time: 'HH:MM', date: 'YYYY-MM-DD', days: [1, 2, ...],
+   * enabled, done, snoozedUntil }. An empty days list means a one-off on date;
+   * otherwise the reminder repeats on those weekdays and date is unused.
+   */
+  static async load() {
+    const result = await chrome.storage.local.get([REMINDERS_STORAGE_KEY]);
+    const reminders = result[REMINDERS_STORAGE_KEY];
+    return Array.isArray(reminders) ? reminders : [];
+  }
+
+  /**
+   * Save reminders and reschedule their alarms
+   */
+  static async save(reminders) {
+    await chrome.storage.local.set({ [REMINDERS_STORAGE_KEY]: reminders });
+    await ReminderSchedule.syncAlarms(reminders);
+  }
+
+  /**
+   * Read, change and save the reminders. change returns the new list.
+   */
+  static async update(change) {
+    const reminders = change(await ReminderSchedule.load());
+    await ReminderSchedule.save(reminders);
+    return reminders;
+  }
+
+  static add(reminder) {
+    return ReminderSchedule.update(reminders => [...reminders, {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+      enabled: true,
+      done: false,
+      snoozedUntil: null,
+      ...reminder
+    }]);
+  }
+
+  static remove(id) {
+    return ReminderSchedule.update(reminders => reminders.filter(reminder => reminder.id !== id));
+  }
+
+  /**
+   * Change some fields of one reminder
+   */
+  static edit(id, changes) {
+    return ReminderSchedule.update(reminders => reminders.map(reminder =>
+      reminder.id === id ? { ...reminder, ...changes } : reminder
+    ));
+  }
+
+  /**
+   * Point one alarm at each reminder's next time and clear alarms for anything else
+   */
+  static async syncAlarms(reminders) {
+    const wanted = new Map();
+    reminders.forEach(reminder => {
+      const when = ReminderSchedule.getAlarmTime(reminder);
+      if (when) wanted.set(REMINDER_ALARM_PREFIX + reminder.id, when);
+    });
+
+    const alarms = await chrome.alarms.getAll();
+    for (const alarm of alarms) {
+      if (alarm.name.startsWith(REMINDER_ALARM_PREFIX) && !wanted.has(alarm.name)) {
+        await chrome.alarms.clear(alarm.name);
+      }
+    }
+
+    for (const [name, when] of wanted) {
+      const existing = alarms.find(alarm => alarm.name === name);
+      if (!existing || existing.scheduledTime !== when) {
+        await chrome.alarms.create(name, { when });
+      }
+    }
+  }
+
+  /**
+   * When the reminder's alarm should go off: the end of a snooze, or its next occurrence
+   */
+  static getAlarmTime(reminder, now = Date.now()) {
+    if (reminder.snoozedUntil && reminder.snoozedUntil > now) return reminder.snoozedUntil;
+    return ReminderSchedule.getNextOccurrence(reminder, now);
+  }
+
+  /**
+   * Next time after now that the reminder is due, or null if it won't be again
+   */
+  static getNextOccurrence(reminder, now = Date.now()) {
+    if (!reminder.enabled || reminder.done) return null;
+
+    const [hours, minutes] = reminder.time.split(':').map(Number);
+
+    if (reminder.days.length === 0) {
+      const [year, month, day] = reminder.date.split('-').map(Number);
+      const when = new Date(year, month - 1, day, hours, minutes).getTime();
+      return when > now ? when : null;
+    }
+
+    // Repeating: the first matching weekday in the next week, today included
+    const candidate = new Date(now);
+    for (let offset = 0; offset <= 7; offset++) {
+      const when = new Date(candidate.getFullYear(), candidate.getMonth(), candidate.getDate() + offset, hours, minutes);
+      if (when.getTime() > now && reminder.days.includes(when.getDay())) {
+        return when.getTime();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Describe when a reminder repeats, e.g. "Weekdays" or "Mon, Wed"
+   */
+  static describeRepeat(reminder) {
+    const days = [...reminder.days].sort();
+    if (days.length === 0) return self.i18n.t('repeatOnce');
+    if (days.length === 7) return self.i18n.t('repeatDaily');
+    if (days.join() === REMINDER_WEEKDAYS.join()) return self.i18n.t('repeatWeekdays');
+    if (days.join() === '0,6') return self.i18n.t('repeatWeekends');
+    return new Intl.ListFormat(self.i18n.getLocale(), { style: 'short', type: 'unit' })
+      .format(days.map(day => ReminderSchedule.getDayName(day)));
+  }
+
+  /**
+   * Short name of a weekday in the page's language, e.g. "Mon"
+   */
+  static getDayName(day) {
+    return self.i18n.t(REMINDER_DAY_KEYS[day]);
+  }
+
+  /**
+   * The reminder ID behind an alarm or notification name, or null for anything else
+   */
+  static idFromName(name) {
+    return name.startsWith(REMINDER_ALARM_PREFIX) ? name.slice(REMINDER_ALARM_PREFIX.length) : null;
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * Reminder Manager
+ * Creates and lists reminders from the settings modal and shows the next few under the date.
+ * They are fired by the service worker, so they go off even when no new tab is open.
+ */
+
+// How many upcoming reminders to show under the date, and how far ahead to look
+const UPCOMING_REMINDER_COUNT = 3;
+const UPCOMING_REMINDER_DAYS = 7;
+
+class ReminderManager {
+  constructor() {
+    this.upcomingElement = document.getElementById('upcoming-reminders');
+    this.listElement = document.getElementById('reminder-list');
+    this.titleInput = document.getElementById('reminder-title');
+    this.timeInput = document.getElementById('reminder-time');
+    this.repeatSelect = document.getElementById('reminder-repeat');
+    this.dateInput = document.getElementById('reminder-date');
+    this.daysElement = document.getElementById('reminder-days');
+    this.addButton = document.getElementById('reminder-add');
+
+    this.settings = window.settingsStore.get('reminders');
+    this.reminders = [];
+    this.interval = null;
+
+    this.init();
+  }
+
+  async init() {
+    await window.i18n.ready;
+    this.settings = window.settingsStore.get('reminders');
+    this.setupEventListeners();
+    this.updateRepeatFields();
+    await this.loadReminders();
+
+    // Keep "Today"/"Tomorrow" and passed reminders current
+    this.interval = setInterval(() => this.renderUpcoming(), 60000);
+  }
+
+  async loadReminders() {
+    try {
+      this.reminders = await ReminderSchedule.load();
+    } catch (error) {
+      console.warn('Failed to load reminders:', error);
+    }
+    this.render();
+  }
+
+  render() {
+    this.renderUpcoming();
+    this.renderList();
+  }
+
+  /**
+   * Show the next few reminders under the date
+   */
+  renderUpcoming() {
+    const now = Date.now();
+    const horizon = now + UPCOMING_REMINDER_DAYS * 86400000;
+    const upcoming = this.reminders
+      .map(reminder => ({ reminder, when: ReminderSchedule.getAlarmTime(reminder, now) }))
+      .filter(item => item.when && item.when <= horizon)
+      .sort((a, b) => a.when - b.when)
+      .slice(0, UPCOMING_REMINDER_COUNT);
+
+    this.upcomingElement.innerHTML = '';
+    this.upcomingElement.classList.toggle('hidden', !this.settings.showUpcoming || upcoming.length === 0);
+
+    upcoming.forEach(({ reminder, when }) => {
+      const item = document.createElement('li');
+      item.className = 'upcoming-reminder';
+
+      const time = document.createElement('span');
+      time.className = 'upcoming-reminder-time';
+      time.textContent = this.formatWhen(new Date(when));
+
+      const title = document.createElement('span');
+      title.className = 'upcoming-reminder-title';
+      title.textContent = reminder.snoozedUntil === when ? window.i18n.t('reminderSnoozed', reminder.title) : reminder.title;
+
+      item.append(time, title);
+      this.upcomingElement.appendChild(item);
+    });
+  }
+
+  /**
+   * "Today 09:55", "Tomorrow 09:55" or "Wed 09:55", using the clock's time format
+   */
+  formatWhen(date) {
+    const today = new Date();
+    const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+    let day = DateFormatter.format(date, 'ddd');
+    if (date.toDateString() === today.toDateString()) day = window.i18n.t('today');
+    if (date.toDateString() === tomorrow.toDateString()) day = window.i18n.t('tomorrow');
+
+    const time = window.clockManager ? window.clockManager.formatTime(date) : DateFormatter.format(date, 'HH:mm');
+    return `${day} ${time}`;
+  }
+
+  /**
+   * List every reminder in the settings modal
+   */
+  renderList() {
+    this.listElement.innerHTML = '';
+
+    if (this.reminders.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'reminder-empty';
+      empty.textContent = window.i18n.t('noReminders');
+      this.listElement.appendChild(empty);
+      return;
+    }
+
+    this.reminders.forEach(reminder => {
+      const row = document.createElement('div');
+      row.className = 'reminder-row';
+      row.classList.toggle('done', reminder.done || !reminder.enabled);
+
+      const text = document.createElement('div');
+      text.className = 'reminder-text';
+      const title = document.createElement('span');
+      title.className = 'reminder-title';
+      title.textContent = reminder.title;
+      const schedule = document.createElement('span');
+      schedule.className = 'reminder-schedule';
+      schedule.textContent = this.describeSchedule(reminder);
+      text.append(title, schedule);
+
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = reminder.enabled;
+      toggle.title = window.i18n.t('reminderEnabled');
+      toggle.dataset.noPreview = '';
+      toggle.addEventListener('change', () => this.setEnabled(reminder, toggle.checked));
+
+      const remove = document.createElement('button');
+      remove.className = 'reminder-remove';
+      remove.title = window.i18n.t('delete');
+      remove.textContent = '×';
+      remove.addEventListener('click', () => this.deleteReminder(reminder));
+
+      row.append(text, toggle, remove);
+      this.listElement.appendChild(row);
+    });
+  }
+
+  /**
+   * e.g. "Weekdays at 09:55" or "Once on 2 Nov 2026 at 14:00 (done)"
+   */
+  describeSchedule(reminder) {
+    const repeat = ReminderSchedule.describeRepeat(reminder);
+    const date = new Date(`${reminder.date}T${reminder.time}`);
+    const time = window.clockManager ? window.clockManager.formatTime(date) : reminder.time;
+    const schedule = reminder.days.length === 0
+      ? window.i18n.t('reminderScheduleOnce', [repeat, DateFormatter.formatShortDate(date), time])
+      : window.i18n.t('reminderScheduleRepeat', [repeat, time]);
+    return reminder.done ? window.i18n.t('reminderDone', schedule) : schedule;
+  }
+
+  /**
+   * Weekdays chosen in the form; an empty list means a one-off
+   */
+  getSelectedDays() {
+    switch (this.repeatSelect.value) {
+      case 'daily':
+        return [0, 1, 2, 3, 4, 5, 6];
+      case 'weekdays':
+        return [...REMINDER_WEEKDAYS];
+      case 'weekends':
+        return [0, 6];
+      case 'custom':
+        return [...this.daysElement.querySelectorAll('input:checked')].map(input => Number(input.value));
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Add a reminder from the form
+   */
+  async addReminder() {
+    const title = this.titleInput.value.trim();
+    const time = this.timeInput.value;
+    const days = this.getSelectedDays();
+    const date = this.dateInput.value;
+
+    if (!title || !time) {
+      this.showStatus(window.i18n.t('reminderMissingFields'), 'error');
+      return;
+    }
+    if (this.repeatSelect.value === 'custom' && days.length === 0) {
+      this.showStatus(window.i18n.t('reminderNoDays'), 'error');
+      return;
+    }
+
+    const reminder = { title, time, days, date };
+    if (days.length === 0 && !ReminderSchedule.getNextOccurrence({ ...reminder, enabled: true })) {
+      this.showStatus(window.i18n.t('reminderInPast'), 'error');
+      return;
+    }
+
+    try {
+      this.reminders = await ReminderSchedule.add(reminder);
+      this.render();
+      this.titleInput.value = '';
+      this.showStatus(window.i18n.t('reminderAdded'), 'success');
+    } catch (error) {
+      console.error('Failed to add reminder:', error);
+      this.showStatus(window.i18n.t('reminderAddFailed'), 'error');
+    }
+  }
+
+  async setEnabled(reminder, enabled) {
+    try {
+      this.reminders = await ReminderSchedule.edit(reminder.id, { enabled, snoozedUntil: null });
+      this.render();
+    } catch (error) {
+      console.error('Failed to update reminder:', error);
+      this.showStatus(window.i18n.t('reminderUpdateFailed'), 'error');
+    }
+  }
+
+  async deleteReminder(reminder) {
+    if (!confirm(window.i18n.t('confirmDeleteReminder', reminder.title))) return;
+
+    try {
+      this.reminders = await ReminderSchedule.remove(reminder.id);
+      this.render();
+    } catch (error) {
+      console.error('Failed to delete reminder:', error);
+      this.showStatus(window.i18n.t('reminderDeleteFailed'), 'error');
+    }
+  }
+
+  /**
+   * Show the date field for one-offs and the day checkboxes for custom repeats
+   */
+  updateRepeatFields() {
+    const repeat = this.repeatSelect.value;
+    this.dateInput.closest('.setting-item').classList.toggle('hidden', repeat !== 'once');
+    this.daysElement.closest('.setting-item').classList.toggle('hidden', repeat !== 'custom');
+
+    if (!this.dateInput.value) {
+      this.dateInput.value = window.snapshotManager.getDayKey();
+    }
+  }
+
+  showStatus(message, type) {
+    if (window.settingsManager) {
+      window.settingsManager.showStatus(message, type);
+    }
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.addButton.addEventListener('click', () => this.addReminder());
+    this.repeatSelect.addEventListener('change', () => this.updateRepeatFields());
+
+    // Added, fired or snoozed in another tab or by the service worker
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const change = changes[REMINDERS_STORAGE_KEY];
+      if (areaName !== 'local' || !change) return;
+
+      this.reminders = change.newValue || [];
+      this.render();
+    });
+
+    window.settingsStore.subscribe('reminders', (settings) => {
+      this.settings = settings;
+      this.renderUpcoming();
+    });
+
+    // Times follow the clock's 12/24-hour setting
+    window.settingsStore.subscribe('clock', () => this.renderUpcoming());
+  }
+}
+
+// Initialize reminder manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.reminderManager = new ReminderManager();
+});
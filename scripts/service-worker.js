@@ -0,0 +1,222 @@
+/**
+ * Service Worker
+ * Finishes timers and fires reminders when their alarms go off, raising notifications
+ * even when no new tab is open, and launches workspaces from their keyboard shortcuts
+ */
+
+importScripts('i18n.js', 'date-format.js', 'focus-timer-state.js', 'reminder-schedule.js', 'app-launcher.js');
+
+const NOTIFICATION_ICON = 'assets/icon128.png';
+
+// Same key as SETTINGS_STORAGE_KEY; the settings store isn't loaded in the worker
+const WORKER_SETTINGS_KEY = 'newTabSettings';
+
+class FocusTimerService {
+  constructor() {
+    // Checks run one at a time so an alarm and a page message can't finish the same timer twice
+    this.pending = Promise.resolve();
+
+    // Listeners must be registered synchronously for the worker to be woken by them
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === FOCUS_TIMER_ALARM) this.check();
+    });
+
+    // A new tab whose countdown reached zero asks for the timer to be finished now, and
+    // new tabs send their own changes here so they queue behind the checks
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!message) return false;
+
+      if (message.type === 'focus-timer-check') this.check();
+
+      if (message.type === 'focus-timer-change') {
+        this.change(message.action, message.args).then(sendResponse);
+        return true;
+      }
+      return false;
+    });
+
+    chrome.notifications.onClicked.addListener((notificationId) => {
+      if (notificationId.startsWith(FOCUS_TIMER_ALARM)) {
+        chrome.notifications.clear(notificationId);
+        chrome.tabs.create({});
+      }
+    });
+  }
+
+  check() {
+    this.pending = this.pending
+      .then(() => this.completeTimer())
+      .catch(error => console.error('Failed to finish focus timer:', error));
+    return this.pending;
+  }
+
+  /**
+   * Run a page's change on the same queue. Resolves to { state } or { error }.
+   */
+  change(action, args = []) {
+    const result = this.pending
+      .then(() => {
+        if (!FOCUS_TIMER_ACTIONS.includes(action)) {
+          throw new Error(`Unknown focus timer action: ${action}`);
+        }
+        return FocusTimerState[action](...args);
+      })
+      .then(state => ({ state }), error => ({ error: error.message }));
+
+    this.pending = result;
+    return result;
+  }
+
+  async completeTimer() {
+    const result = await FocusTimerState.completeIfDue();
+    if (!result) return;
+
+    // The worker may have been asleep while the language was changed
+    await self.i18n.loadSavedLanguage();
+    const { title, message } = this.describe(result.entry, result.next);
+    await chrome.notifications.create(`${FOCUS_TIMER_ALARM}-${result.entry.id}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL(NOTIFICATION_ICON),
+      title,
+      message,
+      priority: 2
+    });
+  }
+
+  /**
+   * Notification text for a finished phase
+   */
+  describe(entry, next) {
+    switch (entry.type) {
+      case 'work': {
+        const title = self.i18n.t('focusSessionComplete');
+        if (next.phase === 'break') {
+          const minutes = Math.round(next.duration / 60000);
+          return { title, message: self.i18n.plural('breakStarted', minutes) };
+        }
+        return { title, message: self.i18n.t('timeForBreak') };
+      }
+      case 'break':
+        return { title: self.i18n.t('breakOver'), message: self.i18n.t('breakOverMessage') };
+      default:
+        return { title: entry.label || self.i18n.t('countdownFinished'), message: self.i18n.t('countdownFinishedMessage') };
+    }
+  }
+}
+
+class ReminderService {
+  constructor() {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      const id = ReminderSchedule.idFromName(alarm.name);
+      if (id) this.fire(id).catch(error => console.error('Failed to fire reminder:', error));
+    });
+
+    // Button 0 snoozes, button 1 dismisses
+    chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+      const id = ReminderSchedule.idFromName(notificationId);
+      if (!id) return;
+
+      chrome.notifications.clear(notificationId);
+      if (buttonIndex === 0) {
+        this.snooze(id).catch(error => console.error('Failed to snooze reminder:', error));
+      }
+    });
+
+    chrome.notifications.onClicked.addListener((notificationId) => {
+      if (ReminderSchedule.idFromName(notificationId)) {
+        chrome.notifications.clear(notificationId);
+      }
+    });
+
+    // Alarms can be lost when the extension is updated, so schedule them again
+    chrome.runtime.onInstalled.addListener(() => this.reschedule());
+    chrome.runtime.onStartup.addListener(() => this.reschedule());
+  }
+
+  /**
+   * Show a reminder and schedule its next occurrence. One-off reminders are marked done.
+   */
+  async fire(id) {
+    const reminders = await ReminderSchedule.load();
+    const reminder = reminders.find(existing => existing.id === id);
+    if (!reminder || !reminder.enabled) return;
+
+    await self.i18n.loadSavedLanguage();
+    await chrome.notifications.create(REMINDER_ALARM_PREFIX + id, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL(NOTIFICATION_ICON),
+      title: reminder.title,
+      message: self.i18n.t('reminderFor', await this.formatTime(reminder.time)),
+      buttons: [
+        { title: self.i18n.plural('snoozeMinutes', REMINDER_SNOOZE_MINUTES) },
+        { title: self.i18n.t('dismiss') }
+      ],
+      requireInteraction: true,
+      priority: 2
+    });
+
+    await ReminderSchedule.edit(id, {
+      snoozedUntil: null,
+      done: reminder.days.length === 0
+    });
+  }
+
+  /**
+   * An HH:MM reminder time in the clock's format, as the new tab shows it
+   */
+  async formatTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = new Date();
+    date.setHours(hours, minutes, 0, 0);
+
+    const result = await chrome.storage.sync.get([WORKER_SETTINGS_KEY]);
+    const settings = result[WORKER_SETTINGS_KEY];
+    const clock = (settings && settings.clock) || {};
+    const pattern = clock.timePattern || DateFormatter.defaultTimePattern(clock.format === '24', clock.showSeconds);
+    return DateFormatter.format(date, pattern);
+  }
+
+  /**
+   * Fire the reminder again in a few minutes
+   */
+  async snooze(id) {
+    await ReminderSchedule.edit(id, {
+      snoozedUntil: Date.now() + REMINDER_SNOOZE_MINUTES * 60000
+    });
+  }
+
+  async reschedule() {
+    try {
+      await ReminderSchedule.syncAlarms(await ReminderSchedule.load());
+    } catch (error) {
+      console.error('Failed to schedule reminders:', error);
+    }
+  }
+}
+
+class WorkspaceService {
+  constructor() {
+    chrome.commands.onCommand.addListener((command) => {
+      const position = AppLauncher.getCommandPosition(command);
+      if (position >= 0) this.launch(position);
+    });
+  }
+
+  /**
+   * Launch the workspace at a position among the grid's workspaces, if there is one
+   */
+  async launch(position) {
+    try {
+      const workspace = (await AppLauncher.loadWorkspaces())[position];
+      if (workspace) {
+        await AppLauncher.launchWorkspace(workspace);
+      }
+    } catch (error) {
+      console.error('Failed to launch workspace:', error);
+    }
+  }
+}
+
+new FocusTimerService();
+new ReminderService();
+new WorkspaceService();
@@ -0,0 +1,974 @@
+/**
+ * Settings Store
+ * Single source of truth for every module's settings: declares the schema,
+ * defaults and migrations, persists to chrome.storage.sync and notifies subscribers
+ */
+
+const SETTINGS_STORAGE_KEY = 'newTabSettings';
+const SETTINGS_VERSION = 1;
+
+// Per-module keys written before the unified store existed
+const LEGACY_SETTINGS_KEYS = ['clockSettings', 'appsSettings', 'backgroundSettings'];
+
+/**
+ * A single typed setting with its default value.
+ * Fields marked { state: true } hold runtime bookkeeping (cycle positions, caches)
+ * rather than preferences, so changes to them never notify subscribers.
+ */
+class SettingField {
+  constructor(type, defaultValue, options = {}) {
+    this.type = type;
+    this.defaultValue = defaultValue;
+    this.options = options;
+  }
+
+  /**
+   * Convert a raw value (e.g. a form input string) to the field type.
+   * Throws a TypeError when the value cannot be represented.
+   */
+  coerce(value) {
+    if (value === null && this.options.nullable) {
+      return null;
+    }
+
+    switch (this.type) {
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === 'false') return value === 'true';
+        break;
+      case 'number': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        const { min = -Infinity, max = Infinity, integer = false } = this.options;
+        if (typeof number === 'number' && Number.isFinite(number) &&
+            number >= min && number <= max && (!integer || Number.isInteger(number))) {
+          return number;
+        }
+        break;
+      }
+      case 'string':
+        if (typeof value === 'string' && (!this.options.required || value.trim() !== '')) return value;
+        break;
+      case 'enum':
+        if (value !== null && value !== undefined && this.options.values.includes(String(value))) {
+          return String(value);
+        }
+        break;
+      case 'color':
+        if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) return value;
+        break;
+      case 'url':
+        if (typeof value === 'string') {
+          if (value === '' && this.options.optional) return value;
+          if (SettingField.hasAllowedScheme(value, this.options.schemes)) return value;
+        }
+        break;
+      case 'timezone':
+        if (typeof value === 'string' && SettingField.isTimeZone(value)) return value;
+        break;
+      case 'object':
+        if (value && typeof value === 'object' && !Array.isArray(value) &&
+            Object.keys(value).every(key => key in this.options.fields)) {
+          const result = {};
+          Object.entries(this.options.fields).forEach(([key, field]) => {
+            result[key] = value[key] === undefined ? field.createDefault() : field.coerce(value[key]);
+          });
+          return result;
+        }
+        break;
+      case 'array':
+        if (Array.isArray(value) && (!this.options.items || value.every(item => this.options.items.accepts(item)))) {
+          return this.options.items ? value.map(item => this.options.items.coerce(item)) : structuredClone(value);
+        }
+        break;
+    }
+
+    throw new TypeError(window.i18n.t('problemExpectedValue', [this.describe(), JSON.stringify(value)]));
+  }
+
+  /**
+   * Like coerce, but only accepts values that already have the right JSON type.
+   * Used for imported files, where "16" for a number is a mistake rather than form input.
+   */
+  validate(value) {
+    const jsonType = { boolean: 'boolean', number: 'number', enum: 'string' }[this.type];
+    if (jsonType && typeof value !== jsonType && !(value === null && this.options.nullable)) {
+      throw new TypeError(window.i18n.t('problemExpectedValue', [this.describe(), JSON.stringify(value)]));
+    }
+    return this.coerce(value);
+  }
+
+  /**
+   * Whether validate() would accept a value
+   */
+  accepts(value) {
+    try {
+      this.validate(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check that a URL parses and uses one of the allowed schemes (e.g. "https:").
+   * data: URLs are only accepted for images.
+   */
+  static hasAllowedScheme(value, schemes) {
+    try {
+      const { protocol } = new URL(value);
+      if (!schemes.includes(protocol)) return false;
+      return protocol !== 'data:' || /^data:image\//i.test(value);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check that a name is an IANA time zone the browser knows, e.g. "Asia/Tokyo"
+   */
+  static isTimeZone(value) {
+    try {
+      new Intl.DateTimeFormat(undefined, { timeZone: value });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Human-readable description of accepted values
+   */
+  describe() {
+    switch (this.type) {
+      case 'number': {
+        const { min, max, integer } = this.options;
+        if (min !== undefined && max !== undefined) return window.i18n.t(integer ? 'describeIntegerBetween' : 'describeNumberBetween', [min, max]);
+        if (min !== undefined) return window.i18n.t(integer ? 'describeIntegerAtLeast' : 'describeNumberAtLeast', min);
+        return window.i18n.t(integer ? 'describeInteger' : 'describeNumber');
+      }
+      case 'enum':
+        return window.i18n.t('describeOneOf', this.options.values.map(value => `"${value}"`).join(', '));
+      case 'string':
+        return window.i18n.t(this.options.required ? 'describeRequiredString' : 'describeString');
+      case 'boolean':
+        return window.i18n.t('describeBoolean');
+      case 'color':
+        return window.i18n.t('describeColor');
+      case 'url':
+        return window.i18n.t('describeUrl', this.options.schemes.join(', '));
+      case 'timezone':
+        return window.i18n.t('describeTimeZone');
+      case 'object':
+        return window.i18n.t('describeObject', Object.keys(this.options.fields).join(', '));
+      case 'array':
+        return this.options.items ? window.i18n.t('describeListOf', this.options.items.describe()) : window.i18n.t('describeList');
+      default:
+        return window.i18n.t('describeType', this.type);
+    }
+  }
+
+  /**
+   * Fresh copy of the default value
+   */
+  createDefault() {
+    return structuredClone(this.defaultValue);
+  }
+}
+
+const CYCLE_VALUES = ['refresh', 'newtab'];
+const ORDER_VALUES = ['random', 'sequential'];
+// 'inherit' uses the Background Settings type
+const THEME_BACKGROUND_VALUES = ['inherit', 'upload', 'color', 'gradient', 'api'];
+// Where a pinned app opens: in place of the new tab page, a new tab in front or behind, or a new window
+const APP_OPEN_MODES = ['current', 'foreground', 'background', 'window', 'incognito'];
+
+const SETTINGS_SCHEMA = {
+  general: {
+    // 'auto' follows the browser's language
+    language: new SettingField('enum', 'auto', { values: ['auto', ...I18N_LANGUAGES] })
+  },
+  clock: {
+    format: new SettingField('enum', '12', { values: ['12', '24'] }),
+    showSeconds: new SettingField('boolean', false),
+    showDate: new SettingField('boolean', true),
+    hidden: new SettingField('boolean', false),
+    style: new SettingField('enum', 'digital', { values: ['digital', 'analog'] }),
+    // DateFormatter patterns. Empty uses the built-in format, which for the time
+    // follows the 12/24-hour and seconds toggles.
+    timePattern: new SettingField('string', ''),
+    datePattern: new SettingField('string', ''),
+    // Secondary clocks shown under the date, in the same time format as the main clock
+    worldClocks: new SettingField('array', [], {
+      items: new SettingField('object', null, {
+        fields: {
+          label: new SettingField('string', '', { required: true }),
+          timeZone: new SettingField('timezone', 'UTC')
+        }
+      })
+    })
+  },
+  greeting: {
+    hidden: new SettingField('boolean', true),
+    name: new SettingField('string', ''),
+    // Hour of the day each greeting starts at
+    morningStart: new SettingField('number', 5, { min: 0, max: 23, integer: true }),
+    afternoonStart: new SettingField('number', 12, { min: 0, max: 23, integer: true }),
+    eveningStart: new SettingField('number', 17, { min: 0, max: 23, integer: true }),
+    nightStart: new SettingField('number', 22, { min: 0, max: 23, integer: true }),
+    // Shown under the greeting in turn. A message with no days is shown every day.
+    messages: new SettingField('array', [], {
+      items: new SettingField('object', null, {
+        fields: {
+          text: new SettingField('string', '', { required: true }),
+          days: new SettingField('array', [], {
+            items: new SettingField('number', 0, { min: 0, max: 6, integer: true })
+          })
+        }
+      })
+    }),
+    rotateMinutes: new SettingField('number', 15, { min: 1, max: 1440, integer: true })
+  },
+  timer: {
+    hidden: new SettingField('boolean', false),
+    workMinutes: new SettingField('number', 25, { min: 1, max: 180, integer: true }),
+    breakMinutes: new SettingField('number', 5, { min: 1, max: 60, integer: true }),
+    // Start the break as soon as a focus session ends
+    autoStartBreaks: new SettingField('boolean', true)
+  },
+  reminders: {
+    // The reminders themselves are kept in local storage by ReminderSchedule
+    showUpcoming: new SettingField('boolean', true)
+  },
+  agenda: {
+    // The calendars themselves are kept in local storage by CalendarAgenda
+    hidden: new SettingField('boolean', false),
+    showTomorrow: new SettingField('boolean', true),
+    refreshMinutes: new SettingField('number', 30, { min: 5, max: 1440, integer: true })
+  },
+  apps: {
+    showNames: new SettingField('boolean', true),
+    padding: new SettingField('number', 16, { min: 8, max: 32, integer: true }),
+    transparency: new SettingField('number', 1, { min: 0.3, max: 1 }),
+    gridColumns: new SettingField('number', 10, { min: 1, max: 20, integer: true }),
+    gridRows: new SettingField('number', 2, { min: 1, max: 10, integer: true }),
+    openMode: new SettingField('enum', 'foreground', { values: APP_OPEN_MODES })
+  },
+  background: {
+    type: new SettingField('enum', 'upload', { values: ['upload', 'color', 'gradient', 'api'] }),
+    uploadSettings: {
+      // IDs of blobs in the local image library, not the images themselves
+      images: new SettingField('array', [], { items: new SettingField('string', '', { required: true }) }),
+      cycle: new SettingField('enum', 'refresh', { values: CYCLE_VALUES }),
+      order: new SettingField('enum', 'random', { values: ORDER_VALUES }),
+      currentIndex: new SettingField('number', 0, { min: 0, integer: true, state: true })
+    },
+    colorSettings: {
+      color: new SettingField('color', '#1a1a1a')
+    },
+    gradientSettings: {
+      type: new SettingField('enum', 'linear', { values: ['linear', 'radial'] }),
+      color1: new SettingField('color', '#667eea'),
+      color2: new SettingField('color', '#764ba2')
+    },
+    apiSettings: {
+      source: new SettingField('enum', 'unsplash', { values: ['unsplash', 'pexels'] }),
+      apiKey: new SettingField('string', ''),
+      query: new SettingField('string', 'nature'),
+      cycle: new SettingField('enum', 'refresh', { values: CYCLE_VALUES }),
+      order: new SettingField('enum', 'sequential', { values: ORDER_VALUES }),
+      images: new SettingField('array', [], { items: new SettingField('string', ''), state: true }),
+      currentIndex: new SettingField('number', 0, { min: 0, integer: true, state: true })
+    }
+  },
+  theme: {
+    // off, follow the system theme, fixed hours, or local sunrise and sunset
+    mode: new SettingField('enum', 'off', { values: ['off', 'system', 'hours', 'sun'] }),
+    dayStart: new SettingField('number', 7, { min: 0, max: 23, integer: true }),
+    nightStart: new SettingField('number', 19, { min: 0, max: 23, integer: true }),
+    // Entered by hand, never looked up. Without them sunrise mode uses the fixed hours.
+    latitude: new SettingField('number', null, { min: -90, max: 90, nullable: true }),
+    longitude: new SettingField('number', null, { min: -180, max: 180, nullable: true }),
+    day: {
+      background: new SettingField('enum', 'inherit', { values: THEME_BACKGROUND_VALUES }),
+      color: new SettingField('color', '#1a1a1a'),
+      overlay: new SettingField('number', 0.3, { min: 0, max: 0.9 }),
+      textColor: new SettingField('color', '#ffffff')
+    },
+    night: {
+      background: new SettingField('enum', 'color', { values: THEME_BACKGROUND_VALUES }),
+      color: new SettingField('color', '#0d1117'),
+      overlay: new SettingField('number', 0.5, { min: 0, max: 0.9 }),
+      textColor: new SettingField('color', '#d0d0d0')
+    }
+  },
+  stats: {
+    enabled: new SettingField('boolean', true),
+    showUsageTime: new SettingField('boolean', true),
+    showTabsOpened: new SettingField('boolean', true),
+    showDaysUsed: new SettingField('boolean', true),
+    showTrackersBlocked: new SettingField('boolean', true),
+    showFocusTime: new SettingField('boolean', true)
+  }
+};
+
+// Schemes a pinned app may open. Anything else (javascript:, data:, ...) is rejected.
+const APP_URL_SCHEMES = ['http:', 'https:', 'ftp:', 'file:', 'chrome:', 'chrome-extension:'];
+const ICON_URL_SCHEMES = ['http:', 'https:', 'data:', 'chrome-extension:'];
+
+// Letter icon styles (see MonogramIcon)
+const MONOGRAM_SHAPES = ['rounded', 'circle', 'square'];
+const MONOGRAM_FONT_NAMES = ['sans', 'serif', 'mono'];
+
+const PINNED_APP_SCHEMA = {
+  name: new SettingField('string', '', { required: true }),
+  url: new SettingField('url', '', { schemes: APP_URL_SCHEMES }),
+  icon: new SettingField('url', '', { schemes: ICON_URL_SCHEMES, optional: true }),
+  // Empty to use the apps.openMode setting
+  openMode: new SettingField('enum', '', { values: ['', ...APP_OPEN_MODES] }),
+  // Style of the app's letter icon, which is drawn from it rather than stored. A null
+  // background takes the colour from the URL.
+  monogram: new SettingField('object', null, {
+    nullable: true,
+    fields: {
+      shape: new SettingField('enum', 'rounded', { values: MONOGRAM_SHAPES }),
+      background: new SettingField('color', null, { nullable: true }),
+      font: new SettingField('enum', 'sans', { values: MONOGRAM_FONT_NAMES })
+    }
+  })
+};
+
+// An app missing any of these is dropped; other invalid fields fall back to their defaults
+const PINNED_APP_REQUIRED_FIELDS = ['name', 'url'];
+
+// Folders sit in the grid like apps: { type: 'folder', id, name, apps: [...] }. They hold apps only.
+const PINNED_FOLDER_SCHEMA = {
+  id: new SettingField('string', ''),
+  name: new SettingField('string', '')
+};
+
+// Colours chrome.tabGroups accepts, and roughly how Chrome draws them, for previews
+const TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+const TAB_GROUP_COLOR_VALUES = {
+  grey: '#5f6368',
+  blue: '#1a73e8',
+  red: '#d93025',
+  yellow: '#f9ab00',
+  green: '#1e8e3e',
+  pink: '#d01884',
+  purple: '#9334e6',
+  cyan: '#007b83',
+  orange: '#fa903e'
+};
+
+// Workspaces also sit in the grid, as { type: 'workspace', ...fields }, and open the apps
+// with the listed URLs together
+const PINNED_WORKSPACE_SCHEMA = {
+  id: new SettingField('string', ''),
+  name: new SettingField('string', '', { required: true }),
+  color: new SettingField('enum', 'blue', { values: TAB_GROUP_COLORS }),
+  newWindow: new SettingField('boolean', false),
+  group: new SettingField('boolean', true),
+  urls: new SettingField('array', [], { items: new SettingField('url', '', { schemes: APP_URL_SCHEMES }) })
+};
+
+/**
+ * Migrations indexed by the version they upgrade from.
+ * Each receives the stored settings plus any legacy keys found in storage.
+ */
+const SETTINGS_MIGRATIONS = [
+  // v0 -> v1: fold the per-module keys into the unified shape. The module keys
+  // are what actually drove the page, so they win over an unversioned newTabSettings.
+  (settings, legacy) => {
+    const migrated = structuredClone(settings);
+    migrated.clock = { ...migrated.clock };
+    migrated.apps = { ...migrated.apps };
+    migrated.background = { ...migrated.background };
+
+    const clock = legacy.clockSettings;
+    if (clock) {
+      if ('showClock' in clock) migrated.clock.hidden = !clock.showClock;
+      if ('use24HourFormat' in clock) migrated.clock.format = clock.use24HourFormat ? '24' : '12';
+      if ('showSeconds' in clock) migrated.clock.showSeconds = clock.showSeconds;
+      if ('showDate' in clock) migrated.clock.showDate = clock.showDate;
+    }
+
+    const apps = legacy.appsSettings;
+    if (apps) {
+      if ('iconPadding' in apps) migrated.apps.padding = apps.iconPadding;
+      if ('iconTransparency' in apps) migrated.apps.transparency = apps.iconTransparency;
+      if ('showAppNames' in apps) migrated.apps.showNames = apps.showAppNames;
+    }
+
+    const background = legacy.backgroundSettings;
+    if (background) {
+      const { backgroundType, ...sections } = background;
+      if (backgroundType) migrated.background.type = backgroundType;
+      Object.entries(sections).forEach(([key, value]) => {
+        migrated.background[key] = { ...migrated.background[key], ...value };
+      });
+    }
+
+    migrated.version = 1;
+    return migrated;
+  }
+];
+
+class SettingsStore {
+  constructor(storageArea = chrome.storage.sync) {
+    this.storageArea = storageArea;
+    this.settings = SettingsStore.createDefaults();
+    // Unsaved changes shown on the page while the settings modal is open
+    this.previewSettings = null;
+    this.subscribers = new Map();
+    this.remoteListeners = new Set();
+    this.ready = this.load();
+
+    chrome.storage.onChanged.addListener((changes, areaName) => this.handleStorageChange(changes, areaName));
+  }
+
+  /**
+   * Build a settings object from schema defaults
+   */
+  static createDefaults(schema = SETTINGS_SCHEMA) {
+    const defaults = {};
+    Object.entries(schema).forEach(([key, node]) => {
+      defaults[key] = node instanceof SettingField ? node.createDefault() : SettingsStore.createDefaults(node);
+    });
+    if (schema === SETTINGS_SCHEMA) {
+      defaults.version = SETTINGS_VERSION;
+    }
+    return defaults;
+  }
+
+  /**
+   * Load settings from storage, migrating older formats
+   */
+  async load() {
+    try {
+      const result = await this.storageArea.get([SETTINGS_STORAGE_KEY, ...LEGACY_SETTINGS_KEYS]);
+      const stored = result[SETTINGS_STORAGE_KEY];
+      const legacyKeys = LEGACY_SETTINGS_KEYS.filter(key => result[key]);
+
+      if (stored && stored.version >= SETTINGS_VERSION) {
+        this.settings = this.normalize(stored);
+      } else if (stored || legacyKeys.length > 0) {
+        this.settings = this.migrate(stored || {}, result);
+        await this.persist();
+      }
+
+      // Only drop legacy keys once their data lives under the unified key
+      if (legacyKeys.length > 0) {
+        await this.storageArea.remove(legacyKeys);
+      }
+    } catch (error) {
+      console.warn('Failed to load settings:', error);
+    }
+  }
+
+  /**
+   * Adopt settings written by another tab or synced from another device.
+   * Sections being edited in a local preview keep the edit.
+   */
+  handleStorageChange(changes, areaName) {
+    const change = changes[SETTINGS_STORAGE_KEY];
+    if (!change || this.storageArea !== chrome.storage[areaName]) return;
+
+    // A newer local value is about to be written over this one
+    if (window.storageQueue.hasPending(this.storageArea, SETTINGS_STORAGE_KEY)) return;
+
+    // A removed key (e.g. "Reset All Data") means defaults
+    const next = this.migrate(change.newValue || {});
+    if (JSON.stringify(next) === JSON.stringify(this.settings)) return;
+
+    const previousSaved = this.settings;
+    const before = this.previewSettings || this.settings;
+    this.settings = next;
+
+    if (this.previewSettings) {
+      const rebased = { ...this.previewSettings };
+      Object.keys(SETTINGS_SCHEMA).forEach(section => {
+        const isEdited = JSON.stringify(this.previewSettings[section]) !== JSON.stringify(previousSaved[section]);
+        if (!isEdited) {
+          rebased[section] = next[section];
+        }
+      });
+      this.previewSettings = rebased;
+    }
+
+    this.notify(this.changedSections(before, this.previewSettings || this.settings));
+    this.remoteListeners.forEach(callback => callback());
+  }
+
+  /**
+   * Register a callback for settings changed outside this page
+   */
+  onRemoteChange(callback) {
+    this.remoteListeners.add(callback);
+    return () => this.remoteListeners.delete(callback);
+  }
+
+  /**
+   * Upgrade a settings object of any known version to the current format
+   */
+  migrate(data, legacy = {}) {
+    return this.normalize(this.upgrade(data, legacy));
+  }
+
+  /**
+   * Run the migrations without normalizing, so invalid values are still visible
+   */
+  upgrade(data, legacy = {}) {
+    let settings = data && typeof data === 'object' ? data : {};
+    let version = Number(settings.version) || 0;
+
+    while (version < SETTINGS_VERSION) {
+      settings = SETTINGS_MIGRATIONS[version](settings, legacy);
+      version++;
+    }
+
+    return settings;
+  }
+
+  /**
+   * Check imported settings of any known version against the schema.
+   * Returns the valid values merged over base (defaults unless given) plus
+   * every problem found as { path, message }, so callers can offer a partial import.
+   */
+  validate(data, { legacy = {}, base = SettingsStore.createDefaults() } = {}) {
+    const problems = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      problems.push({ path: '', message: window.i18n.t('problemExpectedObject', JSON.stringify(data)) });
+      return { settings: structuredClone(base), problems };
+    }
+
+    // Legacy per-module keys have been folded in by the migrations
+    const upgraded = { ...this.upgrade(data, legacy) };
+    LEGACY_SETTINGS_KEYS.forEach(key => delete upgraded[key]);
+
+    const settings = this.validateNode(SETTINGS_SCHEMA, base, upgraded, '', problems);
+    settings.version = SETTINGS_VERSION;
+    return { settings, problems };
+  }
+
+  /**
+   * Validate one schema node, recording problems and keeping base values in their place
+   */
+  validateNode(node, base, value, path, problems) {
+    if (value === undefined) {
+      return structuredClone(base);
+    }
+
+    if (node instanceof SettingField) {
+      try {
+        return node.validate(value);
+      } catch (error) {
+        problems.push({ path, message: error.message });
+        return structuredClone(base);
+      }
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      problems.push({ path, message: window.i18n.t('problemExpectedSettingsGroup', JSON.stringify(value)) });
+      return structuredClone(base);
+    }
+
+    Object.keys(value).forEach(key => {
+      const isVersion = node === SETTINGS_SCHEMA && key === 'version';
+      if (!isVersion && !Object.prototype.hasOwnProperty.call(node, key)) {
+        problems.push({ path: path ? `${path}.${key}` : key, message: window.i18n.t('problemUnknownSetting') });
+      }
+    });
+
+    const result = {};
+    Object.entries(node).forEach(([key, child]) => {
+      result[key] = this.validateNode(child, base[key], value[key], path ? `${path}.${key}` : key, problems);
+    });
+    return result;
+  }
+
+  /**
+   * Check a list of pinned apps, folders and workspaces. Apps without a valid name and URL are
+   * dropped, as are folders left without apps and unnamed workspaces; problems are reported with paths like
+   * "pinnedApps[2].url" or "pinnedApps[4].apps[1].url".
+   */
+  validatePinnedApps(apps, path = 'pinnedApps', { topLevel = true } = {}) {
+    const problems = [];
+
+    if (!Array.isArray(apps)) {
+      problems.push({ path, message: window.i18n.t('problemExpectedList', JSON.stringify(apps)) });
+      return { apps: [], problems };
+    }
+
+    const valid = [];
+    apps.forEach((app, index) => {
+      const appPath = `${path}[${index}]`;
+      if (!app || typeof app !== 'object' || Array.isArray(app)) {
+        problems.push({ path: appPath, message: window.i18n.t('problemExpectedApp', JSON.stringify(app)) });
+        return;
+      }
+
+      if (app.type === 'folder' || app.type === 'workspace') {
+        if (!topLevel) {
+          problems.push({ path: appPath, message: window.i18n.t('problemFolderOnlyApps') });
+          return;
+        }
+        const item = app.type === 'folder'
+          ? this.validateFolder(app, appPath, problems)
+          : this.validateWorkspace(app, appPath, problems);
+        if (item) valid.push(item);
+        return;
+      }
+
+      const appProblems = [];
+      const result = this.validateNode(PINNED_APP_SCHEMA, SettingsStore.createDefaults(PINNED_APP_SCHEMA), app, appPath, appProblems);
+      PINNED_APP_REQUIRED_FIELDS.forEach(key => {
+        if (app[key] === undefined) {
+          appProblems.push({ path: `${appPath}.${key}`, message: window.i18n.t('problemMissingField') });
+        }
+      });
+      problems.push(...appProblems);
+
+      const dropped = appProblems.some(problem =>
+        PINNED_APP_REQUIRED_FIELDS.some(key => problem.path === `${appPath}.${key}`));
+      if (!dropped) {
+        valid.push(result);
+      }
+    });
+
+    return { apps: valid, problems };
+  }
+
+  /**
+   * Check one folder, returning null if none of its apps are valid
+   */
+  validateFolder(folder, path, problems) {
+    const { type, apps: folderApps, ...fields } = folder;
+    const result = this.validateNode(PINNED_FOLDER_SCHEMA, SettingsStore.createDefaults(PINNED_FOLDER_SCHEMA), fields, path, problems);
+    const { apps, problems: appProblems } = this.validatePinnedApps(folderApps, `${path}.apps`, { topLevel: false });
+    problems.push(...appProblems);
+
+    if (apps.length === 0) {
+      problems.push({ path: `${path}.apps`, message: window.i18n.t('problemFolderEmpty') });
+      return null;
+    }
+    return { type: 'folder', id: result.id || `folder-${Math.random().toString(36).slice(2, 11)}`, name: result.name, apps };
+  }
+
+  /**
+   * Check one workspace, returning null if it has no name
+   */
+  validateWorkspace(workspace, path, problems) {
+    const { type, ...fields } = workspace;
+    const result = this.validateNode(PINNED_WORKSPACE_SCHEMA, SettingsStore.createDefaults(PINNED_WORKSPACE_SCHEMA), fields, path, problems);
+
+    if (!result.name) {
+      if (fields.name === undefined) {
+        problems.push({ path: `${path}.name`, message: window.i18n.t('problemMissingField') });
+      }
+      return null;
+    }
+    return { type: 'workspace', ...result, id: result.id || `workspace-${Math.random().toString(36).slice(2, 11)}` };
+  }
+
+  /**
+   * Every app in a pinned apps list, with the apps inside folders in place of the folders.
+   * Workspaces only point at apps, so they're left out.
+   */
+  static flattenPinnedApps(apps) {
+    return apps.flatMap(app => {
+      if (app.type === 'folder') return app.apps;
+      return app.type === 'workspace' ? [] : [app];
+    });
+  }
+
+  /**
+   * Format problems for display, one per line
+   */
+  static formatProblems(problems, limit = 10) {
+    const lines = problems.slice(0, limit).map(({ path, message }) => `• ${path ? `${path}: ` : ''}${message}`);
+    if (problems.length > limit) {
+      lines.push(window.i18n.plural('moreProblems', problems.length - limit));
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Fit arbitrary data to the schema, replacing invalid values with defaults
+   */
+  normalize(data, schema = SETTINGS_SCHEMA) {
+    const source = data && typeof data === 'object' ? data : {};
+    const normalized = {};
+
+    Object.entries(schema).forEach(([key, node]) => {
+      if (node instanceof SettingField) {
+        try {
+          normalized[key] = node.coerce(source[key]);
+        } catch (error) {
+          normalized[key] = node.createDefault();
+        }
+      } else {
+        normalized[key] = this.normalize(source[key], node);
+      }
+    });
+
+    if (schema === SETTINGS_SCHEMA) {
+      normalized.version = SETTINGS_VERSION;
+    }
+    return normalized;
+  }
+
+  /**
+   * Write the current settings to storage
+   */
+  async persist() {
+    await window.storageQueue.write(this.storageArea, SETTINGS_STORAGE_KEY, this.settings);
+  }
+
+  /**
+   * Resolve a dotted path (e.g. "clock.format") to its schema node
+   */
+  getSchemaNode(path) {
+    let node = SETTINGS_SCHEMA;
+    for (const key of path.split('.')) {
+      if (node instanceof SettingField || !Object.prototype.hasOwnProperty.call(node, key)) {
+        throw new Error(`Unknown setting: ${path}`);
+      }
+      node = node[key];
+    }
+    return node;
+  }
+
+  /**
+   * Get a copy of the value at a dotted path, or of all settings.
+   * Reflects previewed changes while a preview is active.
+   */
+  get(path) {
+    const settings = this.previewSettings || this.settings;
+    if (!path) {
+      return structuredClone(settings);
+    }
+
+    this.getSchemaNode(path);
+    const value = path.split('.').reduce((current, key) => current[key], settings);
+    return structuredClone(value);
+  }
+
+  /**
+   * Get a copy of the saved settings, ignoring any active preview
+   */
+  getSaved() {
+    return structuredClone(this.settings);
+  }
+
+  /**
+   * Set the value at a dotted path. Groups accept partial objects.
+   * Pass { silent: true } for bookkeeping writes that should not notify subscribers.
+   */
+  async set(path, value, options = {}) {
+    const node = this.getSchemaNode(path);
+    const keys = path.split('.');
+    const current = keys.reduce((settings, key) => settings[key], this.settings);
+    const coerced = this.coerceNode(node, current, value, path);
+
+    this.settings = this.assignPath(this.settings, keys, coerced);
+    if (this.previewSettings) {
+      this.previewSettings = this.assignPath(this.previewSettings, keys, structuredClone(coerced));
+    }
+
+    await this.persist();
+    if (!options.silent) {
+      this.notify([keys[0]]);
+    }
+  }
+
+  /**
+   * Return a copy of an object with the value at a key path replaced
+   */
+  assignPath(target, keys, value) {
+    const [key, ...rest] = keys;
+    return {
+      ...target,
+      [key]: rest.length > 0 ? this.assignPath(target[key], rest, value) : value
+    };
+  }
+
+  /**
+   * Apply a partial settings object spanning any number of sections.
+   * Nothing is written if any value fails validation. Committing ends any preview.
+   */
+  async update(patch, options = {}) {
+    const before = this.previewSettings || this.settings;
+    const next = this.applyPatch(this.settings, patch);
+
+    this.settings = next;
+    this.previewSettings = null;
+    await this.persist();
+    if (!options.silent) {
+      this.notify(this.changedSections(before, next));
+    }
+  }
+
+  /**
+   * Validate a partial settings object and merge it over the given settings
+   */
+  applyPatch(settings, patch) {
+    const next = { ...settings };
+    Object.keys(patch).forEach(section => {
+      const node = this.getSchemaNode(section);
+      next[section] = this.coerceNode(node, settings[section], patch[section], section);
+    });
+    return next;
+  }
+
+  /**
+   * List the top-level sections whose preferences differ between two settings objects
+   */
+  changedSections(before, after) {
+    return Object.keys(SETTINGS_SCHEMA).filter(section => {
+      const schema = SETTINGS_SCHEMA[section];
+      return JSON.stringify(this.withoutState(before[section], schema)) !==
+        JSON.stringify(this.withoutState(after[section], schema));
+    });
+  }
+
+  /**
+   * Copy of a settings group with runtime state fields removed
+   */
+  withoutState(value, schema) {
+    const result = {};
+    Object.entries(schema).forEach(([key, node]) => {
+      if (node instanceof SettingField) {
+        if (!node.options.state) result[key] = value[key];
+      } else {
+        result[key] = this.withoutState(value[key], node);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * List the paths of preferences (not runtime state) that differ between two settings objects
+   */
+  diffPaths(before, after, schema = SETTINGS_SCHEMA, path = '') {
+    const paths = [];
+    Object.entries(schema).forEach(([key, node]) => {
+      const nodePath = path ? `${path}.${key}` : key;
+      const a = before ? before[key] : undefined;
+      const b = after ? after[key] : undefined;
+      if (node instanceof SettingField) {
+        if (!node.options.state && JSON.stringify(a) !== JSON.stringify(b)) paths.push(nodePath);
+      } else {
+        paths.push(...this.diffPaths(a, b, node, nodePath));
+      }
+    });
+    return paths;
+  }
+
+  /**
+   * Show a partial settings object on the page without saving it.
+   * Subscribers are notified as if it were saved; cancelPreview() reverts.
+   */
+  preview(patch) {
+    const before = this.previewSettings || this.settings;
+    this.previewSettings = this.applyPatch(before, patch);
+    this.notify(this.changedSections(before, this.previewSettings));
+  }
+
+  /**
+   * Discard previewed changes and restore the saved settings
+   */
+  cancelPreview() {
+    if (!this.previewSettings) return;
+
+    const before = this.previewSettings;
+    this.previewSettings = null;
+    this.notify(this.changedSections(before, this.settings));
+  }
+
+  /**
+   * Whether unsaved previewed changes are currently shown
+   */
+  isPreviewing() {
+    return this.previewSettings !== null;
+  }
+
+  /**
+   * Coerce a value (or partial group) against its schema node
+   */
+  coerceNode(node, current, value, path) {
+    if (node instanceof SettingField) {
+      try {
+        return node.coerce(value);
+      } catch (error) {
+        throw new TypeError(`${path}: ${error.message}`);
+      }
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new TypeError(`${path}: Expected an object, got ${JSON.stringify(value)}`);
+    }
+
+    const result = { ...current };
+    Object.entries(value).forEach(([key, childValue]) => {
+      if (!Object.prototype.hasOwnProperty.call(node, key)) {
+        throw new Error(`Unknown setting: ${path}.${key}`);
+      }
+      result[key] = this.coerceNode(node[key], current[key], childValue, `${path}.${key}`);
+    });
+    return result;
+  }
+
+  /**
+   * Replace all settings, e.g. from an imported file of any known version
+   */
+  async replace(data) {
+    this.settings = this.migrate(data);
+    this.previewSettings = null;
+    await this.persist();
+    this.notify(Object.keys(SETTINGS_SCHEMA));
+  }
+
+  /**
+   * Restore schema defaults
+   */
+  async reset() {
+    this.settings = SettingsStore.createDefaults();
+    this.previewSettings = null;
+    await this.persist();
+    this.notify(Object.keys(SETTINGS_SCHEMA));
+  }
+
+  /**
+   * Subscribe to changes of a top-level section. Returns an unsubscribe function.
+   */
+  subscribe(section, callback) {
+    if (!this.subscribers.has(section)) {
+      this.subscribers.set(section, new Set());
+    }
+    this.subscribers.get(section).add(callback);
+
+    return () => this.subscribers.get(section).delete(callback);
+  }
+
+  /**
+   * Call the subscribers of the given sections with fresh copies of their values
+   */
+  notify(sections) {
+    sections.forEach(section => {
+      const callbacks = this.subscribers.get(section);
+      if (!callbacks) return;
+
+      callbacks.forEach(callback => {
+        try {
+          callback(this.get(section));
+        } catch (error) {
+          console.error(`Settings subscriber for "${section}" failed:`, error);
+        }
+      });
+    });
+  }
+}
+
+// Created immediately so every module can await the same load
+window.settingsStore = new SettingsStore();
\ No newline at end of file
@@ -7,95 +7,44 @@ class SettingsManager {
   constructor() {
     this.modal = document.getElementById('settings-modal');
     this.settingsButton = document.getElementById('settings-button');
-    this.closeButton = document.getElementById('settings-close');
-    this.saveButton = document.getElementById('settings-save');
-    this.resetButton = document.getElementById('settings-reset');
-    this.exportButton = document.getElementById('settings-export');
-    this.importButton = document.getElementById('settings-import');
-    this.importFile = document.getElementById('settings-import-file');
+    this.closeButton = document.getElementById('close-settings');
+    this.saveButton = document.getElementById('save-settings');
+    this.cancelButton = document.getElementById('cancel-settings');
+    this.resetButton = document.getElementById('reset-config');
+    this.exportButton = document.getElementById('export-config');
+    this.importButton = document.getElementById('import-config');
+    this.importFile = document.getElementById('import-file');
     this.statusMessage = document.getElementById('settings-status');
     
-    this.settings = {
-      clock: {
-        format: '12', // 12 or 24
-        showSeconds: true,
-        showDate: true,
-        hidden: false
-      },
-      apps: {
-        showNames: true,
-        padding: 10,
-        transparency: 0.9,
-        gridColumns: 10,
-        gridRows: 2
-      },
-      background: {
-        type: 'upload', // upload, color, gradient, api
-        uploadSettings: {
-          images: [],
-          cycle: 'refresh', // refresh, newtab
-          order: 'random' // random, sequential
-        },
-        colorSettings: {
-          color: '#1a1a1a'
-        },
-        gradientSettings: {
-          type: 'linear',
-          color1: '#667eea',
-          color2: '#764ba2'
-        },
-        apiSettings: {
-          source: 'unsplash',
-          apiKey: '',
-          query: 'nature',
-          cycle: 'refresh'
-        }
-      },
-      stats: {
-        enabled: true,
-        showUsageTime: true,
-        showTabsOpened: true,
-        showDaysUsed: true,
-        showTrackersBlocked: true
-      }
-    };
+    this.store = window.settingsStore;
     
     this.init();
   }
 
   async init() {
-    await this.loadSettings();
+    await window.i18n.ready;
     this.setupEventListeners();
     this.populateSettings();
-  }
-
-  /**
-   * Load settings from chrome.storage.sync
-   */
-  async loadSettings() {
-    try {
-      const result = await chrome.storage.sync.get(['newTabSettings']);
-      if (result.newTabSettings) {
-        this.settings = { ...this.settings, ...result.newTabSettings };
+    
+    // Refresh the open form when another tab or device changes settings.
+    // Fields being edited here are kept by the store's preview.
+    this.store.onRemoteChange(() => {
+      if (this.modal.classList.contains('active')) {
+        this.populateSettings();
       }
-    } catch (error) {
-      console.warn('Failed to load settings:', error);
-    }
+    });
   }
 
   /**
-   * Save settings to chrome.storage.sync
+   * Save the fields edited in the modal through the settings store
    */
-  async saveSettings() {
+  async saveSettings(patch) {
     try {
-      await chrome.storage.sync.set({ newTabSettings: this.settings });
-      this.showStatus('Settings saved successfully!', 'success');
-      
-      // Dispatch events for other modules
-      this.dispatchSettingsEvents();
+      await this.store.update(patch);
+      this.showStatus(window.i18n.t('settingsSaved'), 'success');
     } catch (error) {
       console.error('Failed to save settings:', error);
-      this.showStatus('Failed to save settings', 'error');
+      this.showStatus(window.i18n.t('settingsSaveFailed', error.message), 'error');
     }
   }
 
@@ -107,8 +56,9 @@ class SettingsManager {
     this.settingsButton.addEventListener('click', () => this.openModal());
     this.closeButton.addEventListener('click', () => this.closeModal());
     
-    // Save and reset
+    // Save, cancel and reset
     this.saveButton.addEventListener('click', () => this.saveCurrentSettings());
+    this.cancelButton.addEventListener('click', () => this.closeModal());
     this.resetButton.addEventListener('click', () => this.resetToDefaults());
     
     // Import/export
@@ -121,6 +71,76 @@ class SettingsManager {
       category.addEventListener('click', (e) => this.switchCategory(e.target.dataset.category));
     });
     
+    // Background type switches the visible section
+    document.getElementById('background-type').addEventListener('change', (e) => {
+      this.showBackgroundSection(e.target.value);
+    });
+    
+    // Range value labels
+    document.getElementById('icon-padding').addEventListener('input', (e) => {
+      document.getElementById('icon-padding-value').textContent = e.target.value + 'px';
+    });
+    document.getElementById('icon-transparency').addEventListener('input', (e) => {
+      document.getElementById('icon-transparency-value').textContent = Math.round(e.target.value * 100) + '%';
+    });
+    ['day', 'night'].forEach(period => {
+      document.getElementById(`theme-${period}-overlay`).addEventListener('input', (e) => {
+        document.getElementById(`theme-${period}-overlay-value`).textContent = Math.round(e.target.value * 100) + '%';
+      });
+    });
+    
+    // Day & night: only the fields for the chosen mode are shown
+    document.getElementById('theme-mode').addEventListener('change', (e) => this.showThemeFields(e.target.value));
+    ['theme-latitude', 'theme-longitude'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => this.updateSunTimes());
+    });
+    
+    // Format patterns show an example as they are typed
+    ['time-pattern', 'date-pattern', '24-hour-format', 'show-seconds'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => this.updateFormatPreview());
+    });
+    
+    // World clocks: rows are rebuilt by populateSettings, so listen on the list
+    this.populateTimeZoneOptions();
+    const worldClockList = document.getElementById('world-clock-list');
+    document.getElementById('add-world-clock').addEventListener('click', () => {
+      const row = this.addWorldClockRow({ label: '', timeZone: '' });
+      row.querySelector('.world-clock-zone').focus();
+    });
+    worldClockList.addEventListener('change', () => this.previewCurrentSettings());
+    worldClockList.addEventListener('click', (e) => {
+      if (e.target.closest('.world-clock-remove')) {
+        e.target.closest('.world-clock-row').remove();
+        this.previewCurrentSettings();
+      }
+    });
+    
+    // Greeting messages, rebuilt the same way
+    const greetingMessageList = document.getElementById('greeting-message-list');
+    document.getElementById('add-greeting-message').addEventListener('click', () => {
+      const row = this.addGreetingMessageRow({ text: '', days: [] });
+      row.querySelector('.greeting-message-input').focus();
+    });
+    greetingMessageList.addEventListener('change', () => this.previewCurrentSettings());
+    greetingMessageList.addEventListener('click', (e) => {
+      if (e.target.closest('.greeting-message-remove')) {
+        e.target.closest('.greeting-message-row').remove();
+        this.previewCurrentSettings();
+      }
+    });
+    
+    // Background image uploads from the modal
+    document.getElementById('image-upload').addEventListener('change', (e) => {
+      window.newTabApp.handleBackgroundImageUpload(e);
+    });
+    
+    // Live preview: sliders, toggles, pickers and selects update as they move,
+    // text fields once editing finishes so the API isn't queried per keystroke
+    this.modal.querySelectorAll('.settings-body input:not([type="file"]):not([data-no-preview]), .settings-body select:not([data-no-preview])').forEach(control => {
+      const isText = ['text', 'password'].includes(control.type);
+      control.addEventListener(isText ? 'change' : 'input', () => this.previewCurrentSettings());
+    });
+    
     // Close modal on outside click
     this.modal.addEventListener('click', (e) => {
       if (e.target === this.modal) {
@@ -130,18 +150,26 @@ class SettingsManager {
   }
 
   /**
-   * Open settings modal
+   * Open settings modal. The saved settings at this point are the snapshot
+   * that closing without saving reverts to.
    */
   openModal() {
+    if (this.modal.classList.contains('active')) return;
+    
     this.modal.classList.add('active');
     this.populateSettings();
     document.body.style.overflow = 'hidden';
   }
 
   /**
-   * Close settings modal
+   * Close settings modal, discarding any unsaved preview
    */
   closeModal() {
+    if (this.store.isPreviewing()) {
+      this.store.cancelPreview();
+      this.populateSettings();
+    }
+    
     this.modal.classList.remove('active');
     document.body.style.overflow = '';
     this.hideStatus();
@@ -168,47 +196,99 @@ class SettingsManager {
    * Populate settings form with current values
    */
   populateSettings() {
+    const settings = this.store.get();
+    
+    // Language
+    document.getElementById('language-select').value = settings.general.language;
+    
     // Clock settings
-    document.getElementById('clock-format').value = this.settings.clock.format;
-    document.getElementById('clock-seconds').checked = this.settings.clock.showSeconds;
-    document.getElementById('clock-date').checked = this.settings.clock.showDate;
-    document.getElementById('clock-hidden').checked = this.settings.clock.hidden;
+    document.getElementById('show-clock').checked = !settings.clock.hidden;
+    document.getElementById('show-seconds').checked = settings.clock.showSeconds;
+    document.getElementById('show-date').checked = settings.clock.showDate;
+    document.getElementById('24-hour-format').checked = settings.clock.format === '24';
+    document.getElementById('clock-style').value = settings.clock.style;
+    document.getElementById('time-pattern').value = settings.clock.timePattern;
+    document.getElementById('date-pattern').value = settings.clock.datePattern;
+    this.updateFormatPreview();
+    document.getElementById('world-clock-list').innerHTML = '';
+    settings.clock.worldClocks.forEach(worldClock => this.addWorldClockRow(worldClock));
+    
+    // Greeting settings
+    document.getElementById('show-greeting').checked = !settings.greeting.hidden;
+    document.getElementById('greeting-name').value = settings.greeting.name;
+    document.getElementById('greeting-morning').value = settings.greeting.morningStart;
+    document.getElementById('greeting-afternoon').value = settings.greeting.afternoonStart;
+    document.getElementById('greeting-evening').value = settings.greeting.eveningStart;
+    document.getElementById('greeting-night').value = settings.greeting.nightStart;
+    document.getElementById('greeting-rotate-minutes').value = settings.greeting.rotateMinutes;
+    document.getElementById('greeting-message-list').innerHTML = '';
+    settings.greeting.messages.forEach(message => this.addGreetingMessageRow(message));
+    
+    // Focus timer settings
+    document.getElementById('show-focus-timer').checked = !settings.timer.hidden;
+    document.getElementById('focus-work-minutes').value = settings.timer.workMinutes;
+    document.getElementById('focus-break-minutes').value = settings.timer.breakMinutes;
+    document.getElementById('focus-auto-break').checked = settings.timer.autoStartBreaks;
+    
+    // Reminder settings
+    document.getElementById('show-upcoming-reminders').checked = settings.reminders.showUpcoming;
+    
+    // Calendar settings
+    document.getElementById('show-agenda').checked = !settings.agenda.hidden;
+    document.getElementById('agenda-show-tomorrow').checked = settings.agenda.showTomorrow;
+    document.getElementById('agenda-refresh-minutes').value = settings.agenda.refreshMinutes;
     
     // App settings
-    document.getElementById('apps-show-names').checked = this.settings.apps.showNames;
-    document.getElementById('apps-padding').value = this.settings.apps.padding;
-    document.getElementById('apps-transparency').value = this.settings.apps.transparency;
-    document.getElementById('apps-padding-value').textContent = this.settings.apps.padding + 'px';
-    document.getElementById('apps-transparency-value').textContent = Math.round(this.settings.apps.transparency * 100) + '%';
+    document.getElementById('show-app-names').checked = settings.apps.showNames;
+    document.getElementById('grid-columns').value = settings.apps.gridColumns;
+    document.getElementById('grid-rows').value = settings.apps.gridRows;
+    document.getElementById('default-open-mode').value = settings.apps.openMode;
+    document.getElementById('icon-padding').value = settings.apps.padding;
+    document.getElementById('icon-transparency').value = settings.apps.transparency;
+    document.getElementById('icon-padding-value').textContent = settings.apps.padding + 'px';
+    document.getElementById('icon-transparency-value').textContent = Math.round(settings.apps.transparency * 100) + '%';
     
     // Background settings
-    document.getElementById('background-type').value = this.settings.background.type;
-    this.showBackgroundSection(this.settings.background.type);
+    document.getElementById('background-type').value = settings.background.type;
+    this.showBackgroundSection(settings.background.type);
     
     // Upload settings
-    document.getElementById('bg-upload-cycle').value = this.settings.background.uploadSettings.cycle;
-    document.getElementById('bg-upload-order').value = this.settings.background.uploadSettings.order;
+    document.getElementById('image-cycle').value = settings.background.uploadSettings.cycle;
+    document.getElementById('image-order').value = settings.background.uploadSettings.order;
     this.populateUploadedImages();
     
     // Color settings
-    document.getElementById('bg-color').value = this.settings.background.colorSettings.color;
+    document.getElementById('background-color').value = settings.background.colorSettings.color;
     
     // Gradient settings
-    document.getElementById('bg-gradient-type').value = this.settings.background.gradientSettings.type;
-    document.getElementById('bg-gradient-color1').value = this.settings.background.gradientSettings.color1;
-    document.getElementById('bg-gradient-color2').value = this.settings.background.gradientSettings.color2;
+    document.getElementById('gradient-type').value = settings.background.gradientSettings.type;
+    document.getElementById('gradient-color1').value = settings.background.gradientSettings.color1;
+    document.getElementById('gradient-color2').value = settings.background.gradientSettings.color2;
+    
+    // Day & night settings
+    document.getElementById('theme-mode').value = settings.theme.mode;
+    this.showThemeFields(settings.theme.mode);
+    document.getElementById('theme-day-start').value = settings.theme.dayStart;
+    document.getElementById('theme-night-start').value = settings.theme.nightStart;
+    document.getElementById('theme-latitude').value = settings.theme.latitude === null ? '' : settings.theme.latitude;
+    document.getElementById('theme-longitude').value = settings.theme.longitude === null ? '' : settings.theme.longitude;
+    this.updateSunTimes();
+    ['day', 'night'].forEach(period => {
+      const variant = settings.theme[period];
+      document.getElementById(`theme-${period}-background`).value = variant.background;
+      document.getElementById(`theme-${period}-color`).value = variant.color;
+      document.getElementById(`theme-${period}-overlay`).value = variant.overlay;
+      document.getElementById(`theme-${period}-overlay-value`).textContent = Math.round(variant.overlay * 100) + '%';
+      document.getElementById(`theme-${period}-text`).value = variant.textColor;
+    });
     
     // API settings
-    document.getElementById('bg-api-source').value = this.settings.background.apiSettings.source;
-    document.getElementById('bg-api-key').value = this.settings.background.apiSettings.apiKey;
-    document.getElementById('bg-api-query').value = this.settings.background.apiSettings.query;
+    document.getElementById('api-source').value = settings.background.apiSettings.source;
+    document.getElementById('api-key').value = settings.background.apiSettings.apiKey;
+    document.getElementById('api-query').value = settings.background.apiSettings.query;
     
     // Stats settings
-    document.getElementById('stats-enabled').checked = this.settings.stats.enabled;
-    document.getElementById('stats-usage-time').checked = this.settings.stats.showUsageTime;
-    document.getElementById('stats-tabs-opened').checked = this.settings.stats.showTabsOpened;
-    document.getElementById('stats-days-used').checked = this.settings.stats.showDaysUsed;
-    document.getElementById('stats-trackers').checked = this.settings.stats.showTrackersBlocked;
+    document.getElementById('show-stats').checked = settings.stats.enabled;
   }
 
   /**
@@ -216,24 +296,31 @@ class SettingsManager {
    */
   showBackgroundSection(type) {
     document.querySelectorAll('.background-section').forEach(section => {
-      section.classList.remove('active');
+      const isActive = section.id === `${type}-section`;
+      section.classList.toggle('active', isActive);
+      section.style.display = isActive ? '' : 'none';
     });
-    document.getElementById(`bg-${type}-section`).classList.add('active');
   }
 
   /**
-   * Populate uploaded images list
+   * Populate uploaded images list with thumbnails from the image library
    */
-  populateUploadedImages() {
-    const container = document.getElementById('bg-upload-images');
-    container.innerHTML = '';
+  async populateUploadedImages() {
+    const container = document.getElementById('uploaded-images');
+    const imageIds = this.store.get('background.uploadSettings.images');
+    const thumbnails = await Promise.all(imageIds.map(id => window.imageLibrary.getThumbnailUrl(id)));
+    
+    // Release thumbnails from the previous render
+    (this.thumbnailUrls || []).forEach(url => URL.revokeObjectURL(url));
+    this.thumbnailUrls = thumbnails.filter(Boolean);
     
-    this.settings.background.uploadSettings.images.forEach((image, index) => {
+    container.innerHTML = '';
+    thumbnails.forEach((thumbnail, index) => {
       const imageItem = document.createElement('div');
       imageItem.className = 'uploaded-image-item';
       imageItem.innerHTML = `
-        <img src="${image}" alt="Uploaded image ${index + 1}">
-        <button class="remove-image-btn" data-index="${index}">×</button>
+        ${thumbnail ? `<img src="${thumbnail}" alt="${window.i18n.t('uploadedImageAlt', index + 1)}">` : ''}
+        <button class="remove-image-btn" data-index="${index}" title="${window.i18n.t('remove')}">×</button>
       `;
       container.appendChild(imageItem);
     });
@@ -251,101 +338,322 @@ class SettingsManager {
    * Remove uploaded image
    */
   async removeUploadedImage(index) {
-    this.settings.background.uploadSettings.images.splice(index, 1);
-    await this.saveSettings();
-    this.populateUploadedImages();
+    try {
+      const before = this.store.getSaved();
+      await window.backgroundEngine.removeUploadedImage(index);
+      this.populateUploadedImages();
+      
+      if (window.historyManager) {
+        window.historyManager.record('settings', window.i18n.t('historyRemovedBackgroundImage'), before, this.store.getSaved());
+      }
+    } catch (error) {
+      console.error('Failed to remove image:', error);
+      this.showStatus(window.i18n.t('removeImageFailed'), 'error');
+    }
+  }
+
+  /**
+   * Preview the form values on the page without saving them
+   */
+  previewCurrentSettings() {
+    try {
+      this.store.preview(this.collectFormSettings());
+    } catch (error) {
+      console.warn('Failed to preview settings:', error);
+    }
   }
 
   /**
    * Save current settings
    */
   async saveCurrentSettings() {
-    // Clock settings
-    this.settings.clock.format = document.getElementById('clock-format').value;
-    this.settings.clock.showSeconds = document.getElementById('clock-seconds').checked;
-    this.settings.clock.showDate = document.getElementById('clock-date').checked;
-    this.settings.clock.hidden = document.getElementById('clock-hidden').checked;
-    
-    // App settings
-    this.settings.apps.showNames = document.getElementById('apps-show-names').checked;
-    this.settings.apps.padding = parseInt(document.getElementById('apps-padding').value);
-    this.settings.apps.transparency = parseFloat(document.getElementById('apps-transparency').value);
-    
-    // Background settings
-    this.settings.background.type = document.getElementById('background-type').value;
-    this.settings.background.uploadSettings.cycle = document.getElementById('bg-upload-cycle').value;
-    this.settings.background.uploadSettings.order = document.getElementById('bg-upload-order').value;
-    this.settings.background.colorSettings.color = document.getElementById('bg-color').value;
-    this.settings.background.gradientSettings.type = document.getElementById('bg-gradient-type').value;
-    this.settings.background.gradientSettings.color1 = document.getElementById('bg-gradient-color1').value;
-    this.settings.background.gradientSettings.color2 = document.getElementById('bg-gradient-color2').value;
-    this.settings.background.apiSettings.source = document.getElementById('bg-api-source').value;
-    this.settings.background.apiSettings.apiKey = document.getElementById('bg-api-key').value;
-    this.settings.background.apiSettings.query = document.getElementById('bg-api-query').value;
-    
-    // Stats settings
-    this.settings.stats.enabled = document.getElementById('stats-enabled').checked;
-    this.settings.stats.showUsageTime = document.getElementById('stats-usage-time').checked;
-    this.settings.stats.showTabsOpened = document.getElementById('stats-tabs-opened').checked;
-    this.settings.stats.showDaysUsed = document.getElementById('stats-days-used').checked;
-    this.settings.stats.showTrackersBlocked = document.getElementById('stats-trackers').checked;
-    
-    await this.saveSettings();
+    await this.saveSettings(this.collectFormSettings());
   }
 
   /**
-   * Reset to default settings
+   * Read the modal form into a partial settings object
    */
-  async resetToDefaults() {
-    if (confirm('Are you sure you want to reset all settings to defaults?')) {
-      // Reset to hardcoded defaults
-      this.settings = {
-        clock: {
-          format: '12',
-          showSeconds: true,
-          showDate: true,
-          hidden: false
+  collectFormSettings() {
+    return {
+      general: {
+        language: document.getElementById('language-select').value
+      },
+      clock: {
+        hidden: !document.getElementById('show-clock').checked,
+        showSeconds: document.getElementById('show-seconds').checked,
+        showDate: document.getElementById('show-date').checked,
+        format: document.getElementById('24-hour-format').checked ? '24' : '12',
+        style: document.getElementById('clock-style').value,
+        timePattern: document.getElementById('time-pattern').value,
+        datePattern: document.getElementById('date-pattern').value,
+        worldClocks: this.collectWorldClocks()
+      },
+      greeting: {
+        hidden: !document.getElementById('show-greeting').checked,
+        name: document.getElementById('greeting-name').value,
+        morningStart: document.getElementById('greeting-morning').value,
+        afternoonStart: document.getElementById('greeting-afternoon').value,
+        eveningStart: document.getElementById('greeting-evening').value,
+        nightStart: document.getElementById('greeting-night').value,
+        messages: this.collectGreetingMessages(),
+        rotateMinutes: document.getElementById('greeting-rotate-minutes').value
+      },
+      timer: {
+        hidden: !document.getElementById('show-focus-timer').checked,
+        workMinutes: document.getElementById('focus-work-minutes').value,
+        breakMinutes: document.getElementById('focus-break-minutes').value,
+        autoStartBreaks: document.getElementById('focus-auto-break').checked
+      },
+      reminders: {
+        showUpcoming: document.getElementById('show-upcoming-reminders').checked
+      },
+      agenda: {
+        hidden: !document.getElementById('show-agenda').checked,
+        showTomorrow: document.getElementById('agenda-show-tomorrow').checked,
+        refreshMinutes: document.getElementById('agenda-refresh-minutes').value
+      },
+      apps: {
+        showNames: document.getElementById('show-app-names').checked,
+        gridColumns: document.getElementById('grid-columns').value,
+        gridRows: document.getElementById('grid-rows').value,
+        openMode: document.getElementById('default-open-mode').value,
+        padding: parseInt(document.getElementById('icon-padding').value),
+        transparency: parseFloat(document.getElementById('icon-transparency').value)
+      },
+      background: {
+        type: document.getElementById('background-type').value,
+        uploadSettings: {
+          cycle: document.getElementById('image-cycle').value,
+          order: document.getElementById('image-order').value
         },
-        apps: {
-          showNames: true,
-          padding: 10,
-          transparency: 0.9,
-          gridColumns: 10,
-          gridRows: 2
+        colorSettings: {
+          color: document.getElementById('background-color').value
         },
-        background: {
-          type: 'upload',
-          uploadSettings: {
-            images: [],
-            cycle: 'refresh',
-            order: 'random'
-          },
-          colorSettings: {
-            color: '#1a1a1a'
-          },
-          gradientSettings: {
-            type: 'linear',
-            color1: '#667eea',
-            color2: '#764ba2'
-          },
-          apiSettings: {
-            source: 'unsplash',
-            apiKey: '',
-            query: 'nature'
-          }
+        gradientSettings: {
+          type: document.getElementById('gradient-type').value,
+          color1: document.getElementById('gradient-color1').value,
+          color2: document.getElementById('gradient-color2').value
         },
-        stats: {
-          enabled: true,
-          showUsageTime: true,
-          showTabsOpened: true,
-          showDaysUsed: true,
-          showTrackersBlocked: true
+        apiSettings: {
+          source: document.getElementById('api-source').value,
+          apiKey: document.getElementById('api-key').value,
+          query: document.getElementById('api-query').value
         }
-      };
-      
-      await this.saveSettings();
-      this.populateSettings();
-      this.showStatus('Settings reset to defaults', 'success');
+      },
+      theme: {
+        mode: document.getElementById('theme-mode').value,
+        dayStart: document.getElementById('theme-day-start').value,
+        nightStart: document.getElementById('theme-night-start').value,
+        latitude: document.getElementById('theme-latitude').value || null,
+        longitude: document.getElementById('theme-longitude').value || null,
+        day: this.collectThemeVariant('day'),
+        night: this.collectThemeVariant('night')
+      },
+      stats: {
+        enabled: document.getElementById('show-stats').checked
+      }
+    };
+  }
+
+  /**
+   * Read the day or night configuration fields
+   */
+  collectThemeVariant(period) {
+    return {
+      background: document.getElementById(`theme-${period}-background`).value,
+      color: document.getElementById(`theme-${period}-color`).value,
+      overlay: parseFloat(document.getElementById(`theme-${period}-overlay`).value),
+      textColor: document.getElementById(`theme-${period}-text`).value
+    };
+  }
+
+  /**
+   * Show the hour fields for fixed hours, and the location fields for sunrise and sunset.
+   * Sunrise mode also shows the hours, which it falls back to without a location.
+   */
+  showThemeFields(mode) {
+    document.querySelector('.theme-hours-fields').classList.toggle('hidden', !['hours', 'sun'].includes(mode));
+    document.querySelector('.theme-sun-fields').classList.toggle('hidden', mode !== 'sun');
+  }
+
+  /**
+   * Show today's sunrise and sunset for the location being entered
+   */
+  updateSunTimes() {
+    const hint = document.getElementById('theme-sun-times');
+    const latitude = parseFloat(document.getElementById('theme-latitude').value);
+    const longitude = parseFloat(document.getElementById('theme-longitude').value);
+
+    if (!(Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180)) {
+      hint.textContent = window.i18n.t('themeSunNoLocation');
+      return;
+    }
+
+    const sun = ThemeSchedule.getSunTimes(new Date(), latitude, longitude);
+    if (sun.polar) {
+      hint.textContent = window.i18n.t(sun.polar === 'day' ? 'themeSunPolarDay' : 'themeSunPolarNight');
+      return;
+    }
+
+    const format = time => window.clockManager ? window.clockManager.formatTime(new Date(time)) : DateFormatter.format(new Date(time), 'HH:mm');
+    hint.textContent = window.i18n.t('themeSunTimes', [format(sun.sunrise), format(sun.sunset)]);
+  }
+
+  /**
+   * Show the current time and date in the patterns being edited
+   */
+  updateFormatPreview() {
+    const timePattern = document.getElementById('time-pattern').value || DateFormatter.defaultTimePattern(
+      document.getElementById('24-hour-format').checked,
+      document.getElementById('show-seconds').checked
+    );
+    const datePattern = document.getElementById('date-pattern').value;
+    const now = new Date();
+    const date = datePattern ? DateFormatter.format(now, datePattern) : DateFormatter.formatLongDate(now);
+
+    document.getElementById('clock-format-preview').textContent = `${DateFormatter.format(now, timePattern)} · ${date}`;
+  }
+
+  /**
+   * Fill the time zone suggestions with every zone the browser supports
+   */
+  populateTimeZoneOptions() {
+    const datalist = document.getElementById('time-zone-options');
+    const zones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : ['UTC'];
+    zones.forEach(zone => {
+      const option = document.createElement('option');
+      option.value = zone;
+      datalist.appendChild(option);
+    });
+  }
+
+  /**
+   * Add an editable label / time zone row to the world clock list
+   */
+  addWorldClockRow(worldClock) {
+    const row = document.createElement('div');
+    row.className = 'world-clock-row';
+
+    const label = document.createElement('input');
+    label.type = 'text';
+    label.className = 'world-clock-name';
+    label.placeholder = window.i18n.t('worldClockLabel');
+    label.value = worldClock.label;
+
+    const zone = document.createElement('input');
+    zone.type = 'text';
+    zone.className = 'world-clock-zone';
+    zone.placeholder = window.i18n.t('worldClockZonePlaceholder');
+    zone.setAttribute('list', 'time-zone-options');
+    zone.value = worldClock.timeZone;
+
+    const remove = document.createElement('button');
+    remove.className = 'world-clock-remove';
+    remove.title = window.i18n.t('remove');
+    remove.textContent = '×';
+
+    row.append(label, zone, remove);
+    document.getElementById('world-clock-list').appendChild(row);
+    return row;
+  }
+
+  /**
+   * Read the world clock rows. Rows without a known time zone are marked and left out;
+   * a missing label defaults to the city name from the zone.
+   */
+  collectWorldClocks() {
+    const worldClocks = [];
+
+    document.querySelectorAll('#world-clock-list .world-clock-row').forEach(row => {
+      const labelInput = row.querySelector('.world-clock-name');
+      const zoneInput = row.querySelector('.world-clock-zone');
+      const timeZone = zoneInput.value.trim();
+      const valid = SettingField.isTimeZone(timeZone);
+
+      zoneInput.classList.toggle('invalid', timeZone !== '' && !valid);
+      if (!timeZone || !valid) return;
+
+      const label = labelInput.value.trim() || timeZone.split('/').pop().replace(/_/g, ' ');
+      worldClocks.push({ label, timeZone });
+    });
+
+    return worldClocks;
+  }
+
+  /**
+   * Add an editable message row, with a checkbox per weekday, to the greeting message list
+   */
+  addGreetingMessageRow(message) {
+    const row = document.createElement('div');
+    row.className = 'greeting-message-row';
+
+    const text = document.createElement('input');
+    text.type = 'text';
+    text.className = 'greeting-message-input';
+    text.placeholder = window.i18n.t('greetingMessagePlaceholder');
+    text.value = message.text;
+
+    const remove = document.createElement('button');
+    remove.className = 'greeting-message-remove';
+    remove.title = window.i18n.t('remove');
+    remove.textContent = '×';
+
+    // Monday first, matching the reminder day picker
+    const days = document.createElement('div');
+    days.className = 'greeting-message-days';
+    [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = day;
+      checkbox.checked = message.days.includes(day);
+      label.append(checkbox, ` ${ReminderSchedule.getDayName(day)}`);
+      days.appendChild(label);
+    });
+
+    row.append(text, remove, days);
+    document.getElementById('greeting-message-list').appendChild(row);
+    return row;
+  }
+
+  /**
+   * Read the greeting message rows, leaving out empty ones
+   */
+  collectGreetingMessages() {
+    const messages = [];
+
+    document.querySelectorAll('#greeting-message-list .greeting-message-row').forEach(row => {
+      const text = row.querySelector('.greeting-message-input').value.trim();
+      if (!text) return;
+
+      const days = [...row.querySelectorAll('.greeting-message-days input:checked')]
+        .map(input => Number(input.value))
+        .sort();
+      messages.push({ text, days });
+    });
+
+    return messages;
+  }
+
+  /**
+   * Reset to default settings
+   */
+  async resetToDefaults() {
+    if (confirm(window.i18n.t('confirmResetSettings'))) {
+      try {
+        const before = this.store.getSaved();
+        await this.store.reset();
+        this.populateSettings();
+        
+        if (window.historyManager) {
+          window.historyManager.record('settings', window.i18n.t('historyResetSettings'), before, this.store.getSaved());
+        } else {
+          this.showStatus(window.i18n.t('settingsReset'), 'success');
+        }
+      } catch (error) {
+        console.error('Failed to reset settings:', error);
+        this.showStatus(window.i18n.t('settingsResetFailed'), 'error');
+      }
     }
   }
 
@@ -353,7 +661,7 @@ class SettingsManager {
    * Export settings as JSON
    */
   exportSettings() {
-    const settingsJson = JSON.stringify(this.settings, null, 2);
+    const settingsJson = JSON.stringify(this.store.get(), null, 2);
     const blob = new Blob([settingsJson], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     
@@ -365,7 +673,7 @@ class SettingsManager {
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
     
-    this.showStatus('Settings exported successfully', 'success');
+    this.showStatus(window.i18n.t('settingsExported'), 'success');
   }
 
   /**
@@ -379,18 +687,22 @@ class SettingsManager {
       const text = await file.text();
       const importedSettings = JSON.parse(text);
       
-      // Validate the imported settings
-      this.validateSettings(importedSettings);
+      // Validate the imported settings; invalid values keep their current setting
+      const { settings, problems } = this.validateSettings(importedSettings);
       
-      // Merge with current settings
-      this.settings = { ...this.settings, ...importedSettings };
-      await this.saveSettings();
-      this.populateSettings();
-      
-      this.showStatus('Settings imported successfully', 'success');
+      if (problems.length > 0 && !confirm(
+        window.i18n.plural('confirmImportInvalidSettings', problems.length, SettingsStore.formatProblems(problems))
+      )) {
+        this.showStatus(window.i18n.t('importCancelled'), 'warning');
+      } else {
+        await this.store.replace(settings);
+        this.populateSettings();
+        
+        this.showStatus(window.i18n.t(problems.length > 0 ? 'settingsImportedValid' : 'settingsImported'), 'success');
+      }
     } catch (error) {
       console.error('Failed to import settings:', error);
-      this.showStatus('Failed to import settings: ' + error.message, 'error');
+      this.showStatus(window.i18n.t('settingsImportFailed', error.message), 'error');
     }
     
     // Reset file input
@@ -401,13 +713,17 @@ class SettingsManager {
    * Validate imported settings
    */
   validateSettings(settings) {
-    // Basic validation - check if required properties exist
-    const required = ['clock', 'apps', 'background', 'stats'];
-    for (const prop of required) {
-      if (!settings[prop]) {
-        throw new Error(`Missing required property: ${prop}`);
-      }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error(window.i18n.t('invalidSettingsFormat'));
+    }
+    
+    const sections = [...Object.keys(SETTINGS_SCHEMA), ...LEGACY_SETTINGS_KEYS];
+    if (!sections.some(section => section in settings)) {
+      throw new Error(window.i18n.t('noSettingsInFile'));
     }
+    
+    // Older exports are migrated to the current format before checking
+    return this.store.validate(settings, { legacy: settings, base: this.store.getSaved() });
   }
 
   /**
@@ -415,8 +731,7 @@ class SettingsManager {
    */
   showStatus(message, type) {
     this.statusMessage.textContent = message;
-    this.statusMessage.className = `status-message ${type}`;
-    this.statusMessage.style.display = 'block';
+    this.statusMessage.className = `settings-status active ${type}`;
     
     // Auto-hide after 3 seconds
     setTimeout(() => this.hideStatus(), 3000);
@@ -426,39 +741,14 @@ class SettingsManager {
    * Hide status message
    */
   hideStatus() {
-    this.statusMessage.style.display = 'none';
-  }
-
-  /**
-   * Dispatch settings events for other modules
-   */
-  dispatchSettingsEvents() {
-    // Clock settings changed
-    document.dispatchEvent(new CustomEvent('clockSettingsChanged', {
-      detail: this.settings.clock
-    }));
-    
-    // App settings changed
-    document.dispatchEvent(new CustomEvent('appSettingsChanged', {
-      detail: this.settings.apps
-    }));
-    
-    // Background settings changed
-    document.dispatchEvent(new CustomEvent('backgroundSettingsChanged', {
-      detail: this.settings.background
-    }));
-    
-    // Stats settings changed
-    document.dispatchEvent(new CustomEvent('statsSettingsChanged', {
-      detail: this.settings.stats
-    }));
+    this.statusMessage.classList.remove('active');
   }
 
   /**
    * Get current settings
    */
   getSettings() {
-    return { ...this.settings };
+    return this.store.get();
   }
 }
 
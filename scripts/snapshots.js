@@ -0,0 +1,176 @@
+/**
+ * Snapshot Manager
+ * Keeps a rolling daily snapshot of settings and pinned apps so any recent day can be restored
+ */
+
+// Snapshots live in local storage so a bad sync from another machine cannot overwrite them
+const SNAPSHOTS_STORAGE_KEY = 'configSnapshots';
+const SNAPSHOT_LIMIT = 7;
+
+class SnapshotManager {
+  constructor(store = window.settingsStore) {
+    this.store = store;
+  }
+
+  /**
+   * Local calendar day (YYYY-MM-DD) a snapshot belongs to
+   */
+  getDayKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Get all snapshots, newest first
+   */
+  async getSnapshots() {
+    try {
+      const result = await chrome.storage.local.get([SNAPSHOTS_STORAGE_KEY]);
+      const snapshots = result[SNAPSHOTS_STORAGE_KEY];
+      return Array.isArray(snapshots) ? snapshots : [];
+    } catch (error) {
+      console.warn('Failed to load snapshots:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save snapshots, dropping the oldest if local storage is full
+   */
+  async saveSnapshots(snapshots) {
+    let kept = snapshots.slice(0, SNAPSHOT_LIMIT);
+
+    while (kept.length > 0) {
+      try {
+        await chrome.storage.local.set({ [SNAPSHOTS_STORAGE_KEY]: kept });
+        return;
+      } catch (error) {
+        if (kept.length === 1) throw error;
+        console.warn('Snapshot storage full, dropping the oldest snapshot:', error);
+        kept = kept.slice(0, -1);
+      }
+    }
+  }
+
+  /**
+   * Read the live configuration
+   */
+  async captureCurrent() {
+    await this.store.ready;
+    const result = await chrome.storage.sync.get(['pinnedApps']);
+    return {
+      settings: this.store.getSaved(),
+      pinnedApps: result.pinnedApps || []
+    };
+  }
+
+  /**
+   * Take today's snapshot if there isn't one yet
+   */
+  async captureDaily() {
+    const snapshots = await this.getSnapshots();
+    if (snapshots.length > 0 && snapshots[0].date === this.getDayKey()) return;
+
+    await this.capture({ daily: true });
+  }
+
+  /**
+   * Snapshot the live configuration. Called before anything that could destroy it, so
+   * earlier snapshots from the same day are kept; only the daily snapshot is taken once
+   * per day. keep names a snapshot that must not be dropped to make room.
+   */
+  async capture({ daily = false, keep = null } = {}) {
+    const config = await this.captureCurrent();
+    const now = new Date();
+    const today = this.getDayKey(now);
+
+    const snapshot = {
+      id: `snapshot-${now.getTime()}`,
+      date: today,
+      createdAt: now.toISOString(),
+      settings: config.settings,
+      pinnedApps: config.pinnedApps
+    };
+
+    // Re-read so a daily snapshot taken by another tab at the same time is not duplicated
+    const snapshots = await this.getSnapshots();
+    if (daily && snapshots.some(existing => existing.date === today)) return null;
+
+    // Make room by dropping the oldest snapshots, other than the one to keep
+    const kept = [snapshot, ...snapshots];
+    for (let index = kept.length - 1; index > 0 && kept.length > SNAPSHOT_LIMIT; index--) {
+      if (kept[index].id !== keep) kept.splice(index, 1);
+    }
+
+    await this.saveSnapshots(kept);
+    return snapshot;
+  }
+
+  /**
+   * Restore a snapshot's settings and pinned apps in one write
+   */
+  async restore(id) {
+    const snapshot = (await this.getSnapshots()).find(existing => existing.id === id);
+    if (!snapshot) {
+      throw new Error(window.i18n.t('snapshotNotFound'));
+    }
+
+    // Keep the configuration being replaced without dropping the snapshot being restored
+    await this.capture({ keep: snapshot.id });
+
+    await chrome.storage.sync.set({
+      [SETTINGS_STORAGE_KEY]: this.store.migrate(snapshot.settings),
+      pinnedApps: snapshot.pinnedApps
+    });
+  }
+
+  /**
+   * Describe how a snapshot differs from the one before it
+   */
+  describeChanges(snapshot, previous) {
+    const appCount = SettingsStore.flattenPinnedApps(snapshot.pinnedApps).length;
+    const imageCount = this.getImageIds(snapshot).length;
+
+    const separator = window.i18n.t('listSeparator');
+    if (!previous) {
+      return window.i18n.plural('appCount', appCount) + separator + window.i18n.plural('backgroundImageCount', imageCount);
+    }
+
+    const changes = [];
+
+    const settingsChanged = this.store.diffPaths(previous.settings, snapshot.settings).length;
+    if (settingsChanged > 0) {
+      changes.push(window.i18n.plural('settingsChanged', settingsChanged));
+    }
+
+    const previousUrls = new Set(SettingsStore.flattenPinnedApps(previous.pinnedApps).map(app => app.url));
+    const currentUrls = new Set(SettingsStore.flattenPinnedApps(snapshot.pinnedApps).map(app => app.url));
+    const appsAdded = [...currentUrls].filter(url => !previousUrls.has(url)).length;
+    const appsRemoved = [...previousUrls].filter(url => !currentUrls.has(url)).length;
+    if (appsAdded > 0) changes.push(window.i18n.plural('appsAdded', appsAdded));
+    if (appsRemoved > 0) changes.push(window.i18n.plural('appsRemoved', appsRemoved));
+
+    const previousImages = new Set(this.getImageIds(previous));
+    const currentImages = new Set(this.getImageIds(snapshot));
+    const imagesAdded = [...currentImages].filter(id => !previousImages.has(id)).length;
+    const imagesRemoved = [...previousImages].filter(id => !currentImages.has(id)).length;
+    if (imagesAdded > 0) changes.push(window.i18n.plural('imagesAdded', imagesAdded));
+    if (imagesRemoved > 0) changes.push(window.i18n.plural('imagesRemoved', imagesRemoved));
+
+    return changes.length > 0 ? changes.join(separator) : window.i18n.t('noChanges');
+  }
+
+  /**
+   * Background library IDs a snapshot refers to
+   */
+  getImageIds(snapshot) {
+    const settings = snapshot.settings;
+    if (settings && settings.background && settings.background.uploadSettings) {
+      return settings.background.uploadSettings.images || [];
+    }
+    return [];
+  }
+}
+
+window.snapshotManager = new SnapshotManager();
@@ -3,6 +3,11 @@
  * Tracks browser usage statistics including time spent, tabs opened, and days used
  */
 
+// Stats change every second, so they stay in local storage rather than sync
+const STATS_STORAGE_KEY = 'statsData';
+const STATS_SAVE_DELAY = 5000;
+const STATS_SAVE_MAX_WAIT = 15000;
+
 class StatsTracker {
   constructor() {
     this.stats = {
@@ -12,7 +17,9 @@ class StatsTracker {
       firstUseDate: null,
       lastActiveDate: null,
       trackersBlocked: 0, // dummy counter
-      sessions: []
+      sessions: [],
+      totalFocusTime: 0, // in seconds, focus sessions only
+      focusSessions: []
     };
     
     this.currentSession = {
@@ -25,10 +32,11 @@ class StatsTracker {
     this.trackingInterval = null;
     this.idleThreshold = 30000; // 30 seconds of inactivity
     
-    this.init();
+    this.ready = this.init();
   }
 
   async init() {
+    await window.i18n.ready;
     await this.loadStats();
     this.startTracking();
     this.setupEventListeners();
@@ -36,13 +44,21 @@ class StatsTracker {
   }
 
   /**
-   * Load stats from chrome.storage.sync
+   * Load stats from chrome.storage.local, moving them out of sync storage on first run
    */
   async loadStats() {
     try {
-      const result = await chrome.storage.sync.get(['statsData']);
-      if (result.statsData) {
-        this.stats = { ...this.stats, ...result.statsData };
+      let result = await chrome.storage.local.get([STATS_STORAGE_KEY]);
+      if (!result[STATS_STORAGE_KEY]) {
+        result = await chrome.storage.sync.get([STATS_STORAGE_KEY]);
+        if (result[STATS_STORAGE_KEY]) {
+          await chrome.storage.local.set({ [STATS_STORAGE_KEY]: result[STATS_STORAGE_KEY] });
+          await chrome.storage.sync.remove(STATS_STORAGE_KEY);
+        }
+      }
+      
+      if (result[STATS_STORAGE_KEY]) {
+        this.stats = { ...this.stats, ...result[STATS_STORAGE_KEY] };
         
         // Initialize first use date if not set
         if (!this.stats.firstUseDate) {
@@ -58,14 +74,16 @@ class StatsTracker {
   }
 
   /**
-   * Save stats to chrome.storage.sync
+   * Queue stats for saving to chrome.storage.local. Writes are coalesced,
+   * so the per-second updates are written every few seconds at most.
+   * Resolves once they are written; failures are also reported to the page by the storage queue.
    */
-  async saveStats() {
-    try {
-      await chrome.storage.sync.set({ statsData: this.stats });
-    } catch (error) {
-      console.warn('Failed to save stats:', error);
-    }
+  saveStats() {
+    this.lastSavedStats = JSON.stringify(this.stats);
+    return window.storageQueue.write(chrome.storage.local, STATS_STORAGE_KEY, { ...this.stats }, {
+      delay: STATS_SAVE_DELAY,
+      maxWait: STATS_SAVE_MAX_WAIT
+    });
   }
 
   /**
@@ -87,6 +105,9 @@ class StatsTracker {
    * Start tracking usage time
    */
   startTracking() {
+    // Settings notifications can call this while already tracking
+    if (this.trackingInterval) return;
+    
     this.trackingInterval = setInterval(() => {
       if (this.isActive) {
         const now = Date.now();
@@ -142,8 +163,26 @@ class StatsTracker {
     });
     
     // Settings changed
-    document.addEventListener('statsSettingsChanged', (event) => {
-      this.handleSettingsChange(event.detail);
+    window.settingsStore.subscribe('stats', (settings) => {
+      this.handleSettingsChange(settings);
+    });
+    
+    // Counters saved by other tabs
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const change = changes[STATS_STORAGE_KEY];
+      if (areaName !== 'local' || !change || !change.newValue) return;
+      
+      // Ignore the echo of our own writes
+      const incoming = JSON.stringify(change.newValue);
+      if (incoming === this.lastSavedStats) return;
+      
+      this.stats = StatsTracker.merge(this.stats, change.newValue);
+      this.updateDisplay();
+      
+      // Write back anything this tab had that the other one didn't, replacing any queued value
+      if (JSON.stringify(this.stats) !== incoming) {
+        this.saveStats();
+      }
     });
     
     // Before unload
@@ -184,18 +223,92 @@ class StatsTracker {
         tabsOpened: this.stats.tabsOpenedToday
       });
       
-      // Keep only last 30 days of sessions
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      
-      this.stats.sessions = this.stats.sessions.filter(session => 
-        new Date(session.date) > thirtyDaysAgo
-      );
-      
+      this.stats.sessions = this.keepRecent(this.stats.sessions);
       this.saveStats();
     }
   }
 
+  /**
+   * Add finished focus timers (from FocusTimerState) to the history, skipping any already
+   * recorded. Resolves once the history is written.
+   */
+  recordFocusSessions(entries) {
+    const recorded = new Set(this.stats.focusSessions.map(session => session.id));
+    const added = entries.filter(entry => !recorded.has(entry.id));
+    
+    added.forEach(entry => {
+      this.stats.focusSessions.push({
+        id: entry.id,
+        type: entry.type,
+        date: entry.completedAt,
+        duration: entry.duration
+      });
+      if (entry.type === 'work') {
+        this.stats.totalFocusTime += entry.duration;
+      }
+    });
+    
+    this.stats.focusSessions = this.keepRecent(this.stats.focusSessions);
+    this.updateDisplay();
+    return this.saveStats();
+  }
+
+  /**
+   * Combine stats from two tabs: the larger of each counter, the latest day's daily
+   * counter and every session either has seen
+   */
+  static merge(local, incoming) {
+    const merged = { ...local, ...incoming };
+    const day = value => value ? new Date(value).toDateString() : null;
+    
+    ['totalUsageTime', 'totalTabsOpened', 'trackersBlocked', 'totalFocusTime'].forEach(key => {
+      merged[key] = Math.max(local[key] || 0, incoming[key] || 0);
+    });
+    
+    if (local.firstUseDate && incoming.firstUseDate) {
+      merged.firstUseDate = new Date(local.firstUseDate) < new Date(incoming.firstUseDate) ? local.firstUseDate : incoming.firstUseDate;
+    } else {
+      merged.firstUseDate = local.firstUseDate || incoming.firstUseDate;
+    }
+    
+    if (day(local.lastActiveDate) === day(incoming.lastActiveDate)) {
+      merged.tabsOpenedToday = Math.max(local.tabsOpenedToday || 0, incoming.tabsOpenedToday || 0);
+    } else if (new Date(local.lastActiveDate || 0) > new Date(incoming.lastActiveDate || 0)) {
+      merged.lastActiveDate = local.lastActiveDate;
+      merged.tabsOpenedToday = local.tabsOpenedToday;
+    }
+    
+    const union = (a = [], b = [], key) => {
+      const seen = new Set(a.map(session => session[key]));
+      return [...a, ...b.filter(session => !seen.has(session[key]))]
+        .sort((x, y) => new Date(x.date) - new Date(y.date));
+    };
+    merged.sessions = union(local.sessions, incoming.sessions, 'date');
+    merged.focusSessions = union(local.focusSessions, incoming.focusSessions, 'id');
+    
+    return merged;
+  }
+
+  /**
+   * Keep only the last 30 days of a session list
+   */
+  keepRecent(sessions) {
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    
+    return sessions.filter(session => new Date(session.date) > thirtyDaysAgo);
+  }
+
+  /**
+   * Seconds of focus sessions completed today
+   */
+  getFocusTimeToday() {
+    const today = new Date().toDateString();
+    return this.stats.focusSessions
+      .filter(session => session.type === 'work' && new Date(session.date).toDateString() === today)
+      .reduce((total, session) => total + session.duration, 0);
+  }
+
   /**
    * Handle settings changes
    */
@@ -218,13 +331,7 @@ class StatsTracker {
     const container = document.getElementById('stats-container');
     if (!container) return;
     
-    const settings = window.settingsManager ? window.settingsManager.getSettings().stats : {
-      enabled: true,
-      showUsageTime: true,
-      showTabsOpened: true,
-      showDaysUsed: true,
-      showTrackersBlocked: true
-    };
+    const settings = window.settingsStore.get('stats');
     
     if (!settings.enabled) {
       container.style.display = 'none';
@@ -234,7 +341,7 @@ class StatsTracker {
     container.style.display = 'block';
     
     // Format usage time
-    const usageTime = this.formatUsageTime(this.stats.totalUsageTime);
+    const usageTime = window.i18n.formatDuration(this.stats.totalUsageTime);
     
     // Calculate days used
     const daysUsed = this.calculateDaysUsed();
@@ -244,49 +351,40 @@ class StatsTracker {
     
     if (settings.showUsageTime) {
       statsHTML += `<div class="stat-item">
-        <span class="stat-label">Usage Time</span>
+        <span class="stat-label">${window.i18n.t('statUsageTime')}</span>
         <span class="stat-value">${usageTime}</span>
       </div>`;
     }
     
     if (settings.showTabsOpened) {
       statsHTML += `<div class="stat-item">
-        <span class="stat-label">Tabs Today</span>
-        <span class="stat-value">${this.stats.tabsOpenedToday}</span>
+        <span class="stat-label">${window.i18n.t('statTabsToday')}</span>
+        <span class="stat-value">${window.i18n.formatNumber(this.stats.tabsOpenedToday)}</span>
       </div>`;
     }
     
     if (settings.showDaysUsed) {
       statsHTML += `<div class="stat-item">
-        <span class="stat-label">Days Used</span>
-        <span class="stat-value">${daysUsed}</span>
+        <span class="stat-label">${window.i18n.t('statDaysUsed')}</span>
+        <span class="stat-value">${window.i18n.formatNumber(daysUsed)}</span>
       </div>`;
     }
     
     if (settings.showTrackersBlocked) {
       statsHTML += `<div class="stat-item">
-        <span class="stat-label">Trackers Blocked</span>
-        <span class="stat-value">${this.stats.trackersBlocked}</span>
+        <span class="stat-label">${window.i18n.t('statTrackersBlocked')}</span>
+        <span class="stat-value">${window.i18n.formatNumber(this.stats.trackersBlocked)}</span>
       </div>`;
     }
     
-    container.innerHTML = statsHTML;
-  }
-
-  /**
-   * Format usage time in human-readable format
-   */
-  formatUsageTime(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    
-    if (hours > 0) {
-      return `${hours}h ${minutes}m`;
-    } else if (minutes > 0) {
-      return `${minutes}m`;
-    } else {
-      return '< 1m';
+    if (settings.showFocusTime) {
+      statsHTML += `<div class="stat-item">
+        <span class="stat-label">${window.i18n.t('statFocusToday')}</span>
+        <span class="stat-value">${window.i18n.formatDuration(this.getFocusTimeToday())}</span>
+      </div>`;
     }
+    
+    container.innerHTML = statsHTML;
   }
 
   /**
@@ -313,7 +411,9 @@ class StatsTracker {
       totalTabsOpened: this.stats.totalTabsOpened,
       daysUsed: this.calculateDaysUsed(),
       trackersBlocked: this.stats.trackersBlocked,
-      sessions: [...this.stats.sessions]
+      sessions: [...this.stats.sessions],
+      totalFocusTime: this.stats.totalFocusTime,
+      focusSessions: [...this.stats.focusSessions]
     };
   }
 
@@ -328,7 +428,9 @@ class StatsTracker {
       firstUseDate: new Date().toISOString(),
       lastActiveDate: new Date().toISOString(),
       trackersBlocked: 0,
-      sessions: []
+      sessions: [],
+      totalFocusTime: 0,
+      focusSessions: []
     };
     
     this.currentSession = {
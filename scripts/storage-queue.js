@@ -0,0 +1,197 @@
+/**
+ * Storage Queue
+ * Coalesces frequent chrome.storage writes into batched, debounced set() calls
+ * so bursts stay under the sync write-rate limits
+ */
+
+// How long to wait for more writes, and the longest a write may be held back
+const STORAGE_QUEUE_DEFAULTS = {
+  sync: { delay: 1000, maxWait: 5000 },
+  local: { delay: 250, maxWait: 2000 },
+  session: { delay: 250, maxWait: 2000 }
+};
+
+// Sync write limits are counted per minute, so rate-limited writes are retried after one
+const RATE_LIMIT_RETRY_MS = 60 * 1000;
+
+/**
+ * A failed storage write, classified so the page can explain it
+ */
+class StorageWriteError extends Error {
+  constructor(cause, areaName, keys) {
+    const reason = StorageWriteError.classify(cause);
+    super(StorageWriteError.describe(reason, areaName));
+    this.name = 'StorageWriteError';
+    this.reason = reason;
+    this.areaName = areaName;
+    this.keys = keys;
+    this.cause = cause;
+  }
+
+  /**
+   * Map Chrome's quota error messages to 'rate-limit', 'item-too-large', 'quota' or 'unknown'
+   */
+  static classify(error) {
+    const message = String(error && error.message);
+    if (/MAX_WRITE_OPERATIONS/.test(message)) return 'rate-limit';
+    if (/QUOTA_BYTES_PER_ITEM/.test(message)) return 'item-too-large';
+    if (/QUOTA_BYTES|quota/i.test(message)) return 'quota';
+    return 'unknown';
+  }
+
+  static describe(reason, areaName) {
+    switch (reason) {
+      case 'rate-limit':
+        return window.i18n.t('storageRateLimit');
+      case 'item-too-large':
+        return window.i18n.t('storageItemTooLarge');
+      case 'quota':
+        return window.i18n.t(areaName === 'sync' ? 'storageSyncFull' : 'storageLocalFull');
+      default:
+        return window.i18n.t('storageWriteFailed');
+    }
+  }
+}
+
+class StorageQueue {
+  constructor() {
+    // area -> { values, waiters, timer, deadline }
+    this.queues = new Map();
+    // "area:key" -> time of the most recent write, so retries never overwrite newer values
+    this.lastWriteTimes = new Map();
+    this.errorListeners = new Set();
+
+    // Write everything out before the page goes away or is hidden
+    window.addEventListener('beforeunload', () => this.flushAll());
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.flushAll();
+    });
+  }
+
+  /**
+   * Queue a value for a key. Later writes to the same key replace earlier ones.
+   * Resolves once the batch containing it has been written; rejects with a StorageWriteError.
+   */
+  write(area, key, value, options = {}) {
+    const areaName = this.getAreaName(area);
+    let queue = this.queues.get(area);
+    if (!queue) {
+      queue = { values: {}, waiters: [], timer: null, deadline: Infinity };
+      this.queues.set(area, queue);
+    }
+
+    const { delay, maxWait } = { ...STORAGE_QUEUE_DEFAULTS[areaName], ...options };
+    queue.values[key] = value;
+    this.lastWriteTimes.set(`${areaName}:${key}`, Date.now());
+
+    // Debounce, but never hold the batch longer than the shortest maxWait queued
+    queue.deadline = Math.min(queue.deadline, Date.now() + maxWait);
+    const wait = Math.max(0, Math.min(delay, queue.deadline - Date.now()));
+    clearTimeout(queue.timer);
+    queue.timer = setTimeout(() => this.flush(area), wait);
+
+    const promise = new Promise((resolve, reject) => {
+      queue.waiters.push({ key, resolve, reject });
+    });
+    // Callers may fire and forget; errors are also reported to onError listeners
+    promise.catch(() => {});
+    return promise;
+  }
+
+  /**
+   * Write everything queued for one storage area in a single set() call. If that fails for
+   * any reason but the rate limit, each key is written on its own so one bad value, such as
+   * an item over the size limit, doesn't lose the rest.
+   */
+  async flush(area) {
+    const queue = this.queues.get(area);
+    if (!queue || Object.keys(queue.values).length === 0) return;
+
+    const { values, waiters } = queue;
+    clearTimeout(queue.timer);
+    this.queues.delete(area);
+
+    try {
+      await area.set(values);
+      waiters.forEach(waiter => waiter.resolve());
+    } catch (cause) {
+      const error = new StorageWriteError(cause, this.getAreaName(area), Object.keys(values));
+      if (error.reason === 'rate-limit' || Object.keys(values).length === 1) {
+        this.fail(area, values, waiters, error);
+        return;
+      }
+
+      for (const [key, value] of Object.entries(values)) {
+        const keyWaiters = waiters.filter(waiter => waiter.key === key);
+        try {
+          await area.set({ [key]: value });
+          keyWaiters.forEach(waiter => waiter.resolve());
+        } catch (keyCause) {
+          this.fail(area, { [key]: value }, keyWaiters, new StorageWriteError(keyCause, this.getAreaName(area), [key]));
+        }
+      }
+    }
+  }
+
+  /**
+   * Reject the writes in a failed set() call, tell listeners and retry rate-limited ones
+   */
+  fail(area, values, waiters, error) {
+    console.error('Storage write failed:', error.cause);
+    waiters.forEach(waiter => waiter.reject(error));
+    this.errorListeners.forEach(listener => listener(error));
+
+    if (error.reason === 'rate-limit') {
+      this.retryLater(area, values);
+    }
+  }
+
+  /**
+   * Queue values again after the rate limit window, unless newer values replaced them
+   */
+  retryLater(area, values) {
+    const areaName = this.getAreaName(area);
+    const failedAt = Date.now();
+
+    setTimeout(() => {
+      Object.entries(values).forEach(([key, value]) => {
+        if (this.lastWriteTimes.get(`${areaName}:${key}`) < failedAt) {
+          this.write(area, key, value);
+        }
+      });
+    }, RATE_LIMIT_RETRY_MS);
+  }
+
+  /**
+   * Whether a write to a key is still waiting to be flushed. Change listeners use this
+   * to ignore echoes of older values while a newer local value is queued.
+   */
+  hasPending(area, key) {
+    const queue = this.queues.get(area);
+    return Boolean(queue && key in queue.values);
+  }
+
+  /**
+   * Flush every storage area
+   */
+  flushAll() {
+    return Promise.all([...this.queues.keys()].map(area => this.flush(area)));
+  }
+
+  /**
+   * Listen for failed writes. Returns an unsubscribe function.
+   */
+  onError(listener) {
+    this.errorListeners.add(listener);
+    return () => this.errorListeners.delete(listener);
+  }
+
+  /**
+   * Name of a chrome.storage area object, e.g. 'sync'
+   */
+  getAreaName(area) {
+    return Object.keys(STORAGE_QUEUE_DEFAULTS).find(name => chrome.storage[name] === area) || 'local';
+  }
+}
+
+window.storageQueue = new StorageQueue();
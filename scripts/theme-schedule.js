@@ -0,0 +1,96 @@
+/**
+ * Theme Schedule
+ * Decides whether it is day or night for the light/dark schedule, including sunrise
+ * and sunset worked out locally from a latitude and longitude
+ */
+
+const DAY_LENGTH_MS = 86400000;
+
+// Julian date of the Unix epoch and of the J2000 epoch
+const JULIAN_UNIX_EPOCH = 2440587.5;
+const JULIAN_2000 = 2451545;
+
+// The sun counts as risen when its top edge clears the horizon, allowing for refraction
+const SUNRISE_ALTITUDE = -0.833;
+const EARTH_TILT = 23.4397;
+
+class ThemeSchedule {
+  /**
+   * 'day' or 'night' at a time, or null when scheduling is off.
+   * systemDark is whether the system prefers a dark theme.
+   */
+  static getPeriod(settings, now = new Date(), systemDark = false) {
+    switch (settings.mode) {
+      case 'system':
+        return systemDark ? 'night' : 'day';
+      case 'hours':
+        return ThemeSchedule.isDayByHours(settings, now) ? 'day' : 'night';
+      case 'sun':
+        // Without a location there is no sun to follow, so use the fixed hours
+        if (settings.latitude === null || settings.longitude === null) {
+          return ThemeSchedule.isDayByHours(settings, now) ? 'day' : 'night';
+        }
+        return ThemeSchedule.isDayBySun(settings, now) ? 'day' : 'night';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Day runs from dayStart up to nightStart, wrapping past midnight if nightStart is earlier
+   */
+  static isDayByHours(settings, now) {
+    const hour = now.getHours();
+    const { dayStart, nightStart } = settings;
+    if (dayStart === nightStart) return true;
+    return dayStart < nightStart
+      ? hour >= dayStart && hour < nightStart
+      : hour >= dayStart || hour < nightStart;
+  }
+
+  static isDayBySun(settings, now) {
+    const sun = ThemeSchedule.getSunTimes(now, settings.latitude, settings.longitude);
+    if (sun.polar) return sun.polar === 'day';
+    return now.getTime() >= sun.sunrise && now.getTime() < sun.sunset;
+  }
+
+  /**
+   * Sunrise and sunset (ms timestamps) on the local calendar day of date, using the
+   * sunrise equation. Longitude is positive east. Accurate to a minute or two, which is
+   * plenty for switching a theme. In polar day or night there is no sunrise or sunset,
+   * and polar is 'day' or 'night' instead.
+   */
+  static getSunTimes(date, latitude, longitude) {
+    const radians = degrees => degrees * Math.PI / 180;
+    const degrees = angle => angle * 180 / Math.PI;
+
+    const localNoon = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+    const dayNumber = Math.round(localNoon / DAY_LENGTH_MS + JULIAN_UNIX_EPOCH - JULIAN_2000);
+
+    // Mean solar noon, then the sun's position along its orbit
+    const meanNoon = dayNumber - longitude / 360;
+    const anomaly = (357.5291 + 0.98560028 * meanNoon) % 360;
+    const center = 1.9148 * Math.sin(radians(anomaly)) +
+      0.02 * Math.sin(radians(2 * anomaly)) +
+      0.0003 * Math.sin(radians(3 * anomaly));
+    const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+    const transit = JULIAN_2000 + meanNoon +
+      0.0053 * Math.sin(radians(anomaly)) -
+      0.0069 * Math.sin(radians(2 * eclipticLongitude));
+
+    const declination = Math.asin(Math.sin(radians(eclipticLongitude)) * Math.sin(radians(EARTH_TILT)));
+    const hourAngleCos = (Math.sin(radians(SUNRISE_ALTITUDE)) - Math.sin(radians(latitude)) * Math.sin(declination)) /
+      (Math.cos(radians(latitude)) * Math.cos(declination));
+
+    if (hourAngleCos < -1) return { sunrise: null, sunset: null, polar: 'day' };
+    if (hourAngleCos > 1) return { sunrise: null, sunset: null, polar: 'night' };
+
+    const hourAngle = degrees(Math.acos(hourAngleCos));
+    const toTimestamp = julian => Math.round((julian - JULIAN_UNIX_EPOCH) * DAY_LENGTH_MS);
+    return {
+      sunrise: toTimestamp(transit - hourAngle / 360),
+      sunset: toTimestamp(transit + hourAngle / 360),
+      polar: null
+    };
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Theme Manager
+ * Switches the page between its day and night configuration: the overlay darkness and
+ * text colour here, and the background through BackgroundEngine
+ */
+
+class ThemeManager {
+  constructor() {
+    this.root = document.documentElement;
+    // Text colours only change on the page itself, so the settings modal stays readable
+    this.pageElement = document.querySelector('.main-container');
+    this.systemTheme = window.matchMedia('(prefers-color-scheme: dark)');
+
+    this.settings = window.settingsStore.get('theme');
+    this.period = null;
+
+    this.init();
+  }
+
+  async init() {
+    await window.settingsStore.ready;
+    this.settings = window.settingsStore.get('theme');
+    this.applyTheme();
+    this.setupEventListeners();
+  }
+
+  /**
+   * 'day', 'night', or null when scheduling is off
+   */
+  getPeriod(now = new Date()) {
+    return ThemeSchedule.getPeriod(this.settings, now, this.systemTheme.matches);
+  }
+
+  /**
+   * Day or night configuration for right now, or null when scheduling is off.
+   * Read by BackgroundEngine each time it applies a background.
+   */
+  getVariant() {
+    const period = this.getPeriod();
+    return period ? this.settings[period] : null;
+  }
+
+  /**
+   * Set the overlay and text colour variables for the current period.
+   * Returns whether the period changed.
+   */
+  applyTheme() {
+    const period = this.getPeriod();
+    const changed = period !== this.period;
+    this.period = period;
+
+    if (!period) {
+      delete this.root.dataset.period;
+      this.root.style.removeProperty('--overlay-darkness');
+      this.pageElement.style.removeProperty('--text-primary');
+      this.pageElement.style.removeProperty('--text-secondary');
+      return changed;
+    }
+
+    const variant = this.settings[period];
+    this.root.dataset.period = period;
+    this.root.style.setProperty('--overlay-darkness', variant.overlay);
+    this.pageElement.style.setProperty('--text-primary', variant.textColor);
+    this.pageElement.style.setProperty('--text-secondary', `color-mix(in srgb, ${variant.textColor} 70%, transparent)`);
+    return changed;
+  }
+
+  /**
+   * Re-apply everything, switching the background too if the period changed
+   */
+  refresh(force = false) {
+    const changed = this.applyTheme();
+    if ((changed || force) && window.backgroundEngine) {
+      window.backgroundEngine.applyBackground();
+    }
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Sunrise, sunset and the fixed hours are checked on each clock tick
+    window.clockManager.onTick(() => this.refresh());
+
+    this.systemTheme.addEventListener('change', () => this.refresh());
+
+    window.settingsStore.subscribe('theme', (settings) => {
+      this.settings = settings;
+      // The day or night background may have been edited without the period changing
+      this.refresh(true);
+    });
+  }
+}
+
+// Initialize theme manager when DOM is loaded. This must run before BackgroundEngine
+// is created, so the first background is already the right one for the time of day.
+document.addEventListener('DOMContentLoaded', () => {
+  window.themeManager = new ThemeManager();
+});
@@ -0,0 +1,165 @@
+/**
+ * Workspace Manager
+ * Creates and edits workspaces: named sets of pinned apps that open together, optionally
+ * in a new window and as a tab group. Workspaces are tiles in the pinned apps grid, so
+ * they sync, undo and back up with the apps.
+ */
+
+class WorkspaceManager {
+  constructor() {
+    this.modal = document.getElementById('workspace-modal');
+    this.nameInput = document.getElementById('workspace-name');
+    this.colorSelect = document.getElementById('workspace-color');
+    this.newWindowInput = document.getElementById('workspace-new-window');
+    this.groupInput = document.getElementById('workspace-group');
+    this.appList = document.getElementById('workspace-apps');
+    this.deleteButton = document.getElementById('delete-workspace');
+
+    // Id of the workspace being edited, or null while creating one
+    this.editingId = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Open the editor for a workspace, or for a new one without an id
+   */
+  openEditor(id = null) {
+    const workspace = id ? window.pinnedAppsManager.findWorkspace(id) : null;
+    if (id && !workspace) return;
+
+    const values = workspace || SettingsStore.createDefaults(PINNED_WORKSPACE_SCHEMA);
+    this.editingId = id;
+    this.nameInput.value = values.name;
+    this.colorSelect.value = values.color;
+    this.newWindowInput.checked = values.newWindow;
+    this.groupInput.checked = values.group;
+    this.deleteButton.classList.toggle('hidden', !workspace);
+    this.renderAppList(workspace);
+
+    this.modal.classList.add('active');
+    this.nameInput.focus();
+  }
+
+  closeEditor() {
+    this.modal.classList.remove('active');
+    this.editingId = null;
+  }
+
+  /**
+   * A checkbox for every pinned app. The workspace's apps come first, in the order they
+   * open, including any that have since been unpinned.
+   */
+  renderAppList(workspace) {
+    const manager = window.pinnedAppsManager;
+    const selected = workspace ? manager.getWorkspaceApps(workspace) : [];
+    const selectedUrls = new Set(selected.map(app => app.url));
+    const others = [];
+    SettingsStore.flattenPinnedApps(manager.apps).forEach(app => {
+      if (!selectedUrls.has(app.url) && !others.some(other => other.url === app.url)) {
+        others.push(app);
+      }
+    });
+
+    this.appList.innerHTML = '';
+    [...selected, ...others].forEach(app => {
+      const item = document.createElement('label');
+      item.className = 'workspace-app';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = app.url;
+      checkbox.checked = selectedUrls.has(app.url);
+
+      const name = document.createElement('span');
+      name.textContent = app.name;
+
+      item.append(checkbox, manager.createIconElement(app, ''), name);
+      this.appList.appendChild(item);
+    });
+  }
+
+  /**
+   * Save the workspace being edited, or add the new one at the end of the grid
+   */
+  save() {
+    const manager = window.pinnedAppsManager;
+    const name = this.nameInput.value.trim();
+    const urls = Array.from(this.appList.querySelectorAll('input:checked')).map(input => input.value);
+
+    if (!name) {
+      manager.showNotification(window.i18n.t('workspaceMissingName'), 'error');
+      return;
+    }
+    if (urls.length === 0) {
+      manager.showNotification(window.i18n.t('workspaceNoApps'), 'error');
+      return;
+    }
+
+    const fields = {
+      name,
+      color: this.colorSelect.value,
+      newWindow: this.newWindowInput.checked,
+      group: this.groupInput.checked,
+      urls
+    };
+
+    if (this.editingId && manager.findWorkspace(this.editingId)) {
+      const id = this.editingId;
+      manager.changeApps(window.i18n.t('historyEditedWorkspace', name), apps => {
+        Object.assign(apps.find(app => app.type === 'workspace' && app.id === id), fields);
+      });
+    } else {
+      manager.changeApps(window.i18n.t('historyCreatedWorkspace', name), apps => {
+        apps.push({ type: 'workspace', id: window.utils.generateId('workspace'), ...fields });
+      });
+      manager.showPage(manager.getPageCount() - 1);
+    }
+
+    this.closeEditor();
+    manager.showNotification(window.i18n.t('workspaceSaved'), 'success');
+  }
+
+  /**
+   * Remove the workspace being edited. Its apps stay pinned.
+   */
+  delete() {
+    const manager = window.pinnedAppsManager;
+    const workspace = this.editingId ? manager.findWorkspace(this.editingId) : null;
+    if (!workspace) return;
+
+    manager.changeApps(window.i18n.t('historyDeletedApp', workspace.name), apps => {
+      apps.splice(apps.findIndex(app => app.type === 'workspace' && app.id === workspace.id), 1);
+    }, { toast: true });
+    this.closeEditor();
+  }
+
+  setupEventListeners() {
+    document.getElementById('add-workspace-button').addEventListener('click', () => {
+      this.openEditor();
+    });
+
+    document.getElementById('close-workspace-edit').addEventListener('click', () => {
+      this.closeEditor();
+    });
+
+    document.getElementById('save-workspace').addEventListener('click', () => {
+      this.save();
+    });
+
+    this.deleteButton.addEventListener('click', () => {
+      this.delete();
+    });
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.closeEditor();
+      }
+    });
+  }
+}
+
+// Initialize the workspace editor when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.workspaceManager = new WorkspaceManager();
+});